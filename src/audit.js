@@ -0,0 +1,251 @@
+/*
+  Audit trail comments on the issues whose fields were changed (opt-in, AUDIT_COMMENTS).
+
+  Every changed issue (or pull request) gets a single comment per project, found again on the
+  next runs by its hidden marker:
+
+    <!-- dependants-sync:audit project=PVT_kwDO... -->
+
+  The comment lists the fields of the last run that changed them, with their old and new values
+  and where the new value came from. Existing comments are updated in place, and left alone
+  when their text would not change, so repeated runs do not add comments. Comments are searched
+  page by page from the newest, and a failed addComment is only sent again once the marker is
+  still missing, since the comment may have been created before the error. Comment writes are
+  spaced out and limited per run to stay clear of GitHub's content creation limits.
+
+  Source issues are named in code spans, so the comments do not add "mentioned" events to the
+  timeline of every top parent.
+*/
+
+const core = require("@actions/core");
+const { RATE_LIMIT_SELECTION, isRetryableError, sleep } = require("./graphql-client");
+const { formatIssueReference } = require("./report");
+
+const DEFAULT_MAX_COMMENTS = 50;
+const DEFAULT_MIN_INTERVAL_MS = 1000;
+// Number of comments read per page while searching for the audit comment.
+const COMMENTS_PAGE_SIZE = 100;
+const ADD_COMMENT_ATTEMPTS = 3;
+const ADD_COMMENT_RETRY_DELAY_MS = 5000;
+
+const COMMENTS_SELECTION = `
+        comments(last: ${COMMENTS_PAGE_SIZE}, before: $before) {
+          nodes {
+            id
+            body
+            viewerDidAuthor
+          }
+          pageInfo {
+            hasPreviousPage
+            startCursor
+          }
+        }`;
+
+const COMMENTS_QUERY = `
+  query ($id: ID!, $before: String) {
+    ${RATE_LIMIT_SELECTION}
+    node(id: $id) {
+      ... on Issue {${COMMENTS_SELECTION}
+      }
+      ... on PullRequest {${COMMENTS_SELECTION}
+      }
+    }
+  }
+`;
+
+const ADD_COMMENT_MUTATION = `
+  mutation($subjectId: ID!, $body: String!) {
+    addComment(input: { subjectId: $subjectId, body: $body }) {
+      commentEdge {
+        node {
+          id
+        }
+      }
+    }
+  }
+`;
+
+const UPDATE_COMMENT_MUTATION = `
+  mutation($id: ID!, $body: String!) {
+    updateIssueComment(input: { id: $id, body: $body }) {
+      issueComment {
+        id
+      }
+    }
+  }
+`;
+
+/**
+ * Returns the hidden marker identifying the audit comment of a project.
+ *
+ * @param {string} projectId - The project’s GraphQL id.
+ * @returns {string}
+ */
+function auditMarker(projectId) {
+  return `<!-- dependants-sync:audit project=${projectId} -->`;
+}
+
+/**
+ * Escapes a value for a Markdown table cell.
+ *
+ * @param {string} value - The cell value.
+ * @returns {string}
+ */
+function formatCell(value) {
+  return value ? String(value).replace(/\|/g, "\\|").replace(/\n/g, " ") : "-";
+}
+
+/**
+ * Describes where the new value of a change came from.
+ *
+ * @param {object} change - A change (see report.js).
+ * @returns {string}
+ */
+function formatSource(change) {
+  if (change.rollup) return "Rolled up from child items";
+  if (!change.topParentId) return "-";
+  return `\`${formatIssueReference(change.topParentUrl, change.topParentId)}\``;
+}
+
+/**
+ * Formats the audit comment of an issue from the changes written to its project item.
+ *
+ * @param {string} projectUrl - The project URL.
+ * @param {string} projectId - The project’s GraphQL id.
+ * @param {object[]} changes - The changes of a single issue.
+ * @returns {string}
+ */
+function formatAuditComment(projectUrl, projectId, changes) {
+  return [
+    auditMarker(projectId),
+    `**Project fields synchronized** in ${projectUrl}`,
+    "",
+    "| Field | Old value | New value | Source |",
+    "| --- | --- | --- | --- |",
+    ...changes.map(
+      (change) =>
+        `| ${formatCell(change.field)} | ${formatCell(change.oldDisplay)} | ${formatCell(
+          change.newDisplay
+        )} | ${formatSource(change)} |`
+    ),
+    "",
+    "_This comment is updated by the dependants-sync action whenever it changes these fields._",
+  ].join("\n");
+}
+
+/**
+ * Finds the audit comment of an issue, reading its comments page by page from the newest.
+ *
+ * @param {object} octokit - The rate limit aware GraphQL client.
+ * @param {string} issueId - The issue’s (or pull request’s) GraphQL id.
+ * @param {string} marker - The hidden marker of the project (see auditMarker).
+ * @returns {Promise<{id: string, body: string}|null>}
+ */
+async function findAuditComment(octokit, issueId, marker) {
+  let before = null;
+  do {
+    const { node } = await octokit.graphql(COMMENTS_QUERY, { id: issueId, before });
+    const comments = node && node.comments;
+    if (!comments) return null;
+    const existing = comments.nodes.find(
+      (comment) => comment.viewerDidAuthor && comment.body.includes(marker)
+    );
+    if (existing) return existing;
+    before =
+      comments.pageInfo && comments.pageInfo.hasPreviousPage
+        ? comments.pageInfo.startCursor
+        : null;
+  } while (before);
+  return null;
+}
+
+/**
+ * Posts the audit comment of an issue. addComment is not retried by the client: after a
+ * transient error the comment may exist anyway, so it is only sent again when the marker
+ * cannot be found.
+ *
+ * @param {object} octokit - The rate limit aware GraphQL client.
+ * @param {string} issueId - The issue’s (or pull request’s) GraphQL id.
+ * @param {string} body - The comment body.
+ * @param {string} marker - The hidden marker of the project.
+ * @param {Function} wait - Sleep implementation.
+ */
+async function addAuditComment(octokit, issueId, body, marker, wait) {
+  for (let attempt = 1; ; attempt++) {
+    try {
+      await octokit.graphql(ADD_COMMENT_MUTATION, { subjectId: issueId, body }, { retry: false });
+      return;
+    } catch (error) {
+      if (attempt >= ADD_COMMENT_ATTEMPTS || !isRetryableError(error)) throw error;
+      await wait(ADD_COMMENT_RETRY_DELAY_MS * attempt);
+      if (await findAuditComment(octokit, issueId, marker)) return;
+    }
+  }
+}
+
+/**
+ * Posts or updates the audit comment of every issue with applied changes.
+ *
+ * @param {object} octokit - The rate limit aware GraphQL client.
+ * @param {{url: string, id: string}} project - The project the changes were written to.
+ * @param {object[]} changes - The applied changes (see report.js).
+ * @param {object} [options]
+ * @param {number} [options.maxComments] - Maximum number of comments posted or updated.
+ * @param {number} [options.minIntervalMs] - Minimum delay between two comment writes.
+ * @param {Function} [options.sleep] - Sleep implementation, replaceable in tests.
+ * @returns {Promise<{posted: number, updated: number, unchanged: number, skipped: number,
+ *   failed: {issueId: string, issueUrl: string|null, error: string}[]}>}
+ */
+async function postAuditComments(octokit, project, changes, options = {}) {
+  const maxComments = options.maxComments || DEFAULT_MAX_COMMENTS;
+  const minIntervalMs =
+    options.minIntervalMs === undefined ? DEFAULT_MIN_INTERVAL_MS : options.minIntervalMs;
+  const wait = options.sleep || sleep;
+  const marker = auditMarker(project.id);
+
+  const changesByIssueId = new Map();
+  for (const change of changes) {
+    if (!change.issueId) continue;
+    if (!changesByIssueId.has(change.issueId)) changesByIssueId.set(change.issueId, []);
+    changesByIssueId.get(change.issueId).push(change);
+  }
+
+  const result = { posted: 0, updated: 0, unchanged: 0, skipped: 0, failed: [] };
+  let writes = 0;
+  for (const [issueId, issueChanges] of changesByIssueId) {
+    if (writes >= maxComments) {
+      result.skipped++;
+      continue;
+    }
+    const issueUrl = issueChanges[0].issueUrl;
+    const body = formatAuditComment(project.url, project.id, issueChanges);
+    try {
+      const existing = await findAuditComment(octokit, issueId, marker);
+      if (existing && existing.body === body) {
+        result.unchanged++;
+        continue;
+      }
+      if (writes > 0 && minIntervalMs > 0) await wait(minIntervalMs);
+      writes++;
+      if (existing) {
+        await octokit.graphql(UPDATE_COMMENT_MUTATION, { id: existing.id, body });
+        result.updated++;
+        core.info(`Updated the audit comment of ${issueUrl || issueId}.`);
+      } else {
+        await addAuditComment(octokit, issueId, body, marker, wait);
+        result.posted++;
+        core.info(`Posted an audit comment on ${issueUrl || issueId}.`);
+      }
+    } catch (error) {
+      result.failed.push({ issueId, issueUrl, error: error.message });
+    }
+  }
+  return result;
+}
+
+module.exports = {
+  DEFAULT_MAX_COMMENTS,
+  auditMarker,
+  formatAuditComment,
+  postAuditComments,
+};
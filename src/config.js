@@ -0,0 +1,735 @@
+/*
+  Loads the sync configuration.
+
+  The configuration comes from a repository configuration file (.github/dependants-sync.yml
+  by default, see CONFIG_FILE) describing one or more projects:
+
+    options:
+      dry-run: false
+      max-errors: 10
+    projects:
+      - url: https://github.com/orgs/my-org/projects/1
+        top-parent-issue-type: Initiative
+        filters:
+          state: open
+          archived: false
+          query: -label:wontfix
+        fields:
+          - Initiative
+          - name: Team
+            source: [Epic, Initiative]
+            policy: fill-empty
+        pull-requests:
+          conflicts: skip
+        status-rollup:
+          field: Status
+          rules:
+            - { status: Done, when: all, of: [Done] }
+        number-rollups:
+          - { field: Total estimate, aggregate: sum, source: Estimate }
+
+  When there is no configuration file, the environment variables / action inputs
+  (PROJECT_URL, SYNC_FIELDS, ...) describe a single project. Run options (DRY_RUN,
+  MAX_ERRORS, CHECK, AUDIT_COMMENTS, ...) given as inputs or environment variables always override the file.
+*/
+
+const core = require("@actions/core");
+const fs = require("fs");
+const path = require("path");
+const yaml = require("js-yaml");
+const {
+  readSetting,
+  readBooleanEnv,
+  readListEnv,
+  readPositiveIntegerEnv,
+  readFieldMapEnv,
+} = require("./settings");
+const { DEFAULT_BATCH_SIZE } = require("./mutations");
+const { DEFAULT_MAX_COMMENTS } = require("./audit");
+const {
+  ROLLUP_QUANTIFIERS,
+  NUMBER_AGGREGATES,
+  DEFAULT_STATUS_ROLLUP_FIELD,
+  DEFAULT_STATUS_ROLLUP_RULES,
+} = require("./rollup");
+const { parseItemFilter } = require("./item-filters");
+const { createProjectOwner } = require("./project-owner");
+
+const DEFAULT_CONFIG_FILE = ".github/dependants-sync.yml";
+const DEFAULT_DRY_RUN_OUTPUT = "dependants-sync-dry-run.json";
+const DEFAULT_TOP_PARENT_ISSUE_TYPE = "Initiative";
+const DEFAULT_INHERITANCE_MAX_DEPTH = 10;
+const WRITE_POLICIES = ["overwrite", "fill-empty", "never"];
+const INHERITANCE_MODES = ["top-parent", "nearest-value"];
+const TRAVERSAL_STRATEGIES = ["auto", "top-down", "bottom-up"];
+const PULL_REQUEST_CONFLICT_RULES = ["skip", "first"];
+const ITEM_STATES = ["open", "closed"];
+
+const STRING_LIST = {
+  anyOf: [{ type: "string" }, { type: "array", minItems: 1, items: { type: "string" } }],
+};
+
+const FIELD_SCHEMA = {
+  anyOf: [
+    { type: "string" },
+    {
+      type: "object",
+      required: ["name"],
+      properties: {
+        name: { type: "string" },
+        source: STRING_LIST,
+        inheritance: { enum: INHERITANCE_MODES },
+        policy: { enum: WRITE_POLICIES },
+        clear: { type: "boolean" },
+      },
+    },
+  ],
+};
+
+const STATUS_ROLLUP_SCHEMA = {
+  anyOf: [
+    { type: "boolean" },
+    {
+      type: "object",
+      properties: {
+        field: { type: "string" },
+        rules: {
+          type: "array",
+          minItems: 1,
+          items: {
+            type: "object",
+            required: ["status", "when", "of"],
+            properties: {
+              status: { type: "string" },
+              when: { enum: ROLLUP_QUANTIFIERS },
+              of: STRING_LIST,
+            },
+          },
+        },
+      },
+    },
+  ],
+};
+
+const NUMBER_ROLLUP_SCHEMA = {
+  type: "object",
+  required: ["field", "aggregate"],
+  properties: {
+    field: { type: "string" },
+    aggregate: { enum: NUMBER_AGGREGATES },
+    source: { type: "string" },
+    statuses: STRING_LIST,
+    "status-field": { type: "string" },
+  },
+};
+
+const FILTERS_SCHEMA = {
+  type: "object",
+  properties: {
+    repositories: STRING_LIST,
+    "exclude-repositories": STRING_LIST,
+    state: { enum: ITEM_STATES },
+    labels: STRING_LIST,
+    "exclude-labels": STRING_LIST,
+    "issue-types": STRING_LIST,
+    archived: { type: "boolean" },
+    query: { type: "string" },
+  },
+};
+
+const PROJECT_SCHEMA = {
+  type: "object",
+  required: ["url"],
+  properties: {
+    url: { type: "string" },
+    "source-project": { type: "string" },
+    "top-parent-issue-type": { type: "string" },
+    traversal: { enum: TRAVERSAL_STRATEGIES },
+    filters: FILTERS_SCHEMA,
+    "inheritance-max-depth": { type: "integer" },
+    "add-missing-descendants": {
+      anyOf: [
+        { type: "boolean" },
+        {
+          type: "object",
+          properties: { repositories: STRING_LIST },
+        },
+      ],
+    },
+    fields: { type: "array", minItems: 1, items: FIELD_SCHEMA },
+    "pull-requests": {
+      anyOf: [
+        { type: "boolean" },
+        {
+          type: "object",
+          properties: { conflicts: { enum: PULL_REQUEST_CONFLICT_RULES } },
+        },
+      ],
+    },
+    "status-rollup": STATUS_ROLLUP_SCHEMA,
+    "number-rollups": { type: "array", minItems: 1, items: NUMBER_ROLLUP_SCHEMA },
+  },
+};
+
+const CONFIG_SCHEMA = {
+  type: "object",
+  required: ["projects"],
+  properties: {
+    options: {
+      type: "object",
+      properties: {
+        "dry-run": { type: "boolean" },
+        check: { type: "boolean" },
+        "dry-run-output": { type: "string" },
+        "mutation-batch-size": { type: "integer" },
+        "max-errors": { type: "integer" },
+        "audit-comments": { type: "boolean" },
+        "audit-comment-limit": { type: "integer" },
+      },
+    },
+    projects: { type: "array", minItems: 1, items: PROJECT_SCHEMA },
+  },
+};
+
+/**
+ * Describes the type of a YAML value for error messages.
+ *
+ * @param {*} value - The value.
+ * @returns {string}
+ */
+function describeType(value) {
+  if (value === undefined) return "nothing";
+  if (value === null) return "null";
+  if (Array.isArray(value)) return "a list";
+  if (typeof value === "object") return "a mapping";
+  return `${typeof value} ${JSON.stringify(value)}`;
+}
+
+/**
+ * Returns true when `value` has the JSON type of a schema node.
+ *
+ * @param {*} value - The value.
+ * @param {object} schema - A schema node with a `type`.
+ * @returns {boolean}
+ */
+function matchesType(value, schema) {
+  switch (schema.type) {
+    case "string":
+      return typeof value === "string" && value.trim() !== "";
+    case "boolean":
+      return typeof value === "boolean";
+    case "integer":
+      return Number.isInteger(value) && value >= 1;
+    case "array":
+      return Array.isArray(value);
+    case "object":
+      return value !== null && typeof value === "object" && !Array.isArray(value);
+    default:
+      return false;
+  }
+}
+
+const TYPE_NAMES = {
+  string: "a non-empty string",
+  boolean: "true or false",
+  integer: "a positive integer",
+  array: "a list",
+  object: "a mapping",
+};
+
+/**
+ * Names a value in error messages by its path.
+ *
+ * @param {string} location - The path of the value, empty for the document itself.
+ * @returns {string}
+ */
+function label(location) {
+  return location || "The configuration";
+}
+
+/**
+ * Validates `value` against a schema node and collects every problem with its path.
+ *
+ * @param {*} value - The value to validate.
+ * @param {object} schema - The schema node.
+ * @param {string} location - The path of the value, e.g. "projects[0].fields[1]".
+ * @param {string[]} errors - Receives the error messages.
+ */
+function validate(value, schema, location, errors) {
+  if (schema.anyOf) {
+    const branch = schema.anyOf.find((candidate) => matchesType(value, candidate));
+    if (!branch) {
+      errors.push(
+        `${label(location)} must be ${schema.anyOf
+          .map((candidate) => TYPE_NAMES[candidate.type])
+          .join(" or ")}, got ${describeType(value)}.`
+      );
+      return;
+    }
+    validate(value, branch, location, errors);
+    return;
+  }
+  if (schema.enum) {
+    if (!schema.enum.includes(value)) {
+      errors.push(
+        `${label(location)} must be one of ${schema.enum.join(", ")}, got ${describeType(value)}.`
+      );
+    }
+    return;
+  }
+  if (!matchesType(value, schema)) {
+    errors.push(
+      `${label(location)} must be ${TYPE_NAMES[schema.type]}, got ${describeType(value)}.`
+    );
+    return;
+  }
+  if (schema.type === "array") {
+    if (schema.minItems && value.length < schema.minItems) {
+      errors.push(`${label(location)} must not be empty.`);
+    }
+    value.forEach((item, i) => validate(item, schema.items, `${location}[${i}]`, errors));
+    return;
+  }
+  if (schema.type === "object") {
+    const prefix = location ? `${location}.` : "";
+    for (const key of schema.required || []) {
+      if (value[key] === undefined) {
+        errors.push(`${prefix}${key} is required.`);
+      }
+    }
+    for (const [key, item] of Object.entries(value)) {
+      if (!schema.properties[key]) {
+        errors.push(
+          `${prefix}${key} is not a known setting. Expected one of ${Object.keys(
+            schema.properties
+          ).join(", ")}.`
+        );
+        continue;
+      }
+      validate(item, schema.properties[key], `${prefix}${key}`, errors);
+    }
+  }
+}
+
+/**
+ * Returns a string list setting (a string or a list of strings) as a list.
+ *
+ * @param {string|string[]|undefined} value - The setting.
+ * @returns {string[]}
+ */
+function toList(value) {
+  if (value === undefined) return [];
+  return (Array.isArray(value) ? value : [value]).map((entry) => entry.trim());
+}
+
+/**
+ * Turns the `filters` of a project into item filter terms (see item-filters.js).
+ *
+ * @param {object} [filters] - The validated `filters` mapping.
+ * @returns {{key: string, values: string[], negated: boolean}[]}
+ */
+function toItemFilter(filters) {
+  if (!filters) return [];
+  const terms = [];
+  const addTerm = (key, values, negated) => {
+    if (values.length > 0) terms.push({ key, values, negated });
+  };
+  addTerm("repo", toList(filters.repositories), false);
+  addTerm("repo", toList(filters["exclude-repositories"]), true);
+  addTerm("is", toList(filters.state), false);
+  addTerm("label", toList(filters.labels), false);
+  addTerm("label", toList(filters["exclude-labels"]), true);
+  addTerm("type", toList(filters["issue-types"]), false);
+  if (filters.archived !== undefined) addTerm("is", ["archived"], !filters.archived);
+  return filters.query ? terms.concat(parseItemFilter(filters.query)) : terms;
+}
+
+/**
+ * Validates a parsed configuration file and normalizes it.
+ *
+ * @param {object} document - The parsed YAML document.
+ * @param {string} fileName - The configuration file, used in error messages.
+ * @returns {{options: object, projects: object[]}}
+ */
+function parseConfig(document, fileName) {
+  const errors = [];
+  validate(document, CONFIG_SCHEMA, "", errors);
+  if (errors.length === 0) {
+    document.projects.forEach((project, i) => {
+      for (const [key, value] of [
+        ["url", project.url],
+        ["source-project", project["source-project"]],
+      ]) {
+        if (value === undefined) continue;
+        try {
+          createProjectOwner(value.trim(), `projects[${i}].${key}`);
+        } catch (error) {
+          errors.push(error.message);
+        }
+      }
+      const fieldNames = new Set();
+      (project.fields || []).forEach((field, j) => {
+        const name = (typeof field === "string" ? field : field.name).trim();
+        if (fieldNames.has(name)) {
+          errors.push(`projects[${i}].fields[${j}] repeats the field ${name}.`);
+        }
+        fieldNames.add(name);
+      });
+      if (!project.fields && !project["status-rollup"] && !project["number-rollups"]) {
+        errors.push(`projects[${i}] must define fields, status-rollup or number-rollups.`);
+      }
+      if (project.filters && project.filters.query) {
+        try {
+          parseItemFilter(project.filters.query);
+        } catch (error) {
+          errors.push(`projects[${i}].filters.query is invalid: ${error.message}`);
+        }
+      }
+      (project["number-rollups"] || []).forEach((rollup, j) => {
+        const location = `projects[${i}].number-rollups[${j}]`;
+        if (["sum", "min", "max"].includes(rollup.aggregate) && !rollup.source) {
+          errors.push(`${location}.source is required for ${rollup.aggregate}.`);
+        }
+        if (rollup.aggregate === "count-by-status" && !rollup.statuses) {
+          errors.push(`${location}.statuses is required for count-by-status.`);
+        }
+      });
+    });
+  }
+  if (errors.length > 0) {
+    throw new Error(
+      `Invalid configuration in ${fileName}:\n${errors
+        .map((error) => ` - ${error}`)
+        .join("\n")}`
+    );
+  }
+
+  const options = document.options || {};
+  const projects = document.projects.map((project) => {
+    const addMissing = project["add-missing-descendants"];
+    const statusRollup = project["status-rollup"];
+    const pullRequests = project["pull-requests"];
+    return {
+      url: project.url.trim(),
+      sourceProjectUrl: project["source-project"] || null,
+      topParentIssueType:
+        project["top-parent-issue-type"] || DEFAULT_TOP_PARENT_ISSUE_TYPE,
+      traversal: project.traversal || "auto",
+      itemFilter: toItemFilter(project.filters),
+      inheritanceMaxDepth:
+        project["inheritance-max-depth"] || DEFAULT_INHERITANCE_MAX_DEPTH,
+      addMissingDescendants: !!addMissing,
+      addMissingRepositories:
+        addMissing && typeof addMissing === "object"
+          ? toList(addMissing.repositories)
+          : [],
+      pullRequests: pullRequests
+        ? {
+            conflicts:
+              (typeof pullRequests === "object" && pullRequests.conflicts) || "skip",
+          }
+        : null,
+      statusRollup: statusRollup
+        ? {
+            field:
+              (typeof statusRollup === "object" && statusRollup.field) ||
+              DEFAULT_STATUS_ROLLUP_FIELD,
+            rules:
+              typeof statusRollup === "object" && statusRollup.rules
+                ? statusRollup.rules.map((rule) => ({
+                    status: rule.status.trim(),
+                    when: rule.when,
+                    of: toList(rule.of),
+                  }))
+                : DEFAULT_STATUS_ROLLUP_RULES,
+          }
+        : null,
+      numberRollups: (project["number-rollups"] || []).map((rollup) => ({
+        field: rollup.field.trim(),
+        aggregate: rollup.aggregate,
+        source: rollup.source ? rollup.source.trim() : null,
+        statuses: rollup.statuses ? toList(rollup.statuses) : null,
+        statusField: rollup["status-field"] || DEFAULT_STATUS_ROLLUP_FIELD,
+      })),
+      fields: (project.fields || []).map((field) =>
+        typeof field === "string"
+          ? { name: field.trim(), sourceTypes: null, inheritance: "top-parent", writePolicy: null, clear: false }
+          : {
+              name: field.name.trim(),
+              sourceTypes: field.source === undefined ? null : toList(field.source),
+              inheritance: field.inheritance || "top-parent",
+              writePolicy: field.policy || null,
+              clear: !!field.clear,
+            }
+      ),
+    };
+  });
+  return {
+    options: {
+      dryRun: !!options["dry-run"],
+      check: !!options.check,
+      dryRunOutput: options["dry-run-output"] || DEFAULT_DRY_RUN_OUTPUT,
+      mutationBatchSize: options["mutation-batch-size"] || DEFAULT_BATCH_SIZE,
+      maxErrors: options["max-errors"] || Infinity,
+      auditComments: !!options["audit-comments"],
+      auditCommentLimit: options["audit-comment-limit"] || DEFAULT_MAX_COMMENTS,
+    },
+    projects,
+  };
+}
+
+/**
+ * Builds the configuration of a single project from the environment variables / action
+ * inputs (PROJECT_URL, SYNC_FIELDS, CLEAR_FIELDS, FIELD_WRITE_POLICIES, ...).
+ *
+ * @returns {object} - A normalized project configuration.
+ */
+function projectFromSettings() {
+  const url = readSetting("PROJECT_URL");
+  if (!url) {
+    throw new Error("PROJECT_URL is required in the environment.");
+  }
+  const syncFields = readListEnv("SYNC_FIELDS");
+  const warnUnknownFields = (settingName, names) => {
+    for (const name of names) {
+      if (!syncFields.includes(name)) {
+        core.warning(`${settingName} entry ${name} is not listed in SYNC_FIELDS and is ignored.`);
+      }
+    }
+  };
+
+  // Fields whose child values are cleared when the top parent has no value (opt-in).
+  const clearFields = readListEnv("CLEAR_FIELDS");
+  warnUnknownFields("CLEAR_FIELDS", clearFields);
+
+  // Per-field write policy: overwrite (default), fill-empty or never.
+  const writePolicies = readFieldMapEnv("FIELD_WRITE_POLICIES");
+  for (const [name, policy] of writePolicies) {
+    if (!WRITE_POLICIES.includes(policy)) {
+      throw new Error(
+        `Invalid write policy for field ${name}: ${policy}. Expected ${WRITE_POLICIES.join(", ")}.`
+      );
+    }
+  }
+  warnUnknownFields("FIELD_WRITE_POLICIES", writePolicies.keys());
+
+  // Per-field source: the nearest ancestor of the first listed Issue Type that exists
+  // (e.g. "Team:Epic|Initiative").
+  const fieldSourceTypes = readFieldMapEnv("FIELD_SOURCE_TYPES");
+  for (const [name, types] of fieldSourceTypes) {
+    if (types.split("|").some((type) => !type.trim())) {
+      throw new Error(
+        `Invalid source issue types for field ${name}: ${types}. Expected Issue Types separated by "|".`
+      );
+    }
+  }
+  warnUnknownFields("FIELD_SOURCE_TYPES", fieldSourceTypes.keys());
+
+  // Per-field inheritance: top-parent (default) or nearest-value.
+  const fieldInheritance = readFieldMapEnv("FIELD_INHERITANCE");
+  for (const [name, mode] of fieldInheritance) {
+    if (!INHERITANCE_MODES.includes(mode)) {
+      throw new Error(
+        `Invalid inheritance mode for field ${name}: ${mode}. Expected ${INHERITANCE_MODES.join(", ")}.`
+      );
+    }
+  }
+  warnUnknownFields("FIELD_INHERITANCE", fieldInheritance.keys());
+
+  // Status rollup: enabled by naming the field or the rules, e.g. "Done:all=Done".
+  let statusRollup = null;
+  const statusRollupField = readSetting("STATUS_ROLLUP_FIELD").trim();
+  const statusRollupRules = readFieldMapEnv("STATUS_ROLLUP_RULES");
+  if (statusRollupField || statusRollupRules.size > 0) {
+    const rules = [];
+    for (const [status, rule] of statusRollupRules) {
+      const match = /^(all|any)=(.+)$/.exec(rule);
+      if (!match || match[2].split("|").some((name) => !name.trim())) {
+        throw new Error(
+          `Invalid status rollup rule for ${status}: ${rule}. Expected all=<statuses> or any=<statuses>, with statuses separated by "|".`
+        );
+      }
+      rules.push({
+        status,
+        when: match[1],
+        of: match[2].split("|").map((name) => name.trim()),
+      });
+    }
+    statusRollup = {
+      field: statusRollupField || DEFAULT_STATUS_ROLLUP_FIELD,
+      rules: rules.length > 0 ? rules : DEFAULT_STATUS_ROLLUP_RULES,
+    };
+  }
+
+  // Number rollups, e.g. "Total estimate:sum(Estimate),Open tasks:count-by-status(Todo|In Progress)".
+  const numberRollups = [];
+  for (const [field, rollup] of readFieldMapEnv("NUMBER_ROLLUPS")) {
+    const match = /^(sum|min|max|count|count-by-status)(?:\((.*)\))?$/.exec(rollup);
+    const argument = match && match[2] ? match[2].trim() : "";
+    const needsArgument = match && match[1] !== "count";
+    if (!match || needsArgument !== !!argument) {
+      throw new Error(
+        `Invalid number rollup for ${field}: ${rollup}. Expected sum(<field>), min(<field>), max(<field>), count or count-by-status(<statuses>).`
+      );
+    }
+    numberRollups.push({
+      field,
+      aggregate: match[1],
+      source: ["sum", "min", "max"].includes(match[1]) ? argument : null,
+      statuses:
+        match[1] === "count-by-status"
+          ? argument.split("|").map((status) => status.trim())
+          : null,
+      statusField: statusRollupField || DEFAULT_STATUS_ROLLUP_FIELD,
+    });
+  }
+
+  // Pull requests inherit the values of the issues they close (opt-in).
+  let pullRequests = null;
+  if (readBooleanEnv("SYNC_PULL_REQUESTS")) {
+    const conflicts = (readSetting("PULL_REQUEST_CONFLICTS") || "skip").trim();
+    if (!PULL_REQUEST_CONFLICT_RULES.includes(conflicts)) {
+      throw new Error(
+        `Invalid PULL_REQUEST_CONFLICTS: ${conflicts}. Expected ${PULL_REQUEST_CONFLICT_RULES.join(" or ")}.`
+      );
+    }
+    pullRequests = { conflicts };
+  }
+
+  const traversal = (readSetting("TRAVERSAL_STRATEGY") || "auto").trim();
+  if (!TRAVERSAL_STRATEGIES.includes(traversal)) {
+    throw new Error(
+      `Invalid TRAVERSAL_STRATEGY: ${traversal}. Expected auto, top-down or bottom-up.`
+    );
+  }
+
+  // Only items matching the filter are synchronized, e.g. "repo:my-org/api is:open".
+  const itemFilter = readSetting("ITEM_FILTER");
+
+  return {
+    url,
+    sourceProjectUrl: readSetting("SOURCE_PROJECT_URL") || null,
+    topParentIssueType:
+      readSetting("TOP_PARENT_ISSUE_TYPE") || DEFAULT_TOP_PARENT_ISSUE_TYPE,
+    traversal,
+    itemFilter: itemFilter ? parseItemFilter(itemFilter) : [],
+    inheritanceMaxDepth: readPositiveIntegerEnv(
+      "INHERITANCE_MAX_DEPTH",
+      DEFAULT_INHERITANCE_MAX_DEPTH
+    ),
+    addMissingDescendants: readBooleanEnv("ADD_MISSING_DESCENDANTS"),
+    addMissingRepositories: readListEnv("ADD_MISSING_REPOSITORIES"),
+    pullRequests,
+    statusRollup,
+    numberRollups,
+    fields: syncFields.map((name) => ({
+      name,
+      sourceTypes: fieldSourceTypes.has(name)
+        ? fieldSourceTypes.get(name).split("|").map((type) => type.trim())
+        : null,
+      inheritance: fieldInheritance.get(name) || "top-parent",
+      writePolicy: writePolicies.get(name) || null,
+      clear: clearFields.includes(name),
+    })),
+  };
+}
+
+/**
+ * Resolves the path of the configuration file, or null when none is used.
+ *
+ * @returns {string|null}
+ */
+function resolveConfigFile() {
+  const configured = readSetting("CONFIG_FILE");
+  const relativePath = configured || DEFAULT_CONFIG_FILE;
+  const filePath = path.resolve(
+    process.env.GITHUB_WORKSPACE || process.cwd(),
+    relativePath
+  );
+  if (fs.existsSync(filePath)) return filePath;
+  if (configured) {
+    throw new Error(`Configuration file ${configured} (CONFIG_FILE) does not exist.`);
+  }
+  return null;
+}
+
+/**
+ * Loads the configuration of the run from the configuration file, or from the
+ * environment variables / action inputs when there is none.
+ *
+ * @returns {{options: {dryRun: boolean, check: boolean, dryRunOutput: string, mutationBatchSize: number,
+ *   maxErrors: number, auditComments: boolean, auditCommentLimit: number}, projects: object[]}}
+ */
+function loadConfig() {
+  const filePath = resolveConfigFile();
+  let config;
+  if (filePath) {
+    const fileName = path.relative(
+      process.env.GITHUB_WORKSPACE || process.cwd(),
+      filePath
+    );
+    let document;
+    try {
+      document = yaml.safeLoad(fs.readFileSync(filePath, "utf8"));
+    } catch (error) {
+      throw new Error(`Invalid YAML in ${fileName}: ${error.message}`);
+    }
+    config = parseConfig(document, fileName);
+    core.info(
+      `Loaded ${config.projects.length} project(s) from configuration file ${fileName}.`
+    );
+    if (readSetting("PROJECT_URL") || readSetting("SYNC_FIELDS")) {
+      core.warning(
+        `PROJECT_URL and SYNC_FIELDS are ignored because ${fileName} defines the projects.`
+      );
+    }
+  } else {
+    config = {
+      options: {
+        dryRun: false,
+        check: false,
+        dryRunOutput: DEFAULT_DRY_RUN_OUTPUT,
+        mutationBatchSize: DEFAULT_BATCH_SIZE,
+        maxErrors: Infinity,
+        auditComments: false,
+        auditCommentLimit: DEFAULT_MAX_COMMENTS,
+      },
+      projects: [projectFromSettings()],
+    };
+  }
+
+  // Run options given as inputs or environment variables override the file.
+  const options = config.options;
+  if (readSetting("DRY_RUN")) options.dryRun = readBooleanEnv("DRY_RUN");
+  if (readSetting("CHECK")) options.check = readBooleanEnv("CHECK");
+  options.dryRunOutput = readSetting("DRY_RUN_OUTPUT") || options.dryRunOutput;
+  options.mutationBatchSize = readPositiveIntegerEnv(
+    "MUTATION_BATCH_SIZE",
+    options.mutationBatchSize
+  );
+  options.maxErrors = readPositiveIntegerEnv("MAX_ERRORS", options.maxErrors);
+  if (readSetting("AUDIT_COMMENTS")) {
+    options.auditComments = readBooleanEnv("AUDIT_COMMENTS");
+  }
+  options.auditCommentLimit = readPositiveIntegerEnv(
+    "AUDIT_COMMENT_LIMIT",
+    options.auditCommentLimit
+  );
+
+  // Every project writes its own dry run report.
+  config.projects.forEach((project, i) => {
+    project.dryRunOutput =
+      i === 0
+        ? options.dryRunOutput
+        : options.dryRunOutput.replace(/(\.json)?$/, `-${i + 1}$1`);
+  });
+  return config;
+}
+
+module.exports = {
+  DEFAULT_CONFIG_FILE,
+  WRITE_POLICIES,
+  INHERITANCE_MODES,
+  parseConfig,
+  loadConfig,
+};
@@ -1,370 +1,1575 @@
 #!/usr/bin/env node
 
 /*
-  This script updates the "Initiative" field on project items (linked to issues)
-  by copying the Initiative value from the top-level parent initiative issue.
+  This script updates the fields listed in SYNC_FIELDS (e.g. "Initiative") on project items
+  (linked to issues) by copying their values from the top-level parent initiative issue.
+  Single select, iteration, date, number and text fields are supported.
+
+  The projects and fields to sync come from the .github/dependants-sync.yml configuration file
+  (CONFIG_FILE), or from the environment variables / action inputs when there is no such file
+  (see config.js). Every configured project is synchronized in turn.
 
   The logic is as follows:
-  1. Retrieve the project details (fields and id) using the PROJECT_URL environment variable.
+  1. Retrieve the project details (fields and id) using the project URL (PROJECT_URL).
   2. Locate the Initiative field (by name "Initiative") and its options.
-  3. Load all project items (with pagination).
-  4. Iterate over every project item linked to an issue.
-  5. For each issue, traverse its parent chain (using the sub_issues and issue_types APIs)
-     until you find a parent whose Issue Type is "Initiative".
-  6. If a parent initiative issue is found, locate its project item in the project and retrieve its
-     Initiative field value.
-  7. Update the currently processed project item to use that Initiative field value.
+  3. When triggered by an issues, sub_issues or projects_v2_item event, narrow the run to the
+     hierarchy of the top parent of the issue from the event payload.
+  4. Load all project items (with pagination) and iterate over every project item linked to an issue,
+     leaving out the items that do not match the item filter (ITEM_FILTER, see item-filters.js).
+  5. For each issue, find the nearest parent whose Issue Type is "Initiative", either by traversing
+     its parent chain (bottom-up) or by walking the sub-issues of every Initiative item in the
+     project (top-down), using the sub_issues and issue_types APIs. With ADD_MISSING_DESCENDANTS,
+     descendants of top parents that are not in the project yet are added to it first. Fields listed in
+     FIELD_SOURCE_TYPES come from the nearest ancestor of their own Issue Type(s) instead; all of
+     them are resolved from a single walk of the parent chain, which also finds the nearest
+     ancestor with a value for fields using nearest-value inheritance (FIELD_INHERITANCE).
+     With SYNC_PULL_REQUESTS, pull requests are processed too: every issue a pull request closes
+     counts as its parent, and PULL_REQUEST_CONFLICTS decides what happens when those issues lead
+     to different values.
+  6. If a parent initiative issue is found, locate its project item in the project (or in the
+     SOURCE_PROJECT_URL project, mapping options by name) and retrieve its Initiative field value.
+  7. Update the currently processed project item to use that Initiative field value, unless the
+     field's write policy (FIELD_WRITE_POLICIES: overwrite, fill-empty or never) keeps the child's value.
+     With DRY_RUN enabled the planned changes are only reported (log table and JSON file). With
+     CHECK enabled nothing is written either, and the run fails with the list of out-of-sync items.
+     With AUDIT_COMMENTS, a marker-tagged comment on every changed issue records the old and new
+     values and their source (see audit.js).
+  8. With a status rollup (STATUS_ROLLUP_FIELD / STATUS_ROLLUP_RULES), derive the Status of every
+     parent item from the Status of its child items using the rule table, and with NUMBER_ROLLUPS
+     aggregate number fields over the descendants of every item (see rollup.js), reusing the
+     parent links found while traversing the hierarchy.
 */
 
 const core = require("@actions/core");
 const github = require("@actions/github");
-const { URL } = require("url");
+const {
+  RATE_LIMIT_SELECTION,
+  createGraphqlClient,
+} = require("./graphql-client");
+const { createProjectOwner } = require("./project-owner");
+const {
+  PROJECT_FIELDS_FRAGMENT,
+  ITEM_FIELD_VALUES_FRAGMENT,
+  normalizeField,
+  getFieldValueFromItem,
+  formatFieldValue,
+  mapFieldValue,
+} = require("./field-values");
+const { readSetting } = require("./settings");
+const { loadConfig } = require("./config");
+const { updateProjectFields, addProjectItems } = require("./mutations");
+const { postAuditComments } = require("./audit");
+const {
+  formatChangesTable,
+  writeChangesArtifact,
+  formatFailure,
+  formatFailures,
+  formatDrift,
+  mergeOutcomes,
+  publishOutcome,
+} = require("./report");
+const {
+  createAncestorCache,
+  findParentInitiativeIssue,
+  findParentIssue,
+  loadAncestors,
+  loadSubIssueTree,
+  buildTopParentMap,
+} = require("./hierarchy");
+const { rollUpStatuses, rollUpNumbers } = require("./rollup");
+const {
+  LABELS_PAGE_SIZE,
+  createItemFilter,
+  formatItemFilter,
+} = require("./item-filters");
+const { resolveEventScope } = require("./event-scope");
+
+// Page sizes of the project fields and of the field values of each item.
+const FIELDS_PAGE_SIZE = 100;
+const FIELD_VALUES_PAGE_SIZE = 50;
+// Number of issues read from the closing references of a pull request.
+const CLOSING_ISSUES_PAGE_SIZE = 25;
+// Selection of the item filter properties shared by issues and pull requests.
+const FILTERED_CONTENT_SELECTION = `
+              state
+              repository {
+                nameWithOwner
+              }
+              labels(first: ${LABELS_PAGE_SIZE}) {
+                nodes {
+                  name
+                }
+              }`;
 
 //
-// Helper function to load all project items using pagination.
+// Helper function to query the id and all fields of a project using pagination.
 //
-async function loadAllProjectItems(octokit, org, projectNumber) {
-  let items = [];
+async function loadProjectDetails(octokit, owner) {
+  const projectDetailsQuery = owner.query(
+    `
+      id
+      fields(first: ${FIELDS_PAGE_SIZE}, after: $after) {
+        nodes {
+          ${PROJECT_FIELDS_FRAGMENT}
+        }
+        pageInfo {
+          hasNextPage
+          endCursor
+        }
+      }
+    `,
+    "$after: String"
+  );
+  let projectData = null;
   let after = null;
   let hasNextPage = true;
   while (hasNextPage) {
-    const itemsQuery = `
-      query ($org: String!, $number: Int!, $after: String) {
-         organization(login: $org) {
-           projectV2(number: $number) {
-             items(first: 100, after: $after) {
-               nodes {
-                 id
-                 fieldValues(first: 10) {
-                   nodes {
-                     ... on ProjectV2ItemFieldSingleSelectValue {
-                       field {
-                         ... on ProjectV2SingleSelectField {
-                           name
-                           id
-                         }
-                       }
-                       optionId
-                     }
-                   }
-                 }
-                 content {
-                   ... on Issue {
-                     id
-                   }
-                 }
-               }
-               pageInfo {
-                 hasNextPage
-                 endCursor
-               }
-             }
-           }
-         }
-      }
-    `;
-    const variables = { org, number: projectNumber, after };
-    const result = await octokit.graphql(itemsQuery, variables);
-    const currentItems = result.organization.projectV2.items.nodes;
-    items = items.concat(currentItems);
-    const pageInfo = result.organization.projectV2.items.pageInfo;
-    hasNextPage = pageInfo.hasNextPage;
-    after = pageInfo.endCursor;
+    const projectDetailsResult = await octokit.graphql(
+      projectDetailsQuery,
+      owner.variables({ after })
+    );
+    const page = owner.project(projectDetailsResult);
+    if (!page) return null;
+    if (projectData) {
+      projectData.fields.nodes = projectData.fields.nodes.concat(page.fields.nodes);
+    } else {
+      projectData = page;
+    }
+    const pageInfo = page.fields.pageInfo;
+    hasNextPage = !!(pageInfo && pageInfo.hasNextPage);
+    after = pageInfo ? pageInfo.endCursor : null;
   }
-  return items;
+  return projectData;
 }
 
-async function run() {
-  try {
-    // Ensure required environment variables are provided.
-    const token = process.env.GITHUB_TOKEN;
-    if (!token) {
-      throw new Error("GITHUB_TOKEN is required");
+const ITEM_FIELD_VALUES_QUERY = `
+  query ($id: ID!, $after: String) {
+    ${RATE_LIMIT_SELECTION}
+    node(id: $id) {
+      ... on ProjectV2Item {
+        fieldValues(first: ${FIELD_VALUES_PAGE_SIZE}, after: $after) {
+          nodes {
+            ${ITEM_FIELD_VALUES_FRAGMENT}
+          }
+          pageInfo {
+            hasNextPage
+            endCursor
+          }
+        }
+      }
     }
-    const octokit = github.getOctokit(token);
-
-    // ─── STEP 1. Retrieve project details (fields and id) using PROJECT_URL ─────
-    const projectUrl = process.env.PROJECT_URL;
-    if (!projectUrl) {
-      throw new Error("PROJECT_URL is required in the environment.");
-    }
-    // Example URL (Organization project): https://github.com/orgs/my-org/projects/1
-    const parsedUrl = new URL(projectUrl);
-    const pathParts = parsedUrl.pathname.split("/").filter(Boolean);
-    if (!(pathParts[0] === "orgs" && pathParts.length >= 3)) {
-      throw new Error(`Cannot parse PROJECT_URL: ${projectUrl}`);
-    }
-    const orgLogin = pathParts[1];
-    const projectNumber = parseInt(pathParts[3], 10);
-
-    const projectDetailsQuery = `
-      query ($org: String!, $number: Int!) {
-        organization(login: $org) {
-          projectV2(number: $number) {
-            id
-            fields(first: 20) {
-              nodes {
-                ... on ProjectV2SingleSelectField {
+  }
+`;
+
+//
+// Helper function to load the field values of an item that did not fit in its first page.
+//
+async function loadRemainingFieldValues(octokit, item) {
+  let pageInfo = item.fieldValues.pageInfo;
+  while (pageInfo && pageInfo.hasNextPage) {
+    const result = await octokit.graphql(ITEM_FIELD_VALUES_QUERY, {
+      id: item.id,
+      after: pageInfo.endCursor,
+    });
+    if (!result.node || !result.node.fieldValues) break;
+    item.fieldValues.nodes = item.fieldValues.nodes.concat(result.node.fieldValues.nodes);
+    pageInfo = result.node.fieldValues.pageInfo;
+  }
+}
+
+//
+// Helper function to load all project items and their field values using pagination.
+//
+async function loadAllProjectItems(octokit, owner) {
+  let items = [];
+  let after = null;
+  let hasNextPage = true;
+  const itemsQuery = owner.query(
+    `
+      items(first: 100, after: $after) {
+        nodes {
+          id
+          isArchived
+          fieldValues(first: ${FIELD_VALUES_PAGE_SIZE}) {
+            nodes {
+              ${ITEM_FIELD_VALUES_FRAGMENT}
+            }
+            pageInfo {
+              hasNextPage
+              endCursor
+            }
+          }
+          content {
+            __typename
+            ... on Issue {
+              id
+              url
+              issueType {
+                name
+              }${FILTERED_CONTENT_SELECTION}
+            }
+            ... on PullRequest {
+              id
+              url${FILTERED_CONTENT_SELECTION}
+              closingIssuesReferences(first: ${CLOSING_ISSUES_PAGE_SIZE}) {
+                nodes {
                   id
-                  name
-                  options {
-                    id
+                  issueType {
                     name
                   }
                 }
-                ... on ProjectV2FieldCommon {
-                  id
-                  name
-                  __typename
-                }
               }
             }
           }
         }
+        pageInfo {
+          hasNextPage
+          endCursor
+        }
       }
-    `;
-    const projectDetailsVariables = { org: orgLogin, number: projectNumber };
-    core.info("Querying project details...");
-    const projectDetailsResult = await octokit.graphql(
-      projectDetailsQuery,
-      projectDetailsVariables
-    );
-    const projectData = projectDetailsResult.organization.projectV2;
-    if (!projectData) {
-      throw new Error("Unable to retrieve project details from the given URL.");
+    `,
+    "$after: String"
+  );
+  while (hasNextPage) {
+    const variables = owner.variables({ after });
+    const result = await octokit.graphql(itemsQuery, variables);
+    const project = owner.project(result);
+    items = items.concat(project.items.nodes);
+    const pageInfo = project.items.pageInfo;
+    hasNextPage = pageInfo.hasNextPage;
+    after = pageInfo.endCursor;
+  }
+  // Items with more field values than fit in one page are completed one by one.
+  for (const item of items) {
+    if (item.fieldValues) {
+      await loadRemainingFieldValues(octokit, item);
     }
-    const projectId = projectData.id;
-    core.info(`Found project id: ${projectId}`);
+  }
+  return items;
+}
 
-    // ─── STEP 2. Locate the Initiative field by name ─────────────────────────────
-    const syncFields = process.env.SYNC_FIELDS ? process.env.SYNC_FIELDS.split(',').map(field => field.trim()) : [];
-    const fieldsToSync = projectData.fields.nodes.filter(
-      (field) => syncFields.includes(field.name) && field.__typename === "ProjectV2SingleSelectField"
+/**
+ * Returns true when the project item is linked to a pull request.
+ *
+ * @param {object} projectItem - A project item node.
+ * @returns {boolean}
+ */
+function isPullRequestItem(projectItem) {
+  return !!(projectItem.content && projectItem.content.__typename === "PullRequest");
+}
+
+/**
+ * Returns true when the project item is linked to an issue.
+ *
+ * @param {object} projectItem - A project item node.
+ * @returns {boolean}
+ */
+function isIssueItem(projectItem) {
+  return !!(projectItem.content && projectItem.content.id && !isPullRequestItem(projectItem));
+}
+
+/**
+ * Returns true when the project item is linked to an issue of the given Issue Type.
+ *
+ * @param {object} projectItem - A project item node.
+ * @param {string} issueType - The Issue Type name.
+ * @returns {boolean}
+ */
+function isIssueOfType(projectItem, issueType) {
+  return !!(
+    projectItem.content &&
+    projectItem.content.issueType &&
+    projectItem.content.issueType.name === issueType
+  );
+}
+
+/**
+ * Builds the project item an issue gets when it is added to the project: no field values
+ * yet, and the issue properties read by item filters.
+ *
+ * @param {object} subIssue - A sub-issue node (see SUB_ISSUES_QUERY in hierarchy.js).
+ * @returns {object}
+ */
+function toNewProjectItem(subIssue) {
+  return {
+    id: null,
+    isArchived: false,
+    fieldValues: { nodes: [] },
+    content: {
+      __typename: "Issue",
+      id: subIssue.id,
+      url: subIssue.url,
+      state: subIssue.state,
+      repository: subIssue.repository || null,
+      labels: subIssue.labels || { nodes: [] },
+      issueType: subIssue.issueType || null,
+    },
+  };
+}
+
+/**
+ * Returns the distinct issue ids of the top parent items of one or more projects.
+ *
+ * @param {object[]} items - Project items.
+ * @param {string} topParentIssueType - The Issue Type of top parents.
+ * @returns {string[]}
+ */
+function collectTopParentIds(items, topParentIssueType) {
+  return [
+    ...new Set(
+      items
+        .filter((item) => isIssueOfType(item, topParentIssueType))
+        .map((item) => item.content.id)
+    ),
+  ];
+}
+
+/**
+ * Picks the traversal strategy used to resolve top parents (TRAVERSAL_STRATEGY).
+ *
+ * "auto" (the default) uses top-down when the project contains top parent items and
+ * there are fewer of them than issue items, since top-down costs at least one request
+ * per top parent while bottom-up costs at least one request per issue.
+ *
+ * @param {object[]} items - All project items.
+ * @param {string} topParentIssueType - The Issue Type of top parents.
+ * @param {string} strategy - The configured strategy: auto, top-down or bottom-up.
+ * @returns {string} - "top-down" or "bottom-up".
+ */
+function chooseTraversalStrategy(items, topParentIssueType, strategy) {
+  const issueItemCount = items.filter(isIssueItem).length;
+  const topParentItemCount = items.filter((item) =>
+    isIssueOfType(item, topParentIssueType)
+  ).length;
+  let chosen = strategy;
+  if (strategy === "auto") {
+    chosen =
+      topParentItemCount > 0 && topParentItemCount < issueItemCount
+        ? "top-down"
+        : "bottom-up";
+  }
+  core.info(
+    `Using ${chosen} traversal (${topParentItemCount} top parent item(s), ${issueItemCount} issue item(s)).`
+  );
+  return chosen;
+}
+
+/**
+ * Synchronizes the fields of one project.
+ *
+ * Item failures are recorded in the project's outcome, which is added to `outcomes` as
+ * soon as items start being processed; only fatal errors (including MAX_ERRORS) are thrown.
+ *
+ * @param {object} octokit - The rate limit aware GraphQL client.
+ * @param {object} project - A normalized project configuration (see config.js).
+ * @param {object} options - The run options (dry run, batch size, error limit).
+ * @param {object[]} outcomes - Receives the outcome of the project.
+ */
+async function syncProject(octokit, project, options, outcomes) {
+  // ─── STEP 1. Retrieve project details (fields and id) using PROJECT_URL ─────
+  const projectUrl = project.url;
+  // Example URL (Organization project): https://github.com/orgs/my-org/projects/1
+  // Example URL (User project): https://github.com/users/my-user/projects/1
+  const owner = createProjectOwner(projectUrl);
+
+  core.info("Querying project details...");
+  const projectData = await loadProjectDetails(octokit, owner);
+  if (!projectData) {
+    throw new Error("Unable to retrieve project details from the given URL.");
+  }
+  const projectId = projectData.id;
+  core.info(`Found project id: ${projectId}`);
+
+  // ─── STEP 2. Locate the Initiative field by name ─────────────────────────────
+  const fieldSettings = new Map(project.fields.map((field) => [field.name, field]));
+  const fieldsToSync = [];
+  for (const name of fieldSettings.keys()) {
+    if (!projectData.fields.nodes.some((node) => node.name === name)) {
+      core.warning(`Field ${name} was not found in the project and will not be synchronized.`);
+    }
+  }
+  for (const node of projectData.fields.nodes) {
+    if (!fieldSettings.has(node.name)) continue;
+    const field = normalizeField(node);
+    if (!field) {
+      core.warning(
+        `Field ${node.name} has an unsupported type (${node.__typename}) and will not be synchronized.`
+      );
+      continue;
+    }
+    fieldsToSync.push(field);
+  }
+
+  // The single select field derived from the children's values (opt-in).
+  let statusField = null;
+  const statusRollup = project.statusRollup;
+  if (statusRollup) {
+    if (fieldSettings.has(statusRollup.field)) {
+      throw new Error(
+        `Field ${statusRollup.field} cannot be both synchronized and rolled up.`
+      );
+    }
+    const node = projectData.fields.nodes.find(
+      (fieldNode) => fieldNode.name === statusRollup.field
     );
+    statusField = node ? normalizeField(node) : null;
+    if (!statusField || statusField.dataType !== "SINGLE_SELECT") {
+      throw new Error(
+        `Could not find a single select field named ${statusRollup.field} to roll up.`
+      );
+    }
+    for (const rule of statusRollup.rules) {
+      if (!statusField.options.some((option) => option.name === rule.status)) {
+        throw new Error(
+          `Status rollup rule ${rule.status} is not an option of field ${statusField.name}.`
+        );
+      }
+    }
+    statusField.writePolicy = "overwrite";
+    core.info(
+      `Rolling up ${statusField.name} from child items: ${statusRollup.rules
+        .map((rule) => `${rule.status} when ${rule.when} of ${rule.of.join(" or ")}`)
+        .join(", ")}.`
+    );
+  }
 
-    if (fieldsToSync.length === 0) {
+  // Number fields aggregated over the descendants of every item (opt-in).
+  const numberRollups = [];
+  for (const rollup of project.numberRollups) {
+    const findField = (name) => {
+      const node = projectData.fields.nodes.find((fieldNode) => fieldNode.name === name);
+      return node ? normalizeField(node) : null;
+    };
+    if (fieldSettings.has(rollup.field) || (statusField && statusField.name === rollup.field)) {
+      throw new Error(`Field ${rollup.field} cannot be both synchronized and rolled up.`);
+    }
+    const field = findField(rollup.field);
+    if (!field || field.dataType !== "NUMBER") {
+      throw new Error(`Could not find a number field named ${rollup.field} to roll up.`);
+    }
+    const sourceField = rollup.source ? findField(rollup.source) : null;
+    if (rollup.source && (!sourceField || sourceField.dataType !== "NUMBER")) {
+      throw new Error(
+        `Could not find a number field named ${rollup.source} to roll up into ${rollup.field}.`
+      );
+    }
+    const rollupStatusField = rollup.statuses ? findField(rollup.statusField) : null;
+    if (rollup.statuses && (!rollupStatusField || rollupStatusField.dataType !== "SINGLE_SELECT")) {
       throw new Error(
-        'Could not find any valid single select fields to sync in the project.'
+        `Could not find a single select field named ${rollup.statusField} to count ${rollup.field} by.`
       );
     }
+    field.writePolicy = "overwrite";
+    numberRollups.push({
+      field,
+      aggregate: rollup.aggregate,
+      sourceField,
+      statusField: rollupStatusField,
+      statuses: rollup.statuses,
+    });
+  }
+  if (numberRollups.length > 0) {
+    core.info(
+      `Rolling up number fields from descendant items: ${numberRollups
+        .map(
+          (rollup) =>
+            `${rollup.field.name} = ${rollup.aggregate}(${
+              rollup.sourceField ? rollup.sourceField.name : (rollup.statuses || []).join(" or ")
+            })`
+        )
+        .join(", ")}.`
+    );
+  }
+
+  if (fieldsToSync.length === 0 && !statusField && numberRollups.length === 0) {
+    throw new Error(
+      'Could not find any supported fields to sync in the project.'
+    );
+  }
+  if (fieldsToSync.length > 0) {
     core.info(`Found fields to sync: ${fieldsToSync.map(field => field.name).join(', ')}`);
+  }
 
-    // ─── STEP 3. Load all project items with pagination ───────────────────────────
-    core.info("Loading all project items...");
-    const allItems = await loadAllProjectItems(
-      octokit,
-      orgLogin,
-      projectNumber
+  // Items outside the filter are neither traversed nor written (opt-in).
+  const matchesItemFilter =
+    project.itemFilter.length > 0
+      ? createItemFilter(
+          project.itemFilter,
+          projectData.fields.nodes.map(normalizeField).filter(Boolean)
+        )
+      : null;
+  if (matchesItemFilter) {
+    core.info(`Only synchronizing items matching: ${formatItemFilter(project.itemFilter)}`);
+  }
+
+  // Per-field settings: clearing (opt-in), write policy, source issue types and inheritance.
+  // Fields without source issue types use the top parent issue type.
+  const topParentIssueType = project.topParentIssueType;
+  for (const field of fieldsToSync) {
+    const settings = fieldSettings.get(field.name);
+    field.clear = settings.clear;
+    field.sourceTypes = settings.sourceTypes || [topParentIssueType];
+    field.inheritance = settings.inheritance;
+    // Values set on intermediate ancestors are sources themselves, so nearest-value fields
+    // keep them by default.
+    field.writePolicy =
+      settings.writePolicy ||
+      (field.inheritance === "nearest-value" ? "fill-empty" : "overwrite");
+  }
+  const clearingFields = fieldsToSync.filter((field) => field.clear);
+  const nearestValueFields = fieldsToSync.filter(
+    (field) => field.inheritance === "nearest-value"
+  );
+  const inheritanceMaxDepth = project.inheritanceMaxDepth;
+
+  const sourceIssueTypes = [
+    ...new Set(
+      fieldsToSync
+        .filter((field) => field.inheritance === "top-parent")
+        .flatMap((field) => field.sourceTypes)
+    ),
+  ];
+  const usesFieldSourceTypes =
+    fieldsToSync.length > 0 &&
+    (nearestValueFields.length > 0 ||
+      sourceIssueTypes.length !== 1 ||
+      sourceIssueTypes[0] !== topParentIssueType);
+  if (usesFieldSourceTypes) {
+    core.info(
+      `Source issue types: ${fieldsToSync
+        .map((field) =>
+          field.inheritance === "nearest-value"
+            ? `${field.name} from the nearest ancestor with a value (up to ${inheritanceMaxDepth} level(s))`
+            : `${field.name} from ${field.sourceTypes.join(" or ")}`
+        )
+        .join(", ")}.`
     );
-    projectData.items = { nodes: allItems };
+  }
 
-    if (!projectData.items || projectData.items.nodes.length === 0) {
-      core.info("No project items found in this project. Exiting.");
+  // ─── STEP 3. Narrow the run to the hierarchy touched by the triggering event ─
+  const ancestorCache = createAncestorCache();
+  let topParentByIssueId = null;
+  // Sub-issue nodes seen while walking top-down, used to add missing descendants.
+  const subIssuesById = new Map();
+  // Direct parent of every issue seen while traversing, used to roll up statuses.
+  const parentByIssueId = new Map();
+  // Top parents whose sub-issues could not be loaded, with the error. Each hierarchy is
+  // walked on its own, so one failing walk does not abort the whole project.
+  const unwalkedTopParents = new Map();
+  const walkTopParents = (topParentIds) =>
+    buildTopParentMap(octokit, topParentIds, topParentIssueType, {
+      issues: subIssuesById,
+      parents: parentByIssueId,
+      onError: (topParentId, error) => {
+        core.warning(
+          `Could not load the sub-issues of top parent ${topParentId}: ${error.message}`
+        );
+        unwalkedTopParents.set(topParentId, error.message);
+      },
+    });
+  const scopeTopParentIds = new Set();
+  let scope = resolveEventScope(github.context);
+  if (scope) {
+    core.info(`Triggered by ${scope.description}.`);
+    if (scope.ignore) {
+      core.info(`Nothing to synchronize: ${scope.ignore}.`);
       return;
     }
-
-    core.info(`Loaded ${allItems.length} project items.`);
-
-    /**
-     * Traverses an issue’s parent chain (using the sub_issues API) until it finds a parent
-     * whose Issue Type is "Initiative". Returns the GraphQL id of that parent, or null if not found.
-     *
-     * @param {string} currentId - The current issue’s GraphQL node id.
-     * @returns {Promise<string|null>}
-     */
-    async function findParentInitiativeIssue(currentId) {
-      const topParentIssueType = process.env.TOP_PARENT_ISSUE_TYPE || "Initiative";
-      const query = `
-        query ($id: ID!) {
-          node(id: $id) {
-            ... on Issue {
-              id
-              number
-              repository {
-                nameWithOwner
-              }
-              parent {
-                id
-                number
-                repository {
-                  nameWithOwner
-                }
-                issueType {
-                  id
-                  name
-                }
-              }
-            }
-          }
-        }
-      `;
-      const visited = new Set();
-      const maxDepth = 50;
-      let depth = 0;
-      while (true) {
-        if (visited.has(currentId)) {
-          core.info(`Cycle detected at issue ${currentId}.`);
-          return null;
-        }
-        if (depth > maxDepth) {
-          core.info(`Maximum traversal depth of ${maxDepth} reached.`);
-          return null;
-        }
-        visited.add(currentId);
-        depth++;
-        const result = await octokit.graphql(query, {
-          id: currentId,
-          headers: {
-            "GraphQL-Features": "sub_issues,issue_types",
-          },
-        });
-        const issue = result.node;
-        if (!issue || !issue.parent) {
-          core.info("No parent found.");
-          return null;
-        }
-        const parent = issue.parent;
-        try {
-          const parentType = issue.parent.issueType;
-          core.info(`Parent ${parent.id} has issue type "${parentType.name}"`);
-          if (parentType.name === topParentIssueType) {
-            return parent.id;
-          }
-        } catch (e) {
-          core.info(
-            `Failed to get issue type for parent ${parent.id}: ${e.message}`
-          );
+    if (scope.projectId && scope.projectId !== projectId) {
+      core.info(
+        `Event belongs to project ${scope.projectId}, not ${projectId}. Nothing to synchronize.`
+      );
+      return;
+    }
+    // A pull request takes its values from the issues it closes, wherever they are in the
+    // project, so its events synchronize the whole project.
+    if (scope.pullRequestId) {
+      if (!project.pullRequests) {
+        core.info("Nothing to synchronize: pull requests are not synchronized.");
+        return;
+      }
+      scope = null;
+    }
+  }
+  if (!scope) {
+    core.info("Synchronizing all project items.");
+  } else {
+    // Per-field source types and nearest-value fields can take their values from any
+    // ancestor, so the run is narrowed to the root of the parent chain instead.
+    const findScopeTopParent = usesFieldSourceTypes
+      ? async (issueId) => {
+          const { chain } = await loadAncestors(octokit, issueId, {
+            depth: Infinity,
+            cache: ancestorCache,
+          });
+          return chain.length > 0 ? chain[chain.length - 1].id : issueId;
         }
-        // Continue traversing upward.
-        currentId = parent.id;
+      : (issueId) =>
+          findParentInitiativeIssue(octokit, issueId, topParentIssueType, {
+            includeSelf: true,
+            cache: ancestorCache,
+          });
+    const scopeTopParentId = await findScopeTopParent(scope.issueId);
+    if (scopeTopParentId) scopeTopParentIds.add(scopeTopParentId);
+    // A sub-issue removed from its parent no longer has a top parent (unless it is one):
+    // it and its descendants are synchronized without one, which clears them with
+    // CLEAR_FIELDS, and the hierarchy of the former parent is rolled up again.
+    let detachedIssueIds = [];
+    if (scope.detached) {
+      if (!scopeTopParentId) {
+        const { descendants } = await loadSubIssueTree(
+          octokit,
+          scope.issueId,
+          topParentIssueType,
+          { issues: subIssuesById, parents: parentByIssueId }
+        );
+        detachedIssueIds = [scope.issueId, ...descendants];
+      }
+      const formerTopParentId = scope.formerParentId
+        ? await findScopeTopParent(scope.formerParentId)
+        : null;
+      if (formerTopParentId) scopeTopParentIds.add(formerTopParentId);
+    }
+    if (scopeTopParentIds.size === 0 && detachedIssueIds.length === 0) {
+      core.info(
+        `No ${topParentIssueType} parent found for issue ${scope.issueId}. Nothing to synchronize.`
+      );
+      return;
+    }
+    topParentByIssueId = await walkTopParents([...scopeTopParentIds]);
+    if (scopeTopParentIds.size > 0) {
+      core.info(
+        `Synchronizing ${topParentByIssueId.size} descendant(s) of ${
+          usesFieldSourceTypes ? "root issue" : "top parent"
+        } ${[...scopeTopParentIds].join(", ")}.`
+      );
+    }
+    // Roots are synchronized too, like in a full run (their fields may be cleared).
+    if (usesFieldSourceTypes) {
+      for (const rootId of scopeTopParentIds) {
+        topParentByIssueId.set(rootId, null);
+      }
+    }
+    if (detachedIssueIds.length > 0) {
+      core.info(
+        `Issue ${scope.issueId} was removed from its parent and has no ${topParentIssueType} parent. Synchronizing it and its ${
+          detachedIssueIds.length - 1
+        } descendant(s).`
+      );
+      for (const issueId of detachedIssueIds) {
+        topParentByIssueId.set(issueId, null);
       }
     }
+  }
 
-    /**
-     * Retrieves the Initiative field value (option id) from a given project item.
-     *
-     * @param {object} projectItem - A project item node.
-     * @param {string} fieldName - The name of the field to retrieve.
-     * @returns {string|null} - The field value (option id), or null if not set.
-     */
-    function getFieldOptionIdFromItem(projectItem, fieldName) {
-      if (!projectItem.fieldValues) return null;
-      const fieldValue = projectItem.fieldValues.nodes.find(
-        (node) => node.field && node.field.name === fieldName
-      );
-      return fieldValue && fieldValue.optionId
-        ? fieldValue.optionId
-        : null;
+  // ─── STEP 4. Load all project items with pagination ───────────────────────────
+  core.info("Loading all project items...");
+  const allItems = await loadAllProjectItems(octokit, owner);
+  projectData.items = { nodes: allItems };
+
+  if (!projectData.items || projectData.items.nodes.length === 0) {
+    core.info("No project items found in this project. Exiting.");
+    return;
+  }
+
+  core.info(`Loaded ${allItems.length} project items.`);
+
+  // Filtered out items can still be the source of their descendants' values.
+  const filteredOutItemIds = new Set();
+  if (matchesItemFilter) {
+    for (const item of allItems) {
+      if (!matchesItemFilter(item)) filteredOutItemIds.add(item.id);
     }
+    core.info(
+      `Filtered out ${filteredOutItemIds.size} of ${allItems.length} project item(s).`
+    );
+  }
+  const isFilteredIn = (item) => !filteredOutItemIds.has(item.id);
 
-    /**
-     * Updates a field on a project item.
-     *
-     * @param {string} projectId - The project’s GraphQL id.
-     * @param {string} itemId - The project item’s GraphQL id.
-     * @param {string} fieldId - The field’s GraphQL id.
-     * @param {string} optionId - The single-select option id to set.
-     */
-    async function updateProjectField(projectId, itemId, fieldId, optionId) {
-      const mutation = `
-        mutation($projectId: ID!, $itemId: ID!, $fieldId: ID!, $value: ProjectV2FieldValue!) {
-          updateProjectV2ItemFieldValue(input: {
-            projectId: $projectId,
-            itemId: $itemId,
-            fieldId: $fieldId,
-            value: $value
-          }) {
-            projectV2Item {
-              id
-            }
-          }
-        }
-      `;
-      const variables = {
-        projectId,
-        itemId,
-        fieldId,
-        value: { singleSelectOptionId: optionId },
-      };
-      const res = await octokit.graphql(mutation, variables);
+  // Parent values can be read from another project (e.g. a portfolio project holding the
+  // Initiatives). Its field values are mapped onto this project's fields by option name.
+  const sourceItemByIssueId = new Map();
+  let sourceItems = [];
+  const sourceProjectUrl = project.sourceProjectUrl;
+  if (sourceProjectUrl) {
+    const sourceOwner = createProjectOwner(sourceProjectUrl, "SOURCE_PROJECT_URL");
+    core.info("Querying source project details...");
+    const sourceProjectData = await loadProjectDetails(octokit, sourceOwner);
+    if (!sourceProjectData) {
+      throw new Error(
+        "Unable to retrieve source project details from SOURCE_PROJECT_URL."
+      );
+    }
+    for (const field of fieldsToSync) {
+      const node = sourceProjectData.fields.nodes.find(
+        (sourceNode) => sourceNode.name === field.name
+      );
+      const sourceField = node ? normalizeField(node) : null;
+      if (!sourceField || sourceField.dataType !== field.dataType) {
+        core.warning(
+          `Source project has no ${field.dataType} field named ${field.name}; its values are read from this project.`
+        );
+        continue;
+      }
+      field.sourceField = sourceField;
+    }
+    sourceItems = await loadAllProjectItems(octokit, sourceOwner);
+    for (const item of sourceItems) {
+      if (isIssueItem(item)) {
+        sourceItemByIssueId.set(item.content.id, item);
+      }
+    }
+    core.info(
+      `Loaded ${sourceItems.length} item(s) from source project ${sourceProjectData.id}.`
+    );
+  }
+
+  // ─── STEP 5. Resolve the top parent of every item ─────────────────────────────
+  // bottom-up walks the parent chain of every item (one request per ancestor per item),
+  // top-down walks the sub-issues of every top parent item (one request per issue with sub-issues).
+  // Per-field source types and nearest-value fields are always resolved bottom-up, with a
+  // single walk per item.
+  if (usesFieldSourceTypes) {
+    core.info("Using bottom-up traversal to resolve per-field source issue types.");
+  } else if (!topParentByIssueId) {
+    const strategy = chooseTraversalStrategy(
+      allItems.filter(isFilteredIn),
+      topParentIssueType,
+      project.traversal
+    );
+    if (strategy === "top-down") {
+      const topParentIds = collectTopParentIds(allItems.concat(sourceItems), topParentIssueType);
+      topParentByIssueId = await walkTopParents(topParentIds);
       core.info(
-        `Updated project item ${itemId} with field option id: ${optionId}.`
+        `Resolved top parents for ${topParentByIssueId.size} issue(s) from ${topParentIds.length} top parent item(s).`
       );
-      return res;
     }
+  }
+  const findTopParent = (issueNodeId) =>
+    findParentInitiativeIssue(octokit, issueNodeId, topParentIssueType, {
+      cache: ancestorCache,
+      parents: parentByIssueId,
+    });
+  // Bottom-up runs switch to the top parent map when ADD_MISSING_DESCENDANTS builds one.
+  // The map only holds descendants of top parent items, so with CLEAR_FIELDS the other
+  // issues are walked up: only those without any top parent may be cleared, not those whose
+  // top parent is missing from the project. Issues of hierarchies that could not be walked
+  // down are walked up too.
+  const resolveTopParent = async (issueNodeId) => {
+    if (!topParentByIssueId) return findTopParent(issueNodeId);
+    if (topParentByIssueId.has(issueNodeId)) return topParentByIssueId.get(issueNodeId);
+    const projectItem = projectItemByIssueId.get(issueNodeId);
+    if (
+      (clearingFields.length === 0 && unwalkedTopParents.size === 0) ||
+      (projectItem && isIssueOfType(projectItem, topParentIssueType))
+    ) {
+      return null;
+    }
+    return findTopParent(issueNodeId);
+  };
+  const projectItemByIssueId = new Map(
+    allItems
+      .filter(isIssueItem)
+      .map((item) => [item.content.id, item])
+  );
+
+  /**
+   * Finds the project item holding the values of a parent issue: its item in the source
+   * project when the issue is there and the field exists in it, otherwise its item in this project.
+   *
+   * @param {string} issueId - The parent issue’s GraphQL node id.
+   * @param {object} field - The normalized project field to read.
+   * @returns {{item: object, field: object}|null} - The item and the field to read from it.
+   */
+  function findParentItem(issueId, field) {
+    if (field.sourceField && sourceItemByIssueId.has(issueId)) {
+      return { item: sourceItemByIssueId.get(issueId), field: field.sourceField };
+    }
+    const item = projectItemByIssueId.get(issueId);
+    return item ? { item, field } : null;
+  }
+
+  // Returns the nearest ancestor in `chain` whose project item has a value for `field`.
+  const findNearestValueSource = (chain, field) =>
+    chain.find((ancestor) => {
+      const parent = findParentItem(ancestor.id, field);
+      return parent && getFieldValueFromItem(parent.item, parent.field) !== null;
+    });
+  // Source issue id by Issue Type for an issue, and the chain of its nearest ancestors
+  // (only walked when nearest-value fields are configured).
+  const resolveSourceIssues = usesFieldSourceTypes
+    ? (issueNodeId) =>
+        loadAncestors(octokit, issueNodeId, {
+          issueTypes: sourceIssueTypes,
+          depth: nearestValueFields.length > 0 ? inheritanceMaxDepth : 0,
+          isChainComplete: (chain) =>
+            nearestValueFields.every((field) => findNearestValueSource(chain, field)),
+          cache: ancestorCache,
+        })
+    : async (issueNodeId) => ({
+        byType: new Map([[topParentIssueType, await resolveTopParent(issueNodeId)]]),
+        chain: [],
+      });
 
-    // Process each project item (child).
-    for (const projectItem of projectData.items.nodes) {
-      if (!projectItem.content) {
+  // Pull requests inherit the values of the issues they close (opt-in).
+  const pullRequests = project.pullRequests;
+  if (pullRequests) {
+    core.info(
+      `Synchronizing pull requests from the issues they close (conflicts: ${pullRequests.conflicts}).`
+    );
+  }
+
+  // Check mode resolves everything like a dry run, and the run fails when anything drifted.
+  const check = options.check;
+  const dryRun = options.dryRun || check;
+  if (check) {
+    core.info("Check mode enabled. No project items will be updated.");
+  } else if (dryRun) {
+    core.info("Dry run enabled. No project items will be updated.");
+  }
+
+  const changes = [];
+  const changedItemIds = new Set();
+  // Items whose values were compared; those left without changes are counted as unchanged.
+  const comparedItemIds = new Set();
+  // Field values left alone because of their write policy, reported separately.
+  const policySkips = [];
+  const policySkippedItemIds = new Set();
+  // Source project values that have no counterpart in this project.
+  const unmappedValues = [];
+
+  // Errors are recorded per item so one failure does not leave the rest of the project unsynced.
+  const maxErrors = options.maxErrors;
+  const failures = [];
+  const outcome = {
+    dryRun,
+    check,
+    updatedItemCount: 0,
+    skippedItemCount: 0,
+    policySkippedItemCount: 0,
+    policySkips: [],
+    addedItemCount: 0,
+    unmappedValues,
+    failures,
+    changes: [],
+    missingIssues: [],
+  };
+  outcomes.push(outcome);
+  function recordFailure(failure) {
+    failures.push(failure);
+    core.error(formatFailure(failure));
+    // MAX_ERRORS applies to the whole run, across projects.
+    const allFailures = outcomes.flatMap((projectOutcome) => projectOutcome.failures);
+    if (allFailures.length >= maxErrors) {
+      throw new Error(
+        `Aborting after ${allFailures.length} error(s) (MAX_ERRORS=${maxErrors}):\n` +
+          formatFailures(allFailures)
+      );
+    }
+  }
+
+  // Add descendants of in-project top parents that are missing from the project (opt-in),
+  // so they get synchronized like every other item.
+  const plannedAdditions = [];
+  if (project.addMissingDescendants) {
+    const allowedRepositories = project.addMissingRepositories.map((name) =>
+      name.toLowerCase()
+    );
+    let descendantTopParents = topParentByIssueId;
+    if (!descendantTopParents) {
+      descendantTopParents = await walkTopParents(
+        collectTopParentIds(allItems.concat(sourceItems), topParentIssueType)
+      );
+      // The map resolves every item's top parent too, so the bottom-up walks are not needed.
+      if (!usesFieldSourceTypes) topParentByIssueId = descendantTopParents;
+    }
+    for (const [issueId, topParentId] of descendantTopParents) {
+      if (projectItemByIssueId.has(issueId)) continue;
+      // Descendants of top parents that are not in either project are out of scope.
+      if (!projectItemByIssueId.has(topParentId) && !sourceItemByIssueId.has(topParentId)) {
+        continue;
+      }
+      const subIssue = subIssuesById.get(issueId) || { id: issueId };
+      // The item filter applies to the issues that would be added too.
+      if (matchesItemFilter && !matchesItemFilter(toNewProjectItem(subIssue))) {
         core.info(
-          `Skipping project item ${projectItem.id} because it has no linked content.`
+          `Issue ${subIssue.url || issueId} is missing from the project but does not match the item filter. Skipping.`
         );
         continue;
       }
-      const issueNodeId = projectItem.content.id;
-      if (!issueNodeId) {
+      const repository = subIssue.repository ? subIssue.repository.nameWithOwner : null;
+      if (
+        allowedRepositories.length > 0 &&
+        !(repository && allowedRepositories.includes(repository.toLowerCase()))
+      ) {
         core.info(
-          `Skipping project item ${projectItem.id} because it has no issue content.`
+          `Issue ${subIssue.url || issueId} is missing from the project but ${repository} is not in ADD_MISSING_REPOSITORIES. Skipping.`
         );
         continue;
       }
+      plannedAdditions.push(subIssue);
+    }
+    core.info(
+      `Found ${plannedAdditions.length} descendant issue(s) missing from the project.`
+    );
+    if (dryRun) {
+      for (const subIssue of plannedAdditions) {
+        core.info(`Would add issue ${subIssue.url || subIssue.id} to the project.`);
+      }
+      outcome.addedItemCount = plannedAdditions.length;
+    }
+    if (!dryRun && plannedAdditions.length > 0) {
+      const { added, failed } = await addProjectItems(
+        octokit,
+        projectId,
+        plannedAdditions.map((subIssue) => subIssue.id)
+      );
+      for (const { contentId, itemId } of added) {
+        const subIssue = plannedAdditions.find((issue) => issue.id === contentId);
+        const newItem = { ...toNewProjectItem(subIssue), id: itemId };
+        allItems.push(newItem);
+        projectItemByIssueId.set(contentId, newItem);
+      }
+      outcome.addedItemCount = added.length;
+      for (const { contentId, error } of failed) {
+        const subIssue = plannedAdditions.find((issue) => issue.id === contentId);
+        recordFailure({
+          itemId: null,
+          issueUrl: subIssue.url || contentId,
+          field: null,
+          error: `Could not add the issue to the project: ${error}`,
+        });
+      }
+    }
+  }
+
+  // Event-driven runs and missing descendants only reach the issues found by walking down,
+  // so the hierarchies that could not be walked are reported as failures.
+  if (scope || project.addMissingDescendants) {
+    for (const [topParentId, error] of unwalkedTopParents) {
+      const topParentItem = projectItemByIssueId.get(topParentId);
+      recordFailure({
+        itemId: topParentItem ? topParentItem.id : null,
+        issueUrl: (topParentItem && topParentItem.content.url) || topParentId,
+        field: null,
+        error: `Could not load the sub-issues of the top parent: ${error}`,
+      });
+    }
+  }
+
+  // Collect the changes for each project item (child). Pull requests are in scope when
+  // one of the issues they close is.
+  const closedIssuesOf = (projectItem) =>
+    projectItem.content.closingIssuesReferences
+      ? projectItem.content.closingIssuesReferences.nodes
+      : [];
+  const itemsToProcess = (
+    scope
+      ? projectData.items.nodes.filter((item) =>
+          isPullRequestItem(item)
+            ? closedIssuesOf(item).some(
+                (issue) => topParentByIssueId.has(issue.id) || scopeTopParentIds.has(issue.id)
+              )
+            : item.content && topParentByIssueId.has(item.content.id)
+        )
+      : projectData.items.nodes
+  ).filter(isFilteredIn);
+
+  /**
+   * Adds a change setting `field` on `projectItem` to `newValue` (null clears it), unless
+   * the child's current value is already the same.
+   *
+   * @param {object} projectItem - The child project item.
+   * @param {object} field - The normalized project field.
+   * @param {string|number|null} newValue - The value to write, or null to clear the field.
+   * @param {object|null} topParentItem - The project item the value comes from.
+   */
+  function addChange(projectItem, field, newValue, topParentItem) {
+    // Only write when the child's current value differs from the parent's.
+    const currentFieldValue = getFieldValueFromItem(projectItem, field);
+    if (currentFieldValue === newValue) {
       core.info(
-        `Processing project item ${projectItem.id} linked to issue ${issueNodeId}`
+        `Project item ${projectItem.id} already has the parent's ${field.name} value. Skipping update.`
       );
+      return;
+    }
+    if (
+      field.writePolicy === "never" ||
+      (field.writePolicy === "fill-empty" && currentFieldValue !== null)
+    ) {
+      core.info(
+        `Project item ${projectItem.id} keeps its ${field.name} value (write policy ${field.writePolicy}). Skipping update.`
+      );
+      policySkippedItemIds.add(projectItem.id);
+      policySkips.push({
+        itemId: projectItem.id,
+        issueId: projectItem.content.id,
+        issueUrl: projectItem.content.url || null,
+        field: field.name,
+        policy: field.writePolicy,
+        currentDisplay: formatFieldValue(field, currentFieldValue),
+        parentDisplay: formatFieldValue(field, newValue),
+      });
+      return;
+    }
+    recordChange(projectItem, field, newValue, { topParentItem });
+  }
+
+  /**
+   * Records a change setting `field` on `projectItem` to `newValue`.
+   *
+   * @param {object} projectItem - The project item to write.
+   * @param {object} field - The normalized project field.
+   * @param {string|number|null} newValue - The value to write, or null to clear the field.
+   * @param {object} [source]
+   * @param {object|null} [source.topParentItem] - The project item the value comes from.
+   * @param {boolean} [source.rollup] - Whether the value is rolled up from child items.
+   */
+  function recordChange(projectItem, field, newValue, source = {}) {
+    const topParentItem = source.topParentItem || null;
+    const currentFieldValue = getFieldValueFromItem(projectItem, field);
+    changedItemIds.add(projectItem.id);
+    changes.push({
+      itemId: projectItem.id,
+      issueId: projectItem.content.id,
+      issueUrl: projectItem.content.url || null,
+      topParentId: topParentItem ? topParentItem.content.id : null,
+      topParentUrl: topParentItem ? topParentItem.content.url || null : null,
+      ...(source.rollup ? { rollup: true } : {}),
+      field: field.name,
+      fieldId: field.id,
+      oldValue: currentFieldValue,
+      newValue,
+      oldDisplay: formatFieldValue(field, currentFieldValue),
+      newDisplay: formatFieldValue(field, newValue),
+    });
+  }
+
+  /**
+   * Records a source project value without a counterpart in this project's field,
+   * warning once per field and value.
+   *
+   * @param {object} field - The normalized field of this project.
+   * @param {string} name - The name of the source project's option or iteration.
+   */
+  function recordUnmappedValue(field, name) {
+    let unmapped = unmappedValues.find(
+      (entry) => entry.field === field.name && entry.value === name
+    );
+    if (!unmapped) {
+      unmapped = { field: field.name, value: name, itemCount: 0 };
+      unmappedValues.push(unmapped);
+      core.warning(
+        `Value "${name}" of field ${field.name} in the source project has no counterpart in this project. Skipping it.`
+      );
+    }
+    unmapped.itemCount++;
+  }
+
+  /**
+   * Counts a processed item as unchanged unless one of its fields is changed or
+   * skipped because of its write policy.
+   *
+   * @param {object} projectItem - The child project item.
+   */
+  function countUnchangedItem(projectItem) {
+    comparedItemIds.add(projectItem.id);
+  }
+
+  /**
+   * Returns the id of the issue `field` is copied from, given the source issues and the
+   * chain of nearest ancestors of an issue.
+   *
+   * @param {object} field - The normalized project field.
+   * @param {Map<string, string|null>} sourceIssueIds - Source issue id by Issue Type.
+   * @param {{id: string, issueType: string|null}[]} chain - The nearest ancestors.
+   * @returns {string|null}
+   */
+  function findFieldSource(field, sourceIssueIds, chain) {
+    if (field.inheritance === "nearest-value") {
+      const ancestor = findNearestValueSource(chain, field);
+      return ancestor ? ancestor.id : null;
+    }
+    const sourceType = field.sourceTypes.find((type) => sourceIssueIds.get(type));
+    return sourceType ? sourceIssueIds.get(sourceType) : null;
+  }
+
+  /**
+   * Resolves the source issue of every field for a pull request from the issues it closes.
+   * Each closed issue counts as the nearest ancestor of the pull request. When the closed
+   * issues lead to different values of a field, the conflict rule (PULL_REQUEST_CONFLICTS)
+   * either skips the field or uses the first closed issue that has a source.
+   *
+   * @param {object} projectItem - A project item linked to a pull request.
+   * @returns {Promise<{sourceIdByField: Map<object, string|null>, chain: object[]}|null>} - The
+   *   source issue id by field (conflicting fields are left out) and the closed issues, or
+   *   null when the pull request closes no issue.
+   */
+  async function resolvePullRequestSources(projectItem) {
+    const closedIssues = closedIssuesOf(projectItem);
+    if (closedIssues.length === 0) {
+      core.info(
+        `Pull request ${projectItem.content.url || projectItem.content.id} does not close any issue. Skipping update.`
+      );
+      return null;
+    }
+    const candidates = [];
+    for (const issue of closedIssues) {
+      const closedIssue = { id: issue.id, issueType: issue.issueType ? issue.issueType.name : null };
+      const { byType, chain } = await resolveSourceIssues(issue.id);
+      const sourceIssueIds = new Map(byType);
+      if (sourceIssueTypes.includes(closedIssue.issueType)) {
+        sourceIssueIds.set(closedIssue.issueType, closedIssue.id);
+      }
+      candidates.push({ sourceIssueIds, chain: [closedIssue, ...chain] });
+    }
 
-      // Traverse the parent's chain until an Initiative is found.
-      const parentInitiativeIssueId = await findParentInitiativeIssue(
-        issueNodeId
+    const sourceIdByField = new Map();
+    for (const field of fieldsToSync) {
+      const sourceIds = [
+        ...new Set(
+          candidates
+            .map(({ sourceIssueIds, chain }) => findFieldSource(field, sourceIssueIds, chain))
+            .filter(Boolean)
+        ),
+      ];
+      const values = new Set(
+        sourceIds.map((sourceId) => {
+          const parent = findParentItem(sourceId, field);
+          return parent ? getFieldValueFromItem(parent.item, parent.field) : null;
+        })
       );
-      if (!parentInitiativeIssueId) {
+      if (values.size > 1) {
+        const conflict = `Pull request ${projectItem.content.url || projectItem.content.id} closes issues with different ${field.name} values (from ${sourceIds.join(", ")}).`;
+        if (pullRequests.conflicts === "skip") {
+          core.info(`${conflict} Skipping ${field.name}.`);
+          continue;
+        }
+        core.info(`${conflict} Using the value from ${sourceIds[0]}.`);
+      }
+      sourceIdByField.set(field, sourceIds[0] || null);
+    }
+    return { sourceIdByField, chain: closedIssues };
+  }
+
+  /**
+   * Computes the changes for a single project item (child) and adds them to `changes`.
+   *
+   * @param {object} projectItem - A project item node.
+   */
+  async function collectItemChanges(projectItem) {
+    if (!projectItem.content) {
+      core.info(
+        `Skipping project item ${projectItem.id} because it has no linked content.`
+      );
+      return;
+    }
+    const issueNodeId = projectItem.content.id;
+    if (!issueNodeId || (isPullRequestItem(projectItem) && !pullRequests)) {
+      core.info(
+        `Skipping project item ${projectItem.id} because it has no issue content.`
+      );
+      return;
+    }
+
+    let sourceIdByField;
+    let chain;
+    if (isPullRequestItem(projectItem)) {
+      core.info(
+        `Processing project item ${projectItem.id} linked to pull request ${issueNodeId}`
+      );
+      const sources = await resolvePullRequestSources(projectItem);
+      if (!sources) return;
+      ({ sourceIdByField, chain } = sources);
+    } else {
+      core.info(
+        `Processing project item ${projectItem.id} linked to issue ${issueNodeId}`
+      );
+      // Traverse the parent's chain until the source issue of every field is found.
+      const sources = await resolveSourceIssues(issueNodeId);
+      chain = sources.chain;
+      sourceIdByField = new Map(
+        fieldsToSync.map((field) => [field, findFieldSource(field, sources.byType, chain)])
+      );
+    }
+    const fieldsBySourceId = new Map();
+    const unsourcedFields = [];
+    for (const field of fieldsToSync) {
+      // Fields left out had conflicting sources.
+      if (!sourceIdByField.has(field)) continue;
+      const sourceId = sourceIdByField.get(field);
+      if (!sourceId) {
+        unsourcedFields.push(field);
+        continue;
+      }
+      if (!fieldsBySourceId.has(sourceId)) fieldsBySourceId.set(sourceId, []);
+      fieldsBySourceId.get(sourceId).push(field);
+    }
+
+    let itemCompared = false;
+    if (unsourcedFields.length > 0) {
+      // A child that lost its source parent (e.g. after being re-parented) keeps stale
+      // values unless clearing is enabled. Issues of the source type itself are never cleared.
+      // With nearest-value inheritance, issues without any parent are the roots of the
+      // hierarchy and are never cleared either.
+      const fieldsToClear = unsourcedFields.filter((field) => {
+        if (!clearingFields.includes(field)) return false;
+        if (field.inheritance === "nearest-value") return chain.length > 0;
+        return !field.sourceTypes.some((type) => isIssueOfType(projectItem, type));
+      });
+      const missingTypes = [
+        ...new Set(
+          unsourcedFields.map((field) =>
+            field.inheritance === "nearest-value"
+              ? `ancestor with a ${field.name} value`
+              : `${field.sourceTypes.join(" or ")} parent`
+          )
+        ),
+      ].join(" or ");
+      if (fieldsToClear.length === 0) {
         core.info(
-          `No Initiative parent found for issue ${issueNodeId}. Skipping update.`
+          fieldsBySourceId.size === 0
+            ? `No ${missingTypes} found for issue ${issueNodeId}. Skipping update.`
+            : `No ${missingTypes} found for issue ${issueNodeId}. Skipping ${unsourcedFields
+                .map((field) => field.name)
+                .join(", ")}.`
         );
-        continue;
+        if (fieldsBySourceId.size === 0) return;
+      } else {
+        core.info(
+          `No ${missingTypes} found for issue ${issueNodeId}. Clearing ${fieldsToClear
+            .map((field) => field.name)
+            .join(", ")}.`
+        );
+        for (const field of fieldsToClear) {
+          addChange(projectItem, field, null, null);
+        }
+        itemCompared = true;
       }
+    }
+
+    for (const [parentInitiativeIssueId, sourcedFields] of fieldsBySourceId) {
       core.info(
         `Found parent initiative issue with id: ${parentInitiativeIssueId}`
       );
 
-      // Look up the Initiative parent's project item from the project data.
-      const parentInitiativeProjectItem = projectData.items.nodes.find(
-        (item) => item.content && item.content.id === parentInitiativeIssueId
-      );
-      if (!parentInitiativeProjectItem) {
+      // Look up the parent's project item (in the source project or this one).
+      if (!sourcedFields.some((field) => findParentItem(parentInitiativeIssueId, field))) {
         core.info(
           `No project item found for parent initiative issue ${parentInitiativeIssueId}. Skipping update.`
         );
         continue;
       }
 
-      // Update the child project item with the field values from the parent initiative issue.
-      for (const field of fieldsToSync) {
-        const parentFieldValue = getFieldOptionIdFromItem(
-          parentInitiativeProjectItem,
-          field.name
-        );
-        if (!parentFieldValue) {
+      // Update the child project item with the field values from the parent issue.
+      for (const field of sourcedFields) {
+        const parent = findParentItem(parentInitiativeIssueId, field);
+        if (!parent) continue;
+        const parentInitiativeProjectItem = parent.item;
+        let parentFieldValue = getFieldValueFromItem(parent.item, parent.field);
+        if (parent.field !== field) {
+          const mappedValue = mapFieldValue(parent.field, field, parentFieldValue);
+          if (mappedValue === undefined) {
+            recordUnmappedValue(field, formatFieldValue(parent.field, parentFieldValue));
+            continue;
+          }
+          parentFieldValue = mappedValue;
+        }
+        if (parentFieldValue === null) {
+          if (!clearingFields.includes(field)) {
+            core.info(
+              `Parent initiative issue ${parentInitiativeIssueId} does not have a value set for field ${field.name}. Skipping update.`
+            );
+            continue;
+          }
           core.info(
-            `Parent initiative issue ${parentInitiativeIssueId} does not have a value set for field ${field.name}. Skipping update.`
+            `Parent initiative issue ${parentInitiativeIssueId} does not have a value set for field ${field.name}. Clearing it on the child.`
+          );
+        } else {
+          core.info(
+            `Parent initiative issue's ${field.name} field value: ${parentFieldValue}`
           );
-          continue;
         }
+
+        itemCompared = true;
+        addChange(projectItem, field, parentFieldValue, parentInitiativeProjectItem);
+      }
+    }
+    if (itemCompared) {
+      countUnchangedItem(projectItem);
+    }
+  }
+
+  // Projects that only roll up statuses have no fields to copy down.
+  const itemsToSync = fieldsToSync.length > 0 ? itemsToProcess : [];
+  for (const projectItem of itemsToSync) {
+    try {
+      await collectItemChanges(projectItem);
+    } catch (error) {
+      recordFailure({
+        itemId: projectItem.id,
+        issueUrl: projectItem.content
+          ? projectItem.content.url || projectItem.content.id || null
+          : null,
+        field: null,
+        error: error.message,
+      });
+    }
+  }
+
+  // ─── STEP 6. Roll child values up into their ancestors ─────────────────────────
+  const rollupItems = (
+    scope
+      ? allItems.filter(
+          (item) =>
+            item.content &&
+            (topParentByIssueId.has(item.content.id) ||
+              scopeTopParentIds.has(item.content.id))
+        )
+      : allItems
+  ).filter(isFilteredIn);
+  if (statusField || numberRollups.length > 0) {
+    // Parents not found while traversing (e.g. of top parent items) are looked up directly,
+    // walking up through issues that are not in the project.
+    for (const projectItem of rollupItems) {
+      if (!isIssueItem(projectItem)) continue;
+      let issueId = projectItem.content.id;
+      try {
+        while (issueId && !parentByIssueId.has(issueId)) {
+          const parent = await findParentIssue(octokit, issueId, {
+            cache: ancestorCache,
+          });
+          parentByIssueId.set(issueId, parent ? parent.id : null);
+          issueId = parent && !projectItemByIssueId.has(parent.id) ? parent.id : null;
+        }
+      } catch (error) {
+        recordFailure({
+          itemId: projectItem.id,
+          issueUrl: projectItem.content.url || projectItem.content.id,
+          field: null,
+          error: error.message,
+        });
+      }
+    }
+  }
+  if (statusField) {
+    const rollups = rollUpStatuses(
+      rollupItems,
+      parentByIssueId,
+      statusField,
+      statusRollup.rules
+    );
+    for (const { item, status, childCount } of rollups) {
+      const optionId = statusField.options.find((option) => option.name === status).id;
+      countUnchangedItem(item);
+      if (getFieldValueFromItem(item, statusField) === optionId) {
         core.info(
-          `Parent initiative issue's ${field.name} field option id: ${parentFieldValue}`
+          `Project item ${item.id} already has the ${statusField.name} rolled up from its ${childCount} child item(s). Skipping update.`
         );
+        continue;
+      }
+      core.info(
+        `Rolled up ${statusField.name} ${status} from ${childCount} child item(s) of project item ${item.id}.`
+      );
+      recordChange(item, statusField, optionId, { rollup: true });
+    }
+  }
+  for (const { item, field, value, descendantCount } of rollUpNumbers(
+    rollupItems,
+    parentByIssueId,
+    numberRollups
+  )) {
+    countUnchangedItem(item);
+    if (getFieldValueFromItem(item, field) === value) {
+      core.info(
+        `Project item ${item.id} already has the ${field.name} rolled up from its ${descendantCount} descendant item(s). Skipping update.`
+      );
+      continue;
+    }
+    core.info(
+      `Rolled up ${field.name} ${value} from ${descendantCount} descendant item(s) of project item ${item.id}.`
+    );
+    recordChange(item, field, value, { rollup: true });
+  }
+
+  const unchangedItemCount = [...comparedItemIds].filter(
+    (itemId) => !changedItemIds.has(itemId) && !policySkippedItemIds.has(itemId)
+  ).length;
+  outcome.skippedItemCount = unchangedItemCount;
+  outcome.policySkips = policySkips;
+  outcome.policySkippedItemCount = policySkippedItemIds.size;
+  if (policySkips.length > 0) {
+    core.info(
+      `Write policies kept ${policySkips.length} field value(s) on ${policySkippedItemIds.size} item(s).`
+    );
+  }
+
+  const cacheStats = ancestorCache.stats();
+  if (cacheStats.hits + cacheStats.misses > 0) {
+    core.info(
+      `Ancestor cache: ${cacheStats.hits} hit(s), ${cacheStats.misses} miss(es), ${Math.round(
+        cacheStats.hitRate * 100
+      )}% hit rate.`
+    );
+  }
+
+  if (dryRun) {
+    core.info(
+      check
+        ? `Check: ${changes.length} field value(s) out of sync on ${changedItemIds.size} item(s), ${unchangedItemCount} item(s) in sync.`
+        : `Dry run: ${changes.length} planned change(s) on ${changedItemIds.size} item(s), ${unchangedItemCount} item(s) unchanged.`
+    );
+    if (changes.length > 0) {
+      formatChangesTable(changes).forEach((line) => core.info(line));
+    }
+    outcome.updatedItemCount = changedItemIds.size;
+    outcome.changes = changes;
+    outcome.missingIssues = plannedAdditions.map((subIssue) => ({
+      issueId: subIssue.id,
+      issueUrl: subIssue.url || null,
+    }));
+    // Check mode only writes the report when a dry run is requested too.
+    if (!options.dryRun) return;
+    const artifactPath = writeChangesArtifact(
+      project.dryRunOutput,
+      {
+        projectUrl,
+        projectId,
+        dryRun: true,
+        changedItemCount: changedItemIds.size,
+        unchangedItemCount,
+        policySkippedItemCount: policySkippedItemIds.size,
+        changes,
+        policySkips,
+        unmappedValues,
+        plannedAdditions: plannedAdditions.map((subIssue) => ({
+          issueId: subIssue.id,
+          issueUrl: subIssue.url || null,
+          repository: subIssue.repository ? subIssue.repository.nameWithOwner : null,
+        })),
+      }
+    );
+    core.info(`Dry run report written to ${artifactPath}`);
+    return;
+  }
 
-        await updateProjectField(
-          projectId,
-          projectItem.id,
-          field.id,
-          parentFieldValue
+  // Apply the changes in batches of aliased mutations.
+  const fieldsById = new Map(
+    fieldsToSync
+      .concat(statusField || [], numberRollups.map((rollup) => rollup.field))
+      .map((field) => [field.id, field])
+  );
+  const { updated, failed } = await updateProjectFields(
+    octokit,
+    projectId,
+    changes.map((change) => ({
+      itemId: change.itemId,
+      field: fieldsById.get(change.fieldId),
+      value: change.newValue,
+      change,
+    })),
+    {
+      batchSize: options.mutationBatchSize,
+    }
+  );
+  for (const { update, error } of failed) {
+    recordFailure({
+      itemId: update.itemId,
+      issueUrl: update.change.issueUrl || update.change.issueId,
+      field: update.field.name,
+      error,
+    });
+  }
+
+  const updatedItemIds = new Set(updated.map((update) => update.itemId));
+  outcome.updatedItemCount = updatedItemIds.size;
+  outcome.changes = updated.map((update) => update.change);
+  core.info(
+    `Updated ${updatedItemIds.size} item(s) (${updated.length} field value(s)), ${unchangedItemCount} item(s) unchanged.`
+  );
+
+  // Leave an audit trail on the changed issues (opt-in). Comment failures do not fail the run.
+  if (options.auditComments && outcome.changes.length > 0) {
+    const audit = await postAuditComments(
+      octokit,
+      { url: projectUrl, id: projectId },
+      outcome.changes,
+      { maxComments: options.auditCommentLimit }
+    );
+    for (const { issueId, issueUrl, error } of audit.failed) {
+      core.warning(`Could not write the audit comment of ${issueUrl || issueId}: ${error}`);
+    }
+    core.info(
+      `Audit comments: ${audit.posted} posted, ${audit.updated} updated, ${audit.unchanged} already up to date.`
+    );
+    if (audit.skipped > 0) {
+      core.warning(
+        `Skipped the audit comments of ${audit.skipped} issue(s) after reaching AUDIT_COMMENT_LIMIT (${options.auditCommentLimit}).`
+      );
+    }
+  }
+}
+
+async function run() {
+  let octokit = null;
+  // Outcome of every project, published as outputs and job summary once items were processed.
+  const outcomes = [];
+  try {
+    // Ensure required environment variables are provided.
+    const token = readSetting("GITHUB_TOKEN");
+    if (!token) {
+      throw new Error("GITHUB_TOKEN is required");
+    }
+    // All GraphQL calls go through the rate limit aware client.
+    octokit = createGraphqlClient(github.getOctokit(token));
+
+    const config = loadConfig();
+    for (const [i, project] of config.projects.entries()) {
+      if (config.projects.length > 1) {
+        core.info(
+          `Synchronizing project ${project.url} (${i + 1} of ${config.projects.length}).`
         );
       }
+      await syncProject(octokit, project, config.options, outcomes);
     }
 
-    core.info("Update process completed for all project items.");
+    const failures = outcomes.flatMap((outcome) => outcome.failures);
+    if (failures.length > 0) {
+      throw new Error(
+        `Failed to sync ${failures.length} item(s):\n${formatFailures(failures)}`
+      );
+    }
+    if (config.options.check) {
+      // Drifted items fail the run, e.g. as a required status check.
+      const drift = formatDrift(mergeOutcomes(outcomes));
+      if (drift) {
+        throw new Error(`Check failed. The project is out of sync:\n${drift}`);
+      }
+      if (outcomes.length > 0) {
+        core.info("Check passed: every project item is in sync.");
+      }
+    } else if (outcomes.length > 0) {
+      core.info(
+        config.options.dryRun
+          ? "Dry run completed for all project items."
+          : "Update process completed for all project items."
+      );
+    }
   } catch (error) {
     core.setFailed(error.message);
+  } finally {
+    if (outcomes.length > 0) {
+      await publishOutcome(mergeOutcomes(outcomes));
+    }
+    if (octokit) {
+      const usage = octokit.stats();
+      core.info(
+        `GraphQL usage: ${usage.requests} request(s), ${usage.retries} retry(ies), ${usage.cost} rate limit point(s) used` +
+          (usage.remaining === null
+            ? "."
+            : `, ${usage.remaining} remaining (resets at ${usage.resetAt}).`)
+      );
+    }
   }
 }
 
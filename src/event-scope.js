@@ -0,0 +1,82 @@
+/*
+  Determines which part of the project a workflow run has to synchronize, based on
+  the event that triggered it.
+
+  - issues / sub_issues:  the hierarchy of the issue from the payload (for a removed sub-issue,
+                          its own sub-tree and the hierarchy of its former parent)
+  - projects_v2_item:     the hierarchy of the issue linked to the project item, or the whole
+                          project for pull requests (synchronized through the issues they close)
+  - anything else (schedule, workflow_dispatch, ...): the whole project
+*/
+
+/**
+ * Resolves the scope of the run from the GitHub Actions context.
+ *
+ * @param {object} context - The `github.context` of the run.
+ * @returns {{issueId?: string, pullRequestId?: string, projectId?: string,
+ *   formerParentId?: string, detached?: boolean, ignore?: string, description: string}|null}
+ *   - `{ issueId }` when only the hierarchy of that issue has to be synchronized,
+ *   - `{ issueId, detached, formerParentId }` when that issue was removed from its parent,
+ *   - `{ pullRequestId }` when a pull request item changed (the whole project, if pull
+ *     requests are synchronized),
+ *   - `{ ignore }` when the event does not affect the project at all,
+ *   - null when the whole project has to be synchronized.
+ */
+function resolveEventScope(context) {
+  if (!context || !context.eventName) return null;
+  const payload = context.payload || {};
+
+  switch (context.eventName) {
+    case "issues": {
+      if (!payload.issue || !payload.issue.node_id) return null;
+      if (payload.action === "deleted" || payload.action === "transferred") {
+        return null;
+      }
+      return {
+        issueId: payload.issue.node_id,
+        description: `issues.${payload.action} on #${payload.issue.number}`,
+      };
+    }
+    case "sub_issues": {
+      const subIssue = payload.sub_issue || payload.issue;
+      if (!subIssue || !subIssue.node_id) return null;
+      const scope = {
+        issueId: subIssue.node_id,
+        description: `sub_issues.${payload.action} on #${subIssue.number}`,
+      };
+      if (payload.action === "sub_issue_removed" || payload.action === "parent_issue_removed") {
+        scope.detached = true;
+        if (payload.parent_issue && payload.parent_issue.node_id) {
+          scope.formerParentId = payload.parent_issue.node_id;
+        }
+      }
+      return scope;
+    }
+    case "projects_v2_item": {
+      const item = payload.projects_v2_item;
+      if (!item || !item.content_node_id) return null;
+      if (item.content_type === "PullRequest") {
+        return {
+          pullRequestId: item.content_node_id,
+          projectId: item.project_node_id,
+          description: `projects_v2_item.${payload.action} on ${item.node_id}`,
+        };
+      }
+      if (item.content_type && item.content_type !== "Issue") {
+        return {
+          ignore: `project item ${item.node_id} is not linked to an issue`,
+          description: `projects_v2_item.${payload.action}`,
+        };
+      }
+      return {
+        issueId: item.content_node_id,
+        projectId: item.project_node_id,
+        description: `projects_v2_item.${payload.action} on ${item.node_id}`,
+      };
+    }
+    default:
+      return null;
+  }
+}
+
+module.exports = { resolveEventScope };
@@ -0,0 +1,207 @@
+/*
+  Helpers for reading and writing project field values of every supported type.
+
+  Field values are handled as plain scalars so they can be compared directly:
+  - SINGLE_SELECT: the option id
+  - ITERATION:     the iteration id
+  - DATE:          the ISO date string (YYYY-MM-DD)
+  - NUMBER:        the number
+  - TEXT:          the text
+*/
+
+const FIELD_TYPES = {
+  SINGLE_SELECT: { valueKey: "optionId", inputKey: "singleSelectOptionId" },
+  ITERATION: { valueKey: "iterationId", inputKey: "iterationId" },
+  DATE: { valueKey: "date", inputKey: "date" },
+  NUMBER: { valueKey: "number", inputKey: "number" },
+  TEXT: { valueKey: "text", inputKey: "text" },
+};
+
+// Selection for the `fields` connection of a project.
+const PROJECT_FIELDS_FRAGMENT = `
+  ... on ProjectV2SingleSelectField {
+    id
+    name
+    options {
+      id
+      name
+    }
+  }
+  ... on ProjectV2IterationField {
+    id
+    name
+    configuration {
+      iterations {
+        id
+        title
+      }
+      completedIterations {
+        id
+        title
+      }
+    }
+  }
+  ... on ProjectV2FieldCommon {
+    id
+    name
+    dataType
+    __typename
+  }
+`;
+
+const FIELD_VALUE_FIELD_SELECTION = `
+  field {
+    ... on ProjectV2FieldCommon {
+      name
+      id
+    }
+  }
+`;
+
+// Selection for the `fieldValues` connection of a project item.
+const ITEM_FIELD_VALUES_FRAGMENT = `
+  ... on ProjectV2ItemFieldSingleSelectValue {
+    ${FIELD_VALUE_FIELD_SELECTION}
+    optionId
+  }
+  ... on ProjectV2ItemFieldIterationValue {
+    ${FIELD_VALUE_FIELD_SELECTION}
+    iterationId
+  }
+  ... on ProjectV2ItemFieldDateValue {
+    ${FIELD_VALUE_FIELD_SELECTION}
+    date
+  }
+  ... on ProjectV2ItemFieldNumberValue {
+    ${FIELD_VALUE_FIELD_SELECTION}
+    number
+  }
+  ... on ProjectV2ItemFieldTextValue {
+    ${FIELD_VALUE_FIELD_SELECTION}
+    text
+  }
+`;
+
+/**
+ * Determines the data type of a project field node.
+ *
+ * @param {object} field - A node of the project `fields` connection.
+ * @returns {string|null} - One of the FIELD_TYPES keys, or null if unsupported.
+ */
+function getFieldType(field) {
+  if (field.__typename === "ProjectV2SingleSelectField") return "SINGLE_SELECT";
+  if (field.__typename === "ProjectV2IterationField") return "ITERATION";
+  if (field.__typename === "ProjectV2Field" && FIELD_TYPES[field.dataType]) {
+    return field.dataType;
+  }
+  return null;
+}
+
+/**
+ * Returns a copy of the project field node annotated with its `dataType`,
+ * or null if the field type cannot be synchronized.
+ *
+ * @param {object} field - A node of the project `fields` connection.
+ * @returns {object|null}
+ */
+function normalizeField(field) {
+  const dataType = getFieldType(field);
+  return dataType ? Object.assign({}, field, { dataType }) : null;
+}
+
+/**
+ * Retrieves the value of a field from a given project item.
+ *
+ * @param {object} projectItem - A project item node.
+ * @param {object} field - A normalized project field.
+ * @returns {string|number|null} - The field value, or null if not set.
+ */
+function getFieldValueFromItem(projectItem, field) {
+  if (!projectItem.fieldValues) return null;
+  const fieldValue = projectItem.fieldValues.nodes.find(
+    (node) => node.field && node.field.name === field.name
+  );
+  if (!fieldValue) return null;
+  const value = fieldValue[FIELD_TYPES[field.dataType].valueKey];
+  return value === undefined || value === null ? null : value;
+}
+
+/**
+ * Builds the `ProjectV2FieldValue` input used to write a value to a field.
+ *
+ * @param {object} field - A normalized project field.
+ * @param {string|number} value - The value to write.
+ * @returns {object}
+ */
+function toFieldValueInput(field, value) {
+  return { [FIELD_TYPES[field.dataType].inputKey]: value };
+}
+
+/**
+ * Formats a field value for humans, resolving option and iteration ids to their names.
+ *
+ * @param {object} field - A normalized project field.
+ * @param {string|number|null} value - The field value.
+ * @returns {string}
+ */
+function formatFieldValue(field, value) {
+  if (value === null || value === undefined) return "";
+  if (field.dataType === "SINGLE_SELECT" && field.options) {
+    const option = field.options.find((o) => o.id === value);
+    if (option) return option.name;
+  }
+  if (field.dataType === "ITERATION" && field.configuration) {
+    const iteration = getIterations(field).find((i) => i.id === value);
+    if (iteration) return iteration.title;
+  }
+  return String(value);
+}
+
+/**
+ * Returns the iterations (current and completed) of an iteration field.
+ *
+ * @param {object} field - A normalized iteration field.
+ * @returns {object[]}
+ */
+function getIterations(field) {
+  if (!field.configuration) return [];
+  return (field.configuration.iterations || []).concat(
+    field.configuration.completedIterations || []
+  );
+}
+
+/**
+ * Maps a value of a field of another project onto the field of the same name in this
+ * project. Options and iterations are matched by name, since their ids differ per project.
+ *
+ * @param {object} sourceField - The normalized field the value was read from.
+ * @param {object} targetField - The normalized field the value will be written to.
+ * @param {string|number|null} value - The value of `sourceField`.
+ * @returns {string|number|null|undefined} - The value for `targetField`, or undefined when it has no counterpart.
+ */
+function mapFieldValue(sourceField, targetField, value) {
+  if (value === null) return null;
+  if (sourceField.dataType !== targetField.dataType) return undefined;
+  if (targetField.dataType === "SINGLE_SELECT") {
+    const name = formatFieldValue(sourceField, value);
+    const option = (targetField.options || []).find((o) => o.name === name);
+    return option ? option.id : undefined;
+  }
+  if (targetField.dataType === "ITERATION") {
+    const title = formatFieldValue(sourceField, value);
+    const iteration = getIterations(targetField).find((i) => i.title === title);
+    return iteration ? iteration.id : undefined;
+  }
+  return value;
+}
+
+module.exports = {
+  PROJECT_FIELDS_FRAGMENT,
+  ITEM_FIELD_VALUES_FRAGMENT,
+  getFieldType,
+  normalizeField,
+  getFieldValueFromItem,
+  toFieldValueInput,
+  formatFieldValue,
+  mapFieldValue,
+};
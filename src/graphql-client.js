@@ -0,0 +1,155 @@
+/*
+  Rate-limit aware wrapper around octokit.graphql.
+
+  - Queries select `rateLimit { cost remaining resetAt }` (see RATE_LIMIT_SELECTION); the
+    wrapper records it, sums the cost used by the run and pauses until the reset time when
+    the remaining quota drops below a threshold.
+  - Transient errors (502/503/504, network resets) and secondary/abuse rate limits are
+    retried with exponential backoff, honouring `retry-after` when GitHub sends it.
+*/
+
+const core = require("@actions/core");
+
+// Selection added at the top level of every query document.
+const RATE_LIMIT_SELECTION = `
+  rateLimit {
+    cost
+    remaining
+    resetAt
+  }
+`;
+
+const DEFAULT_MIN_REMAINING = 100;
+const DEFAULT_MAX_RETRIES = 5;
+const DEFAULT_BASE_DELAY_MS = 1000;
+const TRANSIENT_STATUSES = [500, 502, 503, 504];
+const TRANSIENT_CODES = ["ECONNRESET", "ETIMEDOUT", "ECONNREFUSED", "EAI_AGAIN"];
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+/**
+ * Returns true for errors caused by GitHub's primary or secondary (abuse) rate limits.
+ *
+ * @param {Error} error - The error thrown by octokit.graphql.
+ * @returns {boolean}
+ */
+function isRateLimitError(error) {
+  if ((error.errors || []).some((e) => e.type === "RATE_LIMITED")) {
+    return true;
+  }
+  if (error.status === 403 || error.status === 429) {
+    return /rate limit|abuse/i.test(error.message || "");
+  }
+  return false;
+}
+
+/**
+ * Returns true for errors that are worth retrying.
+ *
+ * @param {Error} error - The error thrown by octokit.graphql.
+ * @returns {boolean}
+ */
+function isRetryableError(error) {
+  return (
+    isRateLimitError(error) ||
+    TRANSIENT_STATUSES.includes(error.status) ||
+    TRANSIENT_CODES.includes(error.code)
+  );
+}
+
+/**
+ * Reads the `retry-after` header (in seconds) of an error response, if any.
+ *
+ * @param {Error} error - The error thrown by octokit.graphql.
+ * @returns {number|null} - The delay in milliseconds.
+ */
+function getRetryAfterMs(error) {
+  const headers = (error.response && error.response.headers) || {};
+  const retryAfter = parseInt(headers["retry-after"], 10);
+  return Number.isNaN(retryAfter) ? null : retryAfter * 1000;
+}
+
+/**
+ * Wraps an Octokit client so every GraphQL call goes through rate limit handling.
+ * The returned client exposes the same `graphql(query, variables)` signature, with an
+ * optional third argument: `{ retry: false }` sends a mutation that must not be repeated
+ * blindly once, leaving the recovery to the caller.
+ *
+ * @param {object} octokit - The authenticated Octokit client.
+ * @param {object} [options]
+ * @param {number} [options.minRemaining] - Pause until the reset time below this remaining quota.
+ * @param {number} [options.maxRetries] - Retries for transient and rate limit errors.
+ * @param {number} [options.baseDelayMs] - Initial backoff delay, doubled on every retry.
+ * @param {Function} [options.sleep] - Sleep implementation, replaceable in tests.
+ * @param {Function} [options.now] - Clock implementation, replaceable in tests.
+ * @returns {{graphql: Function, stats: Function}}
+ */
+function createGraphqlClient(octokit, options = {}) {
+  const minRemaining =
+    options.minRemaining === undefined ? DEFAULT_MIN_REMAINING : options.minRemaining;
+  const maxRetries =
+    options.maxRetries === undefined ? DEFAULT_MAX_RETRIES : options.maxRetries;
+  const baseDelayMs = options.baseDelayMs || DEFAULT_BASE_DELAY_MS;
+  const wait = options.sleep || sleep;
+  const now = options.now || Date.now;
+
+  const usage = { requests: 0, retries: 0, cost: 0, remaining: null, resetAt: null };
+
+  async function pauseIfExhausted() {
+    if (usage.remaining === null || usage.remaining >= minRemaining) return;
+    const waitMs = Math.max(0, new Date(usage.resetAt).getTime() - now()) + 1000;
+    core.info(
+      `GraphQL rate limit low (${usage.remaining} remaining). Pausing for ${Math.ceil(
+        waitMs / 1000
+      )}s until ${usage.resetAt}.`
+    );
+    await wait(waitMs);
+    usage.remaining = null;
+  }
+
+  async function graphql(query, variables, requestOptions = {}) {
+    const retries = requestOptions.retry === false ? 0 : maxRetries;
+    for (let attempt = 0; ; attempt++) {
+      await pauseIfExhausted();
+      usage.requests++;
+      try {
+        const result = await octokit.graphql(query, variables);
+        if (result && result.rateLimit) {
+          usage.cost += result.rateLimit.cost || 0;
+          usage.remaining = result.rateLimit.remaining;
+          usage.resetAt = result.rateLimit.resetAt;
+        }
+        return result;
+      } catch (error) {
+        if (attempt >= retries || !isRetryableError(error)) {
+          throw error;
+        }
+        const delayMs =
+          getRetryAfterMs(error) || baseDelayMs * Math.pow(2, attempt);
+        usage.retries++;
+        core.info(
+          `GraphQL request failed (${error.message}). Retrying in ${Math.ceil(
+            delayMs / 1000
+          )}s (retry ${attempt + 1} of ${retries}).`
+        );
+        await wait(delayMs);
+      }
+    }
+  }
+
+  return {
+    graphql,
+    stats() {
+      return Object.assign({}, usage);
+    },
+  };
+}
+
+module.exports = {
+  RATE_LIMIT_SELECTION,
+  createGraphqlClient,
+  isRetryableError,
+  sleep,
+};
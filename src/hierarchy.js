@@ -0,0 +1,439 @@
+/*
+  Traversal of the sub-issue hierarchy (using the sub_issues and issue_types APIs).
+
+  - findParentInitiativeIssue walks upward from an issue to its top parent, optionally
+    memoizing every visited issue in an ancestor cache.
+  - findParentIssue returns the direct parent of an issue.
+  - loadSubIssueTree walks downward from a top parent to all of its descendants.
+  - buildTopParentMap walks downward from many top parents at once (top-down traversal).
+  - loadAncestors walks upward once and collects the nearest ancestor
+    of several Issue Types (per-field source types) and the chain of nearest ancestors
+    (nearest-value inheritance).
+*/
+
+const core = require("@actions/core");
+const { RATE_LIMIT_SELECTION } = require("./graphql-client");
+const { LABELS_PAGE_SIZE } = require("./item-filters");
+
+const GRAPHQL_FEATURES_HEADERS = {
+  "GraphQL-Features": "sub_issues,issue_types",
+};
+
+const PARENT_QUERY = `
+  query ($id: ID!) {
+    ${RATE_LIMIT_SELECTION}
+    node(id: $id) {
+      ... on Issue {
+        id
+        number
+        repository {
+          nameWithOwner
+        }
+        issueType {
+          id
+          name
+        }
+        parent {
+          id
+          number
+          repository {
+            nameWithOwner
+          }
+          issueType {
+            id
+            name
+          }
+        }
+      }
+    }
+  }
+`;
+
+const SUB_ISSUES_QUERY = `
+  query ($id: ID!, $after: String) {
+    ${RATE_LIMIT_SELECTION}
+    node(id: $id) {
+      ... on Issue {
+        subIssues(first: 50, after: $after) {
+          nodes {
+            id
+            url
+            state
+            repository {
+              nameWithOwner
+            }
+            labels(first: ${LABELS_PAGE_SIZE}) {
+              nodes {
+                name
+              }
+            }
+            issueType {
+              name
+            }
+            subIssuesSummary {
+              total
+            }
+          }
+          pageInfo {
+            hasNextPage
+            endCursor
+          }
+        }
+      }
+    }
+  }
+`;
+
+/**
+ * Creates a per-run cache of resolved top parents, keyed by issue node id.
+ *
+ * Every issue visited while walking a parent chain is stored with the top parent found
+ * above it (or null when there is none), so siblings sharing ancestors only fetch each
+ * parent once.
+ *
+ * @returns {{lookup: Function, store: Function, stats: Function}}
+ */
+function createAncestorCache() {
+  const topParents = new Map();
+  // Direct parent of every fetched issue, used by findParentIssue and loadAncestors.
+  const parents = new Map();
+  let hits = 0;
+  let misses = 0;
+  return {
+    /**
+     * @param {string} issueId - The issue’s GraphQL node id.
+     * @returns {string|null|undefined} - The cached top parent id, null for "none", or undefined on a miss.
+     */
+    lookup(issueId) {
+      if (topParents.has(issueId)) {
+        hits++;
+        return topParents.get(issueId);
+      }
+      misses++;
+      return undefined;
+    },
+    /**
+     * @param {string[]} issueIds - Issues whose top parent has been resolved.
+     * @param {string|null} topParentId - The resolved top parent id, or null for "none".
+     */
+    store(issueIds, topParentId) {
+      for (const issueId of issueIds) {
+        topParents.set(issueId, topParentId);
+      }
+    },
+    /**
+     * @param {string} issueId - The issue’s GraphQL node id.
+     * @returns {{id: string, issueType: string|null}|null|undefined} - The cached parent, null for "none", or undefined on a miss.
+     */
+    lookupParent(issueId) {
+      if (parents.has(issueId)) {
+        hits++;
+        return parents.get(issueId);
+      }
+      misses++;
+      return undefined;
+    },
+    /**
+     * @param {string} issueId - The issue’s GraphQL node id.
+     * @param {{id: string, issueType: string|null}|null} parent - Its parent, or null for "none".
+     */
+    storeParent(issueId, parent) {
+      parents.set(issueId, parent);
+    },
+    stats() {
+      const lookups = hits + misses;
+      return {
+        hits,
+        misses,
+        size: topParents.size + parents.size,
+        hitRate: lookups === 0 ? 0 : hits / lookups,
+      };
+    },
+  };
+}
+
+/**
+ * Traverses an issue’s parent chain (using the sub_issues API) until it finds a parent
+ * whose Issue Type is `topParentIssueType`. Returns the GraphQL id of that parent, or null if not found.
+ *
+ * @param {object} octokit - The authenticated Octokit client.
+ * @param {string} currentId - The current issue’s GraphQL node id.
+ * @param {string} topParentIssueType - The Issue Type of the top parent.
+ * @param {object} [options]
+ * @param {boolean} [options.includeSelf] - Return the issue itself when it already has the top parent type.
+ * @param {object} [options.cache] - An ancestor cache created by createAncestorCache.
+ * @param {Map<string, string|null>} [options.parents] - Receives the direct parent id of every fetched issue.
+ * @returns {Promise<string|null>}
+ */
+async function findParentInitiativeIssue(
+  octokit,
+  currentId,
+  topParentIssueType,
+  options = {}
+) {
+  const cache = options.cache;
+  // Issues visited so far; they all resolve to the same top parent.
+  const visited = new Set();
+  const resolve = (topParentId) => {
+    if (cache) cache.store(visited, topParentId);
+    return topParentId;
+  };
+  const maxDepth = 50;
+  let depth = 0;
+  while (true) {
+    // The issue itself is not looked up when it may be the answer (includeSelf).
+    if (cache && !(options.includeSelf && depth === 0)) {
+      const cached = cache.lookup(currentId);
+      if (cached !== undefined) {
+        return resolve(cached);
+      }
+    }
+    if (visited.has(currentId)) {
+      core.info(`Cycle detected at issue ${currentId}.`);
+      return resolve(null);
+    }
+    if (depth > maxDepth) {
+      core.info(`Maximum traversal depth of ${maxDepth} reached.`);
+      return resolve(null);
+    }
+    visited.add(currentId);
+    depth++;
+    const result = await octokit.graphql(PARENT_QUERY, {
+      id: currentId,
+      headers: GRAPHQL_FEATURES_HEADERS,
+    });
+    const issue = result.node;
+    if (options.parents) {
+      options.parents.set(currentId, issue && issue.parent ? issue.parent.id : null);
+    }
+    if (
+      options.includeSelf &&
+      depth === 1 &&
+      issue &&
+      issue.issueType &&
+      issue.issueType.name === topParentIssueType
+    ) {
+      return issue.id;
+    }
+    if (!issue || !issue.parent) {
+      core.info("No parent found.");
+      return resolve(null);
+    }
+    const parent = issue.parent;
+    try {
+      const parentType = issue.parent.issueType;
+      core.info(`Parent ${parent.id} has issue type "${parentType.name}"`);
+      if (parentType.name === topParentIssueType) {
+        return resolve(parent.id);
+      }
+    } catch (e) {
+      core.info(
+        `Failed to get issue type for parent ${parent.id}: ${e.message}`
+      );
+    }
+    // Continue traversing upward.
+    currentId = parent.id;
+  }
+}
+
+/**
+ * Returns the direct parent of an issue, or null when it has none.
+ *
+ * @param {object} octokit - The authenticated Octokit client.
+ * @param {string} issueId - The issue’s GraphQL node id.
+ * @param {object} [options]
+ * @param {object} [options.cache] - An ancestor cache created by createAncestorCache.
+ * @returns {Promise<{id: string, issueType: string|null}|null>}
+ */
+async function findParentIssue(octokit, issueId, options = {}) {
+  const cache = options.cache;
+  let parent = cache ? cache.lookupParent(issueId) : undefined;
+  if (parent === undefined) {
+    const result = await octokit.graphql(PARENT_QUERY, {
+      id: issueId,
+      headers: GRAPHQL_FEATURES_HEADERS,
+    });
+    const issue = result.node;
+    parent =
+      issue && issue.parent
+        ? {
+            id: issue.parent.id,
+            issueType: issue.parent.issueType ? issue.parent.issueType.name : null,
+          }
+        : null;
+    if (cache) cache.storeParent(issueId, parent);
+  }
+  return parent;
+}
+
+/**
+ * Walks an issue’s parent chain once and collects, in the same walk:
+ * - for each of `options.issueTypes`, the nearest ancestor of that Issue Type (or null),
+ * - the chain of the nearest ancestors, up to `options.depth` of them or until
+ *   `options.isChainComplete` returns true.
+ * The walk stops as soon as both are complete or the chain ends.
+ *
+ * @param {object} octokit - The authenticated Octokit client.
+ * @param {string} currentId - The current issue’s GraphQL node id.
+ * @param {object} [options]
+ * @param {string[]} [options.issueTypes] - The Issue Types to look for.
+ * @param {number} [options.depth] - Maximum number of ancestors collected in `chain`.
+ * @param {Function} [options.isChainComplete] - Called with the chain so far; true stops collecting it.
+ * @param {object} [options.cache] - An ancestor cache created by createAncestorCache.
+ * @returns {Promise<{byType: Map<string, string|null>, chain: {id: string, issueType: string|null}[]}>}
+ */
+async function loadAncestors(octokit, currentId, options = {}) {
+  const cache = options.cache;
+  const issueTypes = options.issueTypes || [];
+  const depth = options.depth || 0;
+  const isChainComplete = options.isChainComplete || (() => false);
+  const byType = new Map(issueTypes.map((issueType) => [issueType, null]));
+  const remaining = new Set(issueTypes);
+  const chain = [];
+  const chainOpen = () => chain.length < depth && !isChainComplete(chain);
+  const visited = new Set([currentId]);
+  const maxDepth = 50;
+  let level = 0;
+  while (remaining.size > 0 || chainOpen()) {
+    if (level >= maxDepth) {
+      core.info(`Maximum traversal depth of ${maxDepth} reached.`);
+      break;
+    }
+    level++;
+    const parent = await findParentIssue(octokit, currentId, { cache });
+    if (!parent) break;
+    if (visited.has(parent.id)) {
+      core.info(`Cycle detected at issue ${parent.id}.`);
+      break;
+    }
+    visited.add(parent.id);
+    if (chainOpen()) chain.push(parent);
+    if (remaining.has(parent.issueType)) {
+      byType.set(parent.issueType, parent.id);
+      remaining.delete(parent.issueType);
+    }
+    currentId = parent.id;
+  }
+  return { byType, chain };
+}
+
+/**
+ * Loads the direct sub-issues of an issue (with pagination).
+ *
+ * @param {object} octokit - The authenticated Octokit client.
+ * @param {string} issueId - The issue’s GraphQL node id.
+ * @returns {Promise<object[]>} - Sub-issue nodes with `id` and `subIssuesSummary`.
+ */
+async function loadSubIssues(octokit, issueId) {
+  let subIssues = [];
+  let after = null;
+  let hasNextPage = true;
+  while (hasNextPage) {
+    const result = await octokit.graphql(SUB_ISSUES_QUERY, {
+      id: issueId,
+      after,
+      headers: GRAPHQL_FEATURES_HEADERS,
+    });
+    if (!result.node || !result.node.subIssues) break;
+    subIssues = subIssues.concat(result.node.subIssues.nodes);
+    const pageInfo = result.node.subIssues.pageInfo;
+    hasNextPage = pageInfo.hasNextPage;
+    after = pageInfo.endCursor;
+  }
+  return subIssues;
+}
+
+/**
+ * Walks the sub-issues of `rootId` downward and returns the ids of all descendants.
+ * Issues without sub-issues are not queried.
+ *
+ * Sub-issues that are themselves of `topParentIssueType` are returned as nested top
+ * parents and not descended into, since their descendants belong to them instead.
+ *
+ * @param {object} octokit - The authenticated Octokit client.
+ * @param {string} rootId - The top parent’s GraphQL node id.
+ * @param {string} [topParentIssueType] - The Issue Type of top parents.
+ * @param {object} [options]
+ * @param {Map<string, object>} [options.issues] - Receives every visited sub-issue node by id.
+ * @param {Map<string, string>} [options.parents] - Receives the parent id of every visited sub-issue.
+ * @returns {Promise<{descendants: string[], nestedTopParents: string[]}>}
+ */
+async function loadSubIssueTree(octokit, rootId, topParentIssueType, options = {}) {
+  const descendants = [];
+  const nestedTopParents = [];
+  const visited = new Set([rootId]);
+  const queue = [rootId];
+  while (queue.length > 0) {
+    const issueId = queue.shift();
+    for (const subIssue of await loadSubIssues(octokit, issueId)) {
+      if (visited.has(subIssue.id)) continue;
+      visited.add(subIssue.id);
+      if (options.issues) options.issues.set(subIssue.id, subIssue);
+      if (options.parents) options.parents.set(subIssue.id, issueId);
+      if (
+        topParentIssueType &&
+        subIssue.issueType &&
+        subIssue.issueType.name === topParentIssueType
+      ) {
+        nestedTopParents.push(subIssue.id);
+        continue;
+      }
+      descendants.push(subIssue.id);
+      if (subIssue.subIssuesSummary && subIssue.subIssuesSummary.total > 0) {
+        queue.push(subIssue.id);
+      }
+    }
+  }
+  return { descendants, nestedTopParents };
+}
+
+/**
+ * Walks downward from each of the given top parents and assigns every descendant
+ * to its nearest top parent. This is the top-down counterpart of calling
+ * findParentInitiativeIssue for every issue.
+ *
+ * @param {object} octokit - The authenticated Octokit client.
+ * @param {string[]} topParentIds - GraphQL node ids of the top parents to walk from.
+ * @param {string} topParentIssueType - The Issue Type of top parents.
+ * @param {object} [options]
+ * @param {Map<string, object>} [options.issues] - Receives every visited sub-issue node by id.
+ * @param {Map<string, string>} [options.parents] - Receives the parent id of every visited sub-issue.
+ * @param {Function} [options.onError] - Called with the top parent id and the error when its
+ *   sub-issues cannot be loaded; that hierarchy is left out of the map and the walk goes on.
+ *   Without it the error is thrown.
+ * @returns {Promise<Map<string, string>>} - Top parent id by descendant issue id.
+ */
+async function buildTopParentMap(octokit, topParentIds, topParentIssueType, options = {}) {
+  const topParentByIssueId = new Map();
+  const walked = new Set();
+  const queue = [...topParentIds];
+  while (queue.length > 0) {
+    const rootId = queue.shift();
+    if (walked.has(rootId)) continue;
+    walked.add(rootId);
+    let tree;
+    try {
+      tree = await loadSubIssueTree(octokit, rootId, topParentIssueType, options);
+    } catch (error) {
+      if (!options.onError) throw error;
+      options.onError(rootId, error);
+      continue;
+    }
+    const { descendants, nestedTopParents } = tree;
+    for (const issueId of descendants.concat(nestedTopParents)) {
+      topParentByIssueId.set(issueId, rootId);
+    }
+    // Nested top parents are walked on their own, their descendants belong to them.
+    queue.push(...nestedTopParents);
+  }
+  return topParentByIssueId;
+}
+
+module.exports = {
+  createAncestorCache,
+  findParentInitiativeIssue,
+  findParentIssue,
+  loadAncestors,
+  loadSubIssueTree,
+  buildTopParentMap,
+};
@@ -0,0 +1,164 @@
+/*
+  Item scope filters.
+
+  Project items are narrowed down before any parent traversal with a filter written like the
+  filter bar of a project view:
+
+    repo:my-org/api,my-org/web is:open -label:wontfix type:Epic,Task status:"In Progress"
+
+  Every term has to match. A term lists alternatives separated by commas, values with spaces
+  are quoted, and a leading "-" negates the term:
+  - repo:<owner/name>    the repository of the issue or pull request
+  - label:<name>         any of its labels
+  - type:<Issue Type>    its Issue Type
+  - is:open, is:closed   its state (merged pull requests are closed)
+  - is:archived          archived project items
+  - is:issue, is:pr      issues or pull requests
+  - <field>:<value>      the value of a project field, e.g. status:"In Progress"
+  Keys and values are compared case-insensitively.
+*/
+
+const { getFieldValueFromItem, formatFieldValue } = require("./field-values");
+
+// Number of labels read per issue or pull request, for label: terms.
+const LABELS_PAGE_SIZE = 20;
+
+const TERM_PATTERN = /\s*(-?)([^\s:"]+):((?:"[^"]*"|[^\s"])+)/y;
+const VALUE_PATTERN = /"([^"]*)"|([^,]+)/g;
+
+const IS_MATCHERS = {
+  open: (item) => !!item.content && item.content.state === "OPEN",
+  closed: (item) =>
+    !!item.content && (item.content.state === "CLOSED" || item.content.state === "MERGED"),
+  archived: (item) => !!item.isArchived,
+  issue: (item) => !!item.content && !!item.content.id && item.content.__typename !== "PullRequest",
+  pr: (item) => !!item.content && item.content.__typename === "PullRequest",
+};
+
+/**
+ * Parses a project-view-style filter string into its terms.
+ *
+ * @param {string} query - The filter, e.g. `repo:my-org/api -label:wontfix`.
+ * @returns {{key: string, values: string[], negated: boolean}[]}
+ */
+function parseItemFilter(query) {
+  const terms = [];
+  const text = query.trim();
+  TERM_PATTERN.lastIndex = 0;
+  while (TERM_PATTERN.lastIndex < text.length) {
+    const start = TERM_PATTERN.lastIndex;
+    const match = TERM_PATTERN.exec(text);
+    if (!match) {
+      throw new Error(
+        `Invalid item filter "${query}" at "${text.slice(start).trim()}". Expected <key>:<value> terms.`
+      );
+    }
+    const values = [];
+    for (const [, quoted, plain] of match[3].matchAll(VALUE_PATTERN)) {
+      const value = (quoted !== undefined ? quoted : plain).trim();
+      if (value) values.push(value);
+    }
+    const key = match[2].toLowerCase();
+    if (key === "is") {
+      const unknown = values.find((value) => !IS_MATCHERS[value.toLowerCase()]);
+      if (unknown) {
+        throw new Error(
+          `Invalid item filter "${query}": is:${unknown} is not supported. Expected is:${Object.keys(
+            IS_MATCHERS
+          ).join(", is:")}.`
+        );
+      }
+    }
+    terms.push({ key, values, negated: match[1] === "-" });
+  }
+  return terms;
+}
+
+/**
+ * Formats filter terms back into a filter string, for logs.
+ *
+ * @param {{key: string, values: string[], negated: boolean}[]} terms - The filter terms.
+ * @returns {string}
+ */
+function formatItemFilter(terms) {
+  return terms
+    .map(
+      (term) =>
+        `${term.negated ? "-" : ""}${term.key}:${term.values
+          .map((value) => (/[\s,"]/.test(value) ? `"${value}"` : value))
+          .join(",")}`
+    )
+    .join(" ");
+}
+
+/**
+ * Returns true when `value` equals one of `values`, ignoring case.
+ *
+ * @param {string[]} values - The accepted values.
+ * @param {string|null|undefined} value - The item's value.
+ * @returns {boolean}
+ */
+function matchesAny(values, value) {
+  if (value === null || value === undefined || value === "") return false;
+  const normalized = String(value).toLowerCase();
+  return values.some((candidate) => candidate.toLowerCase() === normalized);
+}
+
+/**
+ * Builds the predicate of a single (not negated) filter term.
+ *
+ * @param {{key: string, values: string[]}} term - The filter term.
+ * @param {object[]} fields - The normalized fields of the project.
+ * @returns {function(object): boolean}
+ */
+function createTermMatcher(term, fields) {
+  const { key, values } = term;
+  switch (key) {
+    case "repo":
+      return (item) =>
+        !!item.content &&
+        !!item.content.repository &&
+        matchesAny(values, item.content.repository.nameWithOwner);
+    case "label":
+      return (item) =>
+        !!item.content &&
+        !!item.content.labels &&
+        item.content.labels.nodes.some((label) => matchesAny(values, label.name));
+    case "type":
+      return (item) =>
+        !!item.content &&
+        !!item.content.issueType &&
+        matchesAny(values, item.content.issueType.name);
+    case "is":
+      return (item) => values.some((value) => IS_MATCHERS[value.toLowerCase()](item));
+    default: {
+      const field = fields.find((candidate) => candidate.name.toLowerCase() === key);
+      if (!field) {
+        throw new Error(`Item filter field ${key} was not found in the project.`);
+      }
+      return (item) => matchesAny(values, formatFieldValue(field, getFieldValueFromItem(item, field)));
+    }
+  }
+}
+
+/**
+ * Builds a predicate telling whether a project item matches every filter term.
+ *
+ * @param {{key: string, values: string[], negated: boolean}[]} terms - The filter terms.
+ * @param {object[]} fields - The normalized fields of the project, for <field>:<value> terms.
+ * @returns {function(object): boolean}
+ */
+function createItemFilter(terms, fields) {
+  const matchers = terms.map((term) => {
+    const matches = createTermMatcher(term, fields);
+    return term.negated ? (item) => !matches(item) : matches;
+  });
+  return (item) => matchers.every((matches) => matches(item));
+}
+
+module.exports = {
+  LABELS_PAGE_SIZE,
+  parseItemFilter,
+  formatItemFilter,
+  createItemFilter,
+};
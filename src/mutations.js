@@ -0,0 +1,236 @@
+/*
+  Batched project field writes.
+
+  Updates are grouped into mutation documents with one aliased
+  updateProjectV2ItemFieldValue per entry, or clearProjectV2ItemFieldValue for
+  entries whose value is null:
+
+    mutation($projectId: ID!, $itemId0: ID!, $fieldId0: ID!, $value0: ProjectV2FieldValue!, ...) {
+      update0: updateProjectV2ItemFieldValue(input: { ... }) { projectV2Item { id } }
+      clear1: clearProjectV2ItemFieldValue(input: { ... }) { projectV2Item { id } }
+      ...
+    }
+
+  Errors reported for an alias are mapped back to that entry. Batches failing with other
+  non-transient errors (e.g. an invalid value) are split in halves until the failing entries
+  are isolated. Transient and rate limit errors, already retried by the GraphQL client, fail
+  the whole batch. Only the failed entries are retried.
+
+  Missing issues are added to the project one at a time with addProjectV2ItemById, since
+  the id of every new item is needed before its fields can be written.
+*/
+
+const core = require("@actions/core");
+const { toFieldValueInput } = require("./field-values");
+const { isRetryableError } = require("./graphql-client");
+
+const DEFAULT_BATCH_SIZE = 20;
+const DEFAULT_MAX_RETRIES = 2;
+const ALIAS_PATTERN = /^(?:update|clear)(\d+)$/;
+
+/**
+ * Builds an aliased mutation document and its variables for a batch of updates.
+ *
+ * @param {string} projectId - The project’s GraphQL id.
+ * @param {object[]} batch - Updates of the shape { itemId, field, value }; a null value clears the field.
+ * @returns {{mutation: string, variables: object}}
+ */
+function buildUpdateMutation(projectId, batch) {
+  const variableDefinitions = ["$projectId: ID!"];
+  const selections = [];
+  const variables = { projectId };
+  batch.forEach((update, i) => {
+    variableDefinitions.push(`$itemId${i}: ID!`, `$fieldId${i}: ID!`);
+    variables[`itemId${i}`] = update.itemId;
+    variables[`fieldId${i}`] = update.field.id;
+    if (update.value === null) {
+      selections.push(`
+          clear${i}: clearProjectV2ItemFieldValue(input: {
+            projectId: $projectId,
+            itemId: $itemId${i},
+            fieldId: $fieldId${i}
+          }) {
+            projectV2Item {
+              id
+            }
+          }`);
+      return;
+    }
+    variableDefinitions.push(`$value${i}: ProjectV2FieldValue!`);
+    variables[`value${i}`] = toFieldValueInput(update.field, update.value);
+    selections.push(`
+          update${i}: updateProjectV2ItemFieldValue(input: {
+            projectId: $projectId,
+            itemId: $itemId${i},
+            fieldId: $fieldId${i},
+            value: $value${i}
+          }) {
+            projectV2Item {
+              id
+            }
+          }`);
+  });
+  const mutation = `
+        mutation(${variableDefinitions.join(", ")}) {${selections.join("")}
+        }
+      `;
+  return { mutation, variables };
+}
+
+/**
+ * Maps the errors of a failed batch to the entries they belong to.
+ *
+ * Errors carrying a `path` starting with an alias (e.g. ["update3"] or ["clear4"]) fail that entry only.
+ *
+ * @param {object[]} batch - The updates of the batch.
+ * @param {Error} error - The error thrown by octokit.graphql.
+ * @returns {Map<object, string>|null} - Error message by update, or null when no error can
+ *   be tied to an alias (network failure, invalid document, ...).
+ */
+function mapBatchErrors(batch, error) {
+  const aliasErrors = (error.errors || []).filter(
+    (e) => e.path && ALIAS_PATTERN.test(e.path[0])
+  );
+  if (aliasErrors.length === 0) return null;
+  const failures = new Map();
+  for (const e of aliasErrors) {
+    const index = parseInt(ALIAS_PATTERN.exec(e.path[0])[1], 10);
+    if (index < batch.length) {
+      failures.set(batch[index], e.message);
+    }
+  }
+  return failures;
+}
+
+/**
+ * Sends a batch of updates in one mutation document.
+ *
+ * When the batch fails with errors that cannot be tied to an alias, it is split in halves
+ * that are sent on their own, so one bad entry does not fail the entries sent with it.
+ * Transient and rate limit errors fail the whole batch instead: splitting would only
+ * multiply the requests sent to a failing or throttled API.
+ *
+ * @param {object} octokit - The authenticated Octokit client.
+ * @param {string} projectId - The project’s GraphQL id.
+ * @param {object[]} batch - Updates of the shape { itemId, field, value }.
+ * @returns {Promise<Map<object, string>>} - Error message by failed update.
+ */
+async function sendBatch(octokit, projectId, batch) {
+  const { mutation, variables } = buildUpdateMutation(projectId, batch);
+  try {
+    await octokit.graphql(mutation, variables);
+    return new Map();
+  } catch (error) {
+    const failures = mapBatchErrors(batch, error);
+    if (failures) return failures;
+    if (batch.length === 1 || isRetryableError(error)) {
+      return new Map(batch.map((update) => [update, error.message]));
+    }
+    core.info(
+      `Splitting a batch of ${batch.length} field update(s) after an error: ${error.message}`
+    );
+    const middle = Math.ceil(batch.length / 2);
+    return new Map([
+      ...(await sendBatch(octokit, projectId, batch.slice(0, middle))),
+      ...(await sendBatch(octokit, projectId, batch.slice(middle))),
+    ]);
+  }
+}
+
+/**
+ * Writes field values to project items in batches of aliased mutations.
+ *
+ * @param {object} octokit - The authenticated Octokit client.
+ * @param {string} projectId - The project’s GraphQL id.
+ * @param {object[]} updates - Updates of the shape { itemId, field, value }; a null value clears the field.
+ * @param {object} [options]
+ * @param {number} [options.batchSize] - Number of updates per mutation document.
+ * @param {number} [options.maxRetries] - How often failed entries are retried.
+ * @returns {Promise<{updated: object[], failed: {update: object, error: string}[]}>}
+ */
+async function updateProjectFields(octokit, projectId, updates, options = {}) {
+  const batchSize = options.batchSize || DEFAULT_BATCH_SIZE;
+  const maxRetries =
+    options.maxRetries === undefined ? DEFAULT_MAX_RETRIES : options.maxRetries;
+  const updated = [];
+  let pending = updates;
+  let lastErrors = new Map();
+
+  for (let attempt = 0; attempt <= maxRetries && pending.length > 0; attempt++) {
+    if (attempt > 0) {
+      core.info(
+        `Retrying ${pending.length} failed field update(s) (attempt ${attempt + 1} of ${maxRetries + 1}).`
+      );
+    }
+    const failedThisAttempt = [];
+    lastErrors = new Map();
+    for (let start = 0; start < pending.length; start += batchSize) {
+      const batch = pending.slice(start, start + batchSize);
+      const failures = await sendBatch(octokit, projectId, batch);
+      batch.forEach((update) => {
+        if (failures.has(update)) {
+          failedThisAttempt.push(update);
+          lastErrors.set(update, failures.get(update));
+          return;
+        }
+        updated.push(update);
+        core.info(
+          update.value === null
+            ? `Cleared project item ${update.itemId} field ${update.field.name}.`
+            : `Updated project item ${update.itemId} field ${update.field.name} with value: ${update.value}.`
+        );
+      });
+    }
+    pending = failedThisAttempt;
+  }
+
+  const failed = pending.map((update) => ({
+    update,
+    error: lastErrors.get(update),
+  }));
+  return { updated, failed };
+}
+
+const ADD_ITEM_MUTATION = `
+  mutation($projectId: ID!, $contentId: ID!) {
+    addProjectV2ItemById(input: { projectId: $projectId, contentId: $contentId }) {
+      item {
+        id
+      }
+    }
+  }
+`;
+
+/**
+ * Adds issues to the project.
+ *
+ * @param {object} octokit - The authenticated Octokit client.
+ * @param {string} projectId - The project’s GraphQL id.
+ * @param {string[]} contentIds - GraphQL node ids of the issues to add.
+ * @returns {Promise<{added: {contentId: string, itemId: string}[], failed: {contentId: string, error: string}[]}>}
+ */
+async function addProjectItems(octokit, projectId, contentIds) {
+  const added = [];
+  const failed = [];
+  for (const contentId of contentIds) {
+    try {
+      const result = await octokit.graphql(ADD_ITEM_MUTATION, {
+        projectId,
+        contentId,
+      });
+      const itemId = result.addProjectV2ItemById.item.id;
+      added.push({ contentId, itemId });
+      core.info(`Added issue ${contentId} to the project as item ${itemId}.`);
+    } catch (error) {
+      failed.push({ contentId, error: error.message });
+    }
+  }
+  return { added, failed };
+}
+
+module.exports = {
+  DEFAULT_BATCH_SIZE,
+  buildUpdateMutation,
+  updateProjectFields,
+  addProjectItems,
+};
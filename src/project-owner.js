@@ -0,0 +1,151 @@
+/*
+  Resolves the owner of a GitHub Project (v2) from its URL and builds GraphQL
+  queries that reach the project through that owner.
+
+  Supported URL shapes:
+  - Organization project: https://github.com/orgs/<org>/projects/<n>
+  - User project:         https://github.com/users/<login>/projects/<n>
+  - Repository project:   https://github.com/<owner>/<repo>/projects/<n>
+*/
+
+const { URL } = require("url");
+const { RATE_LIMIT_SELECTION } = require("./graphql-client");
+
+const OWNER_TYPES = {
+  organization: {
+    variableDefinitions: "$login: String!",
+    selector: "organization(login: $login)",
+  },
+  user: {
+    variableDefinitions: "$login: String!",
+    selector: "user(login: $login)",
+  },
+  repository: {
+    variableDefinitions: "$owner: String!, $name: String!",
+    selector: "repository(owner: $owner, name: $name)",
+  },
+};
+
+/**
+ * Parses the project number segment of a project URL.
+ *
+ * @param {string} value - The raw path segment following "projects".
+ * @param {string} projectUrl - The full URL, used in error messages.
+ * @param {string} settingName - The setting holding the URL, used in error messages.
+ * @returns {number}
+ */
+function parseProjectNumber(value, projectUrl, settingName) {
+  if (!/^\d+$/.test(value || "")) {
+    throw new Error(`Invalid project number in ${settingName}: ${projectUrl}`);
+  }
+  const projectNumber = parseInt(value, 10);
+  if (projectNumber < 1) {
+    throw new Error(`Invalid project number in ${settingName}: ${projectUrl}`);
+  }
+  return projectNumber;
+}
+
+/**
+ * Creates the owner abstraction for the project identified by the given URL.
+ *
+ * The returned object knows how to wrap a `projectV2` selection in the matching
+ * owner field (organization, user or repository), which variables that wrapper
+ * needs, and how to pull the project back out of a query result.
+ *
+ * @param {string} projectUrl - The URL of the GitHub Project.
+ * @param {string} [settingName] - The setting holding the URL, used in error messages.
+ * @returns {{type: string, login: string, repository: string|null, number: number,
+ *   query: Function, variables: Function, project: Function}}
+ */
+function createProjectOwner(projectUrl, settingName = "PROJECT_URL") {
+  let pathParts;
+  try {
+    pathParts = new URL(projectUrl).pathname.split("/").filter(Boolean);
+  } catch (e) {
+    throw new Error(`Cannot parse ${settingName}: ${projectUrl}`);
+  }
+
+  let type;
+  let login;
+  let repository = null;
+  let numberPart;
+  if (pathParts[0] === "orgs" && pathParts[2] === "projects") {
+    type = "organization";
+    login = pathParts[1];
+    numberPart = pathParts[3];
+  } else if (pathParts[0] === "users" && pathParts[2] === "projects") {
+    type = "user";
+    login = pathParts[1];
+    numberPart = pathParts[3];
+  } else if (pathParts.length >= 4 && pathParts[2] === "projects") {
+    type = "repository";
+    login = pathParts[0];
+    repository = pathParts[1];
+    numberPart = pathParts[3];
+  } else {
+    throw new Error(`Cannot parse ${settingName}: ${projectUrl}`);
+  }
+  const number = parseProjectNumber(numberPart, projectUrl, settingName);
+  const ownerType = OWNER_TYPES[type];
+
+  return {
+    type,
+    login,
+    repository,
+    number,
+
+    /**
+     * Builds a query document that selects `projectSelection` on the project.
+     *
+     * @param {string} projectSelection - Fields to select on `projectV2`.
+     * @param {string} [extraVariableDefinitions] - Additional variable definitions, e.g. "$after: String".
+     * @returns {string}
+     */
+    query(projectSelection, extraVariableDefinitions) {
+      const variableDefinitions = [
+        ownerType.variableDefinitions,
+        "$number: Int!",
+        extraVariableDefinitions,
+      ]
+        .filter(Boolean)
+        .join(", ");
+      return `
+        query (${variableDefinitions}) {
+          ${RATE_LIMIT_SELECTION}
+          ${ownerType.selector} {
+            projectV2(number: $number) {
+              ${projectSelection}
+            }
+          }
+        }
+      `;
+    },
+
+    /**
+     * Returns the variables required by `query()`, merged with `extra`.
+     *
+     * @param {object} [extra] - Additional query variables.
+     * @returns {object}
+     */
+    variables(extra) {
+      const ownerVariables =
+        type === "repository"
+          ? { owner: login, name: repository }
+          : { login };
+      return Object.assign(ownerVariables, { number }, extra);
+    },
+
+    /**
+     * Extracts the project from a result of a query built with `query()`.
+     *
+     * @param {object} result - The GraphQL result.
+     * @returns {object|null}
+     */
+    project(result) {
+      const ownerNode = result && result[type];
+      return ownerNode ? ownerNode.projectV2 : null;
+    },
+  };
+}
+
+module.exports = { createProjectOwner };
@@ -0,0 +1,304 @@
+/*
+  Reporting helpers for the changes computed during a sync run.
+
+  A change describes a single field write on a single project item:
+  { itemId, issueId, issueUrl, topParentId, topParentUrl, field, fieldId, oldValue, newValue,
+    oldDisplay, newDisplay }
+  Changes rolled up from child items (status rollup) carry `rollup: true` instead of a top parent.
+
+  A failure describes an item (and optionally a field) that could not be synchronized:
+  { itemId, issueUrl, field, error }
+
+  In check mode, the changes and the missing issues ({ issueId, issueUrl }) of an outcome are
+  the drift reported by the failing run.
+*/
+
+const core = require("@actions/core");
+const fs = require("fs");
+const path = require("path");
+
+const TABLE_COLUMNS = [
+  { title: "Item", value: (change) => change.itemId },
+  { title: "Issue", value: (change) => change.issueUrl || change.issueId },
+  { title: "Field", value: (change) => change.field },
+  { title: "Old value", value: (change) => change.oldDisplay },
+  { title: "New value", value: (change) => change.newDisplay },
+];
+
+/**
+ * Formats changes as a plain-text table, one string per line.
+ *
+ * @param {object[]} changes - The computed changes.
+ * @returns {string[]}
+ */
+function formatChangesTable(changes) {
+  const rows = changes.map((change) =>
+    TABLE_COLUMNS.map((column) => String(column.value(change) || "-"))
+  );
+  const widths = TABLE_COLUMNS.map((column, i) =>
+    Math.max(column.title.length, ...rows.map((row) => row[i].length))
+  );
+  const formatRow = (cells) =>
+    cells.map((cell, i) => cell.padEnd(widths[i])).join(" | ").trimEnd();
+
+  return [
+    formatRow(TABLE_COLUMNS.map((column) => column.title)),
+    widths.map((width) => "-".repeat(width)).join("-|-"),
+    ...rows.map(formatRow),
+  ];
+}
+
+/**
+ * Writes the changes to a JSON file so they can be uploaded as a workflow artifact.
+ *
+ * @param {string} filePath - Target path; relative paths are resolved against GITHUB_WORKSPACE (or the cwd).
+ * @param {object} report - The report to serialize.
+ * @returns {string} - The absolute path of the written file.
+ */
+function writeChangesArtifact(filePath, report) {
+  const target = path.resolve(
+    process.env.GITHUB_WORKSPACE || process.cwd(),
+    filePath
+  );
+  fs.mkdirSync(path.dirname(target), { recursive: true });
+  fs.writeFileSync(target, JSON.stringify(report, null, 2));
+  return target;
+}
+
+/**
+ * Formats a single failure recorded during a sync run.
+ *
+ * @param {{itemId: string, issueUrl: string|null, field: string|null, error: string}} failure
+ * @returns {string}
+ */
+function formatFailure(failure) {
+  const location = [
+    failure.itemId ? `project item ${failure.itemId}` : "issue",
+    failure.issueUrl ? `(${failure.issueUrl})` : null,
+    failure.field ? `field ${failure.field}` : null,
+  ]
+    .filter(Boolean)
+    .join(" ");
+  return `${location}: ${failure.error}`;
+}
+
+/**
+ * Formats all failures of a sync run as a bulleted list.
+ *
+ * @param {object[]} failures - The recorded failures.
+ * @returns {string}
+ */
+function formatFailures(failures) {
+  return failures.map((failure) => ` - ${formatFailure(failure)}`).join("\n");
+}
+
+/**
+ * Formats the out-of-sync field values and missing issues of a check run as a bulleted list.
+ *
+ * @param {{changes: object[], missingIssues?: object[]}} outcome - The outcome of the run.
+ * @returns {string} - The list, empty when nothing drifted.
+ */
+function formatDrift(outcome) {
+  const lines = outcome.changes.map(
+    (change) =>
+      ` - project item ${change.itemId} (${change.issueUrl || change.issueId}) field ${
+        change.field
+      }: expected "${change.newDisplay}", found "${change.oldDisplay}"`
+  );
+  for (const missing of outcome.missingIssues || []) {
+    lines.push(` - issue ${missing.issueUrl || missing.issueId} is missing from the project`);
+  }
+  return lines.join("\n");
+}
+
+/**
+ * Formats an issue URL as a short reference, e.g. "my-org/repo#12".
+ *
+ * @param {string|null} url - The issue URL.
+ * @param {string} fallback - Returned when the URL is missing or not an issue URL.
+ * @returns {string}
+ */
+function formatIssueReference(url, fallback) {
+  const match = /^https:\/\/[^/]+\/([^/]+\/[^/]+)\/(?:issues|pull)\/(\d+)/.exec(
+    url || ""
+  );
+  return match ? `${match[1]}#${match[2]}` : fallback;
+}
+
+/**
+ * Formats an issue as an HTML link for the job summary.
+ *
+ * @param {string|null} url - The issue URL.
+ * @param {string} fallback - Displayed (unlinked) when the URL is missing.
+ * @returns {string}
+ */
+function formatIssueLink(url, fallback) {
+  const reference = escapeHtml(formatIssueReference(url, fallback));
+  return url ? `<a href="${escapeHtml(url)}">${reference}</a>` : reference;
+}
+
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+/**
+ * Writes a Markdown job summary of the run: counts, then one table of changes per top parent.
+ * Does nothing outside of GitHub Actions (when GITHUB_STEP_SUMMARY is not set).
+ *
+ * @param {object} outcome - The result of the run.
+ */
+async function writeJobSummary(outcome) {
+  if (!process.env.GITHUB_STEP_SUMMARY) return;
+  const summary = core.summary;
+  const policySkips = outcome.policySkips || [];
+  let heading = "Dependants sync";
+  let updatedLabel = "Updated items";
+  if (outcome.check) {
+    heading = "Dependants sync (check)";
+    updatedLabel = "Items out of sync";
+  } else if (outcome.dryRun) {
+    heading = "Dependants sync (dry run)";
+    updatedLabel = "Items to update";
+  }
+  summary.addHeading(heading, 2);
+  summary.addList([
+    `${updatedLabel}: ${outcome.updatedItemCount}`,
+    `Unchanged items: ${outcome.skippedItemCount}`,
+    ...(policySkips.length > 0
+      ? [`Items kept by write policy: ${outcome.policySkippedItemCount}`]
+      : []),
+    ...(outcome.addedItemCount
+      ? [
+          `${outcome.dryRun ? "Issues to add to the project" : "Issues added to the project"}: ${outcome.addedItemCount}`,
+        ]
+      : []),
+    `Failed items: ${outcome.failures.length}`,
+  ]);
+
+  const changesByTopParent = new Map();
+  for (const change of outcome.changes) {
+    const group = change.rollup ? "rollup" : change.topParentId;
+    if (!changesByTopParent.has(group)) {
+      changesByTopParent.set(group, []);
+    }
+    changesByTopParent.get(group).push(change);
+  }
+  for (const [topParentId, changes] of changesByTopParent) {
+    let heading = "No top parent";
+    if (changes[0].rollup) {
+      heading = "Rolled up from child items";
+    } else if (topParentId) {
+      heading = `Top parent ${formatIssueLink(changes[0].topParentUrl, topParentId)}`;
+    }
+    summary.addHeading(heading, 3);
+    summary.addTable([
+      ["Item", "Issue", "Field", "Old value", "New value"].map((title) => ({
+        data: title,
+        header: true,
+      })),
+      ...changes.map((change) => [
+        escapeHtml(change.itemId),
+        formatIssueLink(change.issueUrl, change.issueId),
+        escapeHtml(change.field),
+        escapeHtml(change.oldDisplay),
+        escapeHtml(change.newDisplay),
+      ]),
+    ]);
+  }
+
+  if (policySkips.length > 0) {
+    summary.addHeading("Kept by write policy", 3);
+    summary.addTable([
+      ["Item", "Issue", "Field", "Policy", "Current value", "Parent value"].map(
+        (title) => ({ data: title, header: true })
+      ),
+      ...policySkips.map((skip) => [
+        escapeHtml(skip.itemId),
+        formatIssueLink(skip.issueUrl, skip.issueId),
+        escapeHtml(skip.field),
+        escapeHtml(skip.policy),
+        escapeHtml(skip.currentDisplay),
+        escapeHtml(skip.parentDisplay),
+      ]),
+    ]);
+  }
+
+  if ((outcome.unmappedValues || []).length > 0) {
+    summary.addHeading("Source values without a counterpart", 3);
+    summary.addList(
+      outcome.unmappedValues.map((unmapped) =>
+        escapeHtml(`${unmapped.field}: "${unmapped.value}" (${unmapped.itemCount} item(s))`)
+      )
+    );
+  }
+
+  if (outcome.failures.length > 0) {
+    summary.addHeading("Failures", 3);
+    summary.addList(outcome.failures.map((failure) => escapeHtml(formatFailure(failure))));
+  }
+  await summary.write();
+}
+
+/**
+ * Combines the outcomes of several projects into the outcome of the run.
+ *
+ * @param {object[]} outcomes - The outcome of every synchronized project.
+ * @returns {object}
+ */
+function mergeOutcomes(outcomes) {
+  if (outcomes.length === 1) return outcomes[0];
+  const sum = (key) =>
+    outcomes.reduce((total, outcome) => total + (outcome[key] || 0), 0);
+  const concat = (key) => outcomes.flatMap((outcome) => outcome[key] || []);
+  return {
+    dryRun: outcomes[0].dryRun,
+    check: outcomes[0].check,
+    updatedItemCount: sum("updatedItemCount"),
+    skippedItemCount: sum("skippedItemCount"),
+    policySkippedItemCount: sum("policySkippedItemCount"),
+    policySkips: concat("policySkips"),
+    addedItemCount: sum("addedItemCount"),
+    unmappedValues: concat("unmappedValues"),
+    failures: concat("failures"),
+    changes: concat("changes"),
+    missingIssues: concat("missingIssues"),
+  };
+}
+
+/**
+ * Publishes the result of the run as action outputs and as a job summary.
+ *
+ * @param {{dryRun: boolean, check: boolean, updatedItemCount: number, skippedItemCount: number,
+ *   policySkippedItemCount: number, policySkips: object[], addedItemCount: number,
+ *   unmappedValues: object[], failures: object[], changes: object[], missingIssues: object[]}} outcome
+ *   - The result of the run.
+ */
+async function publishOutcome(outcome) {
+  core.setOutput("updated-count", outcome.updatedItemCount);
+  core.setOutput("skipped-count", outcome.skippedItemCount);
+  core.setOutput("policy-skipped-count", outcome.policySkippedItemCount || 0);
+  core.setOutput("added-count", outcome.addedItemCount || 0);
+  core.setOutput("failed-count", outcome.failures.length);
+  core.setOutput("changes-json", JSON.stringify(outcome.changes));
+  try {
+    await writeJobSummary(outcome);
+  } catch (error) {
+    core.warning(`Failed to write the job summary: ${error.message}`);
+  }
+}
+
+module.exports = {
+  formatChangesTable,
+  writeChangesArtifact,
+  formatFailure,
+  formatFailures,
+  formatDrift,
+  formatIssueReference,
+  writeJobSummary,
+  mergeOutcomes,
+  publishOutcome,
+};
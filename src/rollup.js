@@ -0,0 +1,207 @@
+/*
+  Bottom-up rollups of child values into their ancestors.
+
+  Status rollup:
+
+  The Status (a single select field) of every parent item is derived from the Status of
+  its child items in the project, using an ordered rule table. The first matching rule wins:
+
+    { status: "Done", when: "all", of: ["Done"] }                       all children Done
+    { status: "In Progress", when: "any", of: ["In Progress", "Done"] } any child started
+
+  Parents whose children match no rule keep their Status. Nested parents are rolled up
+  first, so an Initiative sees the rolled up Status of its Epics.
+
+  Number rollups aggregate a field over all descendants of every ancestor item (not only
+  its direct children) and write the result to a number field of the ancestor:
+
+    { field: "Total estimate", aggregate: "sum", source: "Estimate" }
+    { field: "Open tasks", aggregate: "count-by-status", statuses: ["Todo", "In Progress"] }
+
+  When a rollup writes into its own source field (e.g. Estimate summed into Estimate), only
+  descendants without descendants of their own count, so rolled up values are not counted twice.
+*/
+
+const { getFieldValueFromItem, formatFieldValue } = require("./field-values");
+
+const ROLLUP_QUANTIFIERS = ["all", "any"];
+const NUMBER_AGGREGATES = ["sum", "min", "max", "count", "count-by-status"];
+const DEFAULT_STATUS_ROLLUP_FIELD = "Status";
+const DEFAULT_STATUS_ROLLUP_RULES = [
+  { status: "Done", when: "all", of: ["Done"] },
+  { status: "In Progress", when: "any", of: ["In Progress", "Done"] },
+];
+
+/**
+ * Returns the first rule matched by the statuses of a parent's children.
+ *
+ * @param {(string|null)[]} childStatuses - The Status option name of every child, null when unset.
+ * @param {{status: string, when: string, of: string[]}[]} rules - The rule table, in order.
+ * @returns {object|null} - The matching rule, or null when none matches.
+ */
+function matchRollupRule(childStatuses, rules) {
+  if (childStatuses.length === 0) return null;
+  return (
+    rules.find((rule) =>
+      rule.when === "all"
+        ? childStatuses.every((status) => rule.of.includes(status))
+        : childStatuses.some((status) => rule.of.includes(status))
+    ) || null
+  );
+}
+
+/**
+ * Derives the Status of every parent item from its child items.
+ *
+ * Only children that are items of the project count. The returned rollups are ordered
+ * children first, and include parents that already have the derived Status.
+ *
+ * @param {object[]} items - The project items to roll up.
+ * @param {Map<string, string|null>} parentByIssueId - Parent issue id by issue id.
+ * @param {object} field - The normalized single select field holding the Status.
+ * @param {{status: string, when: string, of: string[]}[]} rules - The rule table, in order.
+ * @returns {{item: object, status: string, childCount: number}[]}
+ */
+function rollUpStatuses(items, parentByIssueId, field, rules) {
+  const itemByIssueId = new Map(
+    items
+      .filter((item) => item.content && item.content.id)
+      .map((item) => [item.content.id, item])
+  );
+  const childIdsByIssueId = new Map();
+  for (const issueId of itemByIssueId.keys()) {
+    const parentId = parentByIssueId.get(issueId);
+    if (!parentId || !itemByIssueId.has(parentId)) continue;
+    if (!childIdsByIssueId.has(parentId)) childIdsByIssueId.set(parentId, []);
+    childIdsByIssueId.get(parentId).push(issueId);
+  }
+
+  const statusByIssueId = new Map();
+  const visiting = new Set();
+  const rollups = [];
+  // Returns the Status of an issue after rolling up its children.
+  const resolveStatus = (issueId) => {
+    if (statusByIssueId.has(issueId)) return statusByIssueId.get(issueId);
+    const item = itemByIssueId.get(issueId);
+    let status = formatFieldValue(field, getFieldValueFromItem(item, field)) || null;
+    const childIds = childIdsByIssueId.get(issueId) || [];
+    // An issue met again while resolving its own children is part of a cycle.
+    if (childIds.length > 0 && !visiting.has(issueId)) {
+      visiting.add(issueId);
+      const rule = matchRollupRule(childIds.map(resolveStatus), rules);
+      visiting.delete(issueId);
+      if (rule) {
+        status = rule.status;
+        rollups.push({ item, status, childCount: childIds.length });
+      }
+    }
+    statusByIssueId.set(issueId, status);
+    return status;
+  };
+  for (const issueId of childIdsByIssueId.keys()) {
+    resolveStatus(issueId);
+  }
+  return rollups;
+}
+
+/**
+ * Collects the project items below every project item, following the parent links
+ * through issues that are not in the project.
+ *
+ * @param {Map<string, object>} itemByIssueId - Project item by issue id.
+ * @param {Map<string, string|null>} parentByIssueId - Parent issue id by issue id.
+ * @returns {Map<string, object[]>} - Descendant items by ancestor issue id.
+ */
+function collectDescendants(itemByIssueId, parentByIssueId) {
+  const descendantsByIssueId = new Map();
+  for (const [issueId, item] of itemByIssueId) {
+    const visited = new Set([issueId]);
+    let ancestorId = parentByIssueId.get(issueId);
+    while (ancestorId && !visited.has(ancestorId)) {
+      visited.add(ancestorId);
+      if (itemByIssueId.has(ancestorId)) {
+        if (!descendantsByIssueId.has(ancestorId)) descendantsByIssueId.set(ancestorId, []);
+        descendantsByIssueId.get(ancestorId).push(item);
+      }
+      ancestorId = parentByIssueId.get(ancestorId);
+    }
+  }
+  return descendantsByIssueId;
+}
+
+/**
+ * Aggregates the values of a number rollup over a list of items.
+ *
+ * @param {object[]} items - The items to aggregate.
+ * @param {object} rollup - The rollup, with its `aggregate` and resolved fields.
+ * @returns {number|null} - The aggregate, or null when no item has a value to aggregate.
+ */
+function aggregateItems(items, rollup) {
+  if (rollup.aggregate === "count") return items.length;
+  if (rollup.aggregate === "count-by-status") {
+    return items.filter((item) =>
+      rollup.statuses.includes(
+        formatFieldValue(rollup.statusField, getFieldValueFromItem(item, rollup.statusField))
+      )
+    ).length;
+  }
+  const values = items
+    .map((item) => getFieldValueFromItem(item, rollup.sourceField))
+    .filter((value) => value !== null);
+  if (values.length === 0) return null;
+  if (rollup.aggregate === "min") return Math.min(...values);
+  if (rollup.aggregate === "max") return Math.max(...values);
+  // Rounded to hide floating point noise such as 0.1 + 0.2.
+  const sum = values.reduce((total, value) => total + value, 0);
+  return Math.round(sum * 1e6) / 1e6;
+}
+
+/**
+ * Aggregates number rollups over the descendants of every ancestor item.
+ *
+ * @param {object[]} items - The project items to roll up.
+ * @param {Map<string, string|null>} parentByIssueId - Parent issue id by issue id.
+ * @param {{field: object, aggregate: string, sourceField: object|null, statusField: object|null,
+ *   statuses: string[]|null}[]} rollups - The rollups, with their normalized fields.
+ * @returns {{item: object, field: object, value: number, descendantCount: number}[]} - One entry
+ *   per ancestor and rollup with a value, including unchanged ones, in the order of `items`.
+ */
+function rollUpNumbers(items, parentByIssueId, rollups) {
+  const itemByIssueId = new Map(
+    items
+      .filter((item) => item.content && item.content.id)
+      .map((item) => [item.content.id, item])
+  );
+  const descendantsByIssueId = collectDescendants(itemByIssueId, parentByIssueId);
+  const isLeaf = (item) => !descendantsByIssueId.has(item.content.id);
+  const results = [];
+  for (const [issueId, item] of itemByIssueId) {
+    const descendants = descendantsByIssueId.get(issueId);
+    if (!descendants) continue;
+    for (const rollup of rollups) {
+      const counted =
+        rollup.sourceField && rollup.sourceField.id === rollup.field.id
+          ? descendants.filter(isLeaf)
+          : descendants;
+      const value = aggregateItems(counted, rollup);
+      if (value === null) continue;
+      results.push({
+        item,
+        field: rollup.field,
+        value,
+        descendantCount: counted.length,
+      });
+    }
+  }
+  return results;
+}
+
+module.exports = {
+  ROLLUP_QUANTIFIERS,
+  NUMBER_AGGREGATES,
+  DEFAULT_STATUS_ROLLUP_FIELD,
+  DEFAULT_STATUS_ROLLUP_RULES,
+  matchRollupRule,
+  rollUpStatuses,
+  rollUpNumbers,
+};
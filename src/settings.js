@@ -0,0 +1,92 @@
+/*
+  Helpers for reading the action settings from the action inputs or, when an input is
+  not given, from the environment variable of the same name.
+*/
+
+const core = require("@actions/core");
+
+const TRUE_VALUES = ["true", "1", "yes", "on"];
+
+/**
+ * Reads a raw setting from the action input or the environment variable `name`.
+ *
+ * @param {string} name - The input / environment variable name.
+ * @returns {string} - The value, or an empty string when it is not set.
+ */
+function readSetting(name) {
+  return core.getInput(name) || process.env[name] || "";
+}
+
+/**
+ * Reads a boolean flag from the environment.
+ *
+ * @param {string} name - The environment variable name.
+ * @returns {boolean} - True when the variable is set to "true", "1", "yes" or "on".
+ */
+function readBooleanEnv(name) {
+  const value = readSetting(name);
+  return !!value && TRUE_VALUES.includes(value.trim().toLowerCase());
+}
+
+/**
+ * Reads a comma-separated list from the environment.
+ *
+ * @param {string} name - The environment variable name.
+ * @returns {string[]} - The trimmed, non-empty entries.
+ */
+function readListEnv(name) {
+  const value = readSetting(name);
+  if (!value) return [];
+  return value
+    .split(",")
+    .map((entry) => entry.trim())
+    .filter(Boolean);
+}
+
+/**
+ * Reads a positive integer from the environment.
+ *
+ * @param {string} name - The environment variable name.
+ * @param {number} defaultValue - Returned when the variable is not set.
+ * @returns {number}
+ */
+function readPositiveIntegerEnv(name, defaultValue) {
+  const value = readSetting(name);
+  if (!value || !value.trim()) return defaultValue;
+  if (!/^\d+$/.test(value.trim()) || parseInt(value, 10) < 1) {
+    throw new Error(`${name} must be a positive integer, got: ${value}`);
+  }
+  return parseInt(value, 10);
+}
+
+/**
+ * Reads a comma-separated list of "<field>:<value>" entries from the environment,
+ * e.g. "Team:fill-empty, Initiative:overwrite".
+ *
+ * @param {string} name - The environment variable name.
+ * @returns {Map<string, string>} - Value by field name.
+ */
+function readFieldMapEnv(name) {
+  const map = new Map();
+  for (const entry of readListEnv(name)) {
+    const separator = entry.lastIndexOf(":");
+    if (separator <= 0 || separator === entry.length - 1) {
+      throw new Error(
+        `${name} entries must look like "<field>:<value>", got: ${entry}`
+      );
+    }
+    map.set(
+      entry.slice(0, separator).trim(),
+      entry.slice(separator + 1).trim()
+    );
+  }
+  return map;
+}
+
+module.exports = {
+  readSetting,
+  readBooleanEnv,
+  readListEnv,
+  readPositiveIntegerEnv,
+  readFieldMapEnv,
+};
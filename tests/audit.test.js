@@ -0,0 +1,171 @@
+const { auditMarker, formatAuditComment, postAuditComments } = require('../src/audit');
+
+jest.mock('@actions/core');
+
+const project = { url: 'https://github.com/orgs/my-org/projects/1', id: 'project-id' };
+
+function change(issueNumber, field, oldDisplay, newDisplay, extra = {}) {
+  return {
+    itemId: `item-${issueNumber}`,
+    issueId: `issue-${issueNumber}`,
+    issueUrl: `https://github.com/my-org/repo/issues/${issueNumber}`,
+    topParentId: 'issue-initiative',
+    topParentUrl: 'https://github.com/my-org/repo/issues/1',
+    field,
+    oldDisplay,
+    newDisplay,
+    ...extra,
+  };
+}
+
+function comments(nodes) {
+  return { node: { comments: { nodes } } };
+}
+
+describe('audit', () => {
+  test('should format the changes of an issue with their source', () => {
+    const body = formatAuditComment(project.url, project.id, [
+      change(2, 'Initiative', '', 'Checkout | v2'),
+      change(2, 'Status', 'Todo', 'Done', { topParentId: null, topParentUrl: null, rollup: true }),
+    ]);
+
+    expect(body).toBe(
+      [
+        '<!-- dependants-sync:audit project=project-id -->',
+        '**Project fields synchronized** in https://github.com/orgs/my-org/projects/1',
+        '',
+        '| Field | Old value | New value | Source |',
+        '| --- | --- | --- | --- |',
+        '| Initiative | - | Checkout \\| v2 | `my-org/repo#1` |',
+        '| Status | Todo | Done | Rolled up from child items |',
+        '',
+        '_This comment is updated by the dependants-sync action whenever it changes these fields._',
+      ].join('\n')
+    );
+  });
+
+  test('should post one comment per issue, update its own comment and skip identical ones', async () => {
+    const changes = [
+      change(2, 'Initiative', '', 'Checkout'),
+      change(3, 'Initiative', '', 'Checkout'),
+      change(2, 'Team', '', 'Payments'),
+      change(4, 'Initiative', 'Search', 'Checkout'),
+    ];
+    const upToDate = formatAuditComment(project.url, project.id, [changes[3]]);
+    const octokit = {
+      graphql: jest
+        .fn()
+        .mockResolvedValueOnce(comments([{ id: 'comment-other', body: 'Looks good', viewerDidAuthor: false }]))
+        .mockResolvedValueOnce({})
+        .mockResolvedValueOnce(
+          comments([
+            { id: 'comment-foreign', body: `${auditMarker(project.id)} quoted`, viewerDidAuthor: false },
+            { id: 'comment-audit', body: `${auditMarker(project.id)} old`, viewerDidAuthor: true },
+          ])
+        )
+        .mockResolvedValueOnce({})
+        .mockResolvedValueOnce(comments([{ id: 'comment-4', body: upToDate, viewerDidAuthor: true }])),
+    };
+    const sleep = jest.fn().mockResolvedValue();
+
+    const result = await postAuditComments(octokit, project, changes, { sleep });
+
+    expect(result).toEqual({ posted: 1, updated: 1, unchanged: 1, skipped: 0, failed: [] });
+    expect(octokit.graphql).toHaveBeenCalledTimes(5);
+    expect(octokit.graphql.mock.calls[1][0]).toContain('addComment');
+    expect(octokit.graphql.mock.calls[1][1]).toEqual({
+      subjectId: 'issue-2',
+      body: formatAuditComment(project.url, project.id, [changes[0], changes[2]]),
+    });
+    expect(octokit.graphql.mock.calls[3][0]).toContain('updateIssueComment');
+    expect(octokit.graphql.mock.calls[3][1].id).toBe('comment-audit');
+    // Writes after the first one are spaced out.
+    expect(sleep).toHaveBeenCalledTimes(1);
+    expect(sleep).toHaveBeenCalledWith(1000);
+  });
+
+  test('should search older pages of comments for the audit comment', async () => {
+    const octokit = {
+      graphql: jest
+        .fn()
+        .mockResolvedValueOnce({
+          node: {
+            comments: {
+              nodes: [{ id: 'comment-new', body: 'Any update?', viewerDidAuthor: false }],
+              pageInfo: { hasPreviousPage: true, startCursor: 'cursor-1' },
+            },
+          },
+        })
+        .mockResolvedValueOnce({
+          node: {
+            comments: {
+              nodes: [{ id: 'comment-audit', body: `${auditMarker(project.id)} old`, viewerDidAuthor: true }],
+              pageInfo: { hasPreviousPage: true, startCursor: 'cursor-2' },
+            },
+          },
+        })
+        .mockResolvedValueOnce({}),
+    };
+
+    const result = await postAuditComments(octokit, project, [change(2, 'Initiative', '', 'Checkout')]);
+
+    expect(result).toEqual({ posted: 0, updated: 1, unchanged: 0, skipped: 0, failed: [] });
+    expect(octokit.graphql.mock.calls[1][1]).toEqual({ id: 'issue-2', before: 'cursor-1' });
+    expect(octokit.graphql.mock.calls[2][0]).toContain('updateIssueComment');
+    expect(octokit.graphql.mock.calls[2][1].id).toBe('comment-audit');
+  });
+
+  test('should look for the comment again before retrying a failed addComment', async () => {
+    const badGateway = new Error('Bad Gateway');
+    badGateway.status = 502;
+    const body = formatAuditComment(project.url, project.id, [change(2, 'Initiative', '', 'Checkout')]);
+    const octokit = {
+      graphql: jest
+        .fn()
+        .mockResolvedValueOnce(comments([]))
+        .mockRejectedValueOnce(badGateway)
+        // The comment was created despite the error.
+        .mockResolvedValueOnce(comments([{ id: 'comment-audit', body, viewerDidAuthor: true }])),
+    };
+    const sleep = jest.fn().mockResolvedValue();
+
+    const result = await postAuditComments(octokit, project, [change(2, 'Initiative', '', 'Checkout')], { sleep });
+
+    expect(result).toEqual({ posted: 1, updated: 0, unchanged: 0, skipped: 0, failed: [] });
+    expect(octokit.graphql).toHaveBeenCalledTimes(3);
+    expect(octokit.graphql.mock.calls[1][2]).toEqual({ retry: false });
+  });
+
+  test('should stop writing at the limit and collect failures', async () => {
+    const error = new Error('Resource not accessible by integration');
+    const octokit = {
+      graphql: jest
+        .fn()
+        .mockResolvedValueOnce(comments([]))
+        .mockRejectedValueOnce(error)
+        .mockResolvedValue(comments([])),
+    };
+
+    const result = await postAuditComments(
+      octokit,
+      project,
+      [change(2, 'Initiative', '', 'Checkout'), change(3, 'Initiative', '', 'Checkout')],
+      { maxComments: 1, minIntervalMs: 0 }
+    );
+
+    expect(result).toEqual({
+      posted: 0,
+      updated: 0,
+      unchanged: 0,
+      skipped: 1,
+      failed: [
+        {
+          issueId: 'issue-2',
+          issueUrl: 'https://github.com/my-org/repo/issues/2',
+          error: 'Resource not accessible by integration',
+        },
+      ],
+    });
+    expect(octokit.graphql).toHaveBeenCalledTimes(2);
+  });
+});
@@ -0,0 +1,521 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const core = require('@actions/core');
+const { parseConfig, loadConfig } = require('../src/config');
+
+jest.mock('@actions/core');
+
+const SETTINGS = [
+  'GITHUB_WORKSPACE',
+  'CONFIG_FILE',
+  'PROJECT_URL',
+  'SYNC_FIELDS',
+  'DRY_RUN',
+  'MAX_ERRORS',
+  'FIELD_WRITE_POLICIES',
+  'STATUS_ROLLUP_RULES',
+  'NUMBER_ROLLUPS',
+  'SYNC_PULL_REQUESTS',
+  'PULL_REQUEST_CONFLICTS',
+  'ITEM_FILTER',
+  'AUDIT_COMMENTS',
+];
+
+describe('config', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  afterEach(() => {
+    for (const name of SETTINGS) {
+      delete process.env[name];
+    }
+  });
+
+  test('should normalize projects and fields', () => {
+    const config = parseConfig(
+      {
+        options: { 'dry-run': true, 'max-errors': 3 },
+        projects: [
+          {
+            url: 'https://github.com/orgs/my-org/projects/1',
+            'top-parent-issue-type': 'Epic',
+            'add-missing-descendants': { repositories: 'my-org/repo' },
+            fields: [
+              'Initiative',
+              { name: 'Team', source: ['Epic', 'Initiative'], policy: 'fill-empty', clear: true },
+              { name: 'Quarter', inheritance: 'nearest-value' },
+            ],
+          },
+        ],
+      },
+      'dependants-sync.yml'
+    );
+
+    expect(config.options).toEqual({
+      dryRun: true,
+      check: false,
+      dryRunOutput: 'dependants-sync-dry-run.json',
+      mutationBatchSize: 20,
+      maxErrors: 3,
+      auditComments: false,
+      auditCommentLimit: 50,
+    });
+    expect(config.projects).toEqual([
+      {
+        url: 'https://github.com/orgs/my-org/projects/1',
+        sourceProjectUrl: null,
+        topParentIssueType: 'Epic',
+        traversal: 'auto',
+        itemFilter: [],
+        inheritanceMaxDepth: 10,
+        addMissingDescendants: true,
+        addMissingRepositories: ['my-org/repo'],
+        pullRequests: null,
+        statusRollup: null,
+        numberRollups: [],
+        fields: [
+          { name: 'Initiative', sourceTypes: null, inheritance: 'top-parent', writePolicy: null, clear: false },
+          { name: 'Team', sourceTypes: ['Epic', 'Initiative'], inheritance: 'top-parent', writePolicy: 'fill-empty', clear: true },
+          { name: 'Quarter', sourceTypes: null, inheritance: 'nearest-value', writePolicy: null, clear: false },
+        ],
+      },
+    ]);
+  });
+
+  test('should report every schema violation with its path', () => {
+    expect(() =>
+      parseConfig(
+        {
+          options: { 'dry-run': 'yes' },
+          projects: [
+            { fields: [] },
+            {
+              url: 'https://github.com/orgs/my-org/projects/2',
+              fields: [{ name: 'Team', policy: 'sometimes' }, 7],
+              labels: ['bug'],
+            },
+          ],
+        },
+        '.github/dependants-sync.yml'
+      )
+    ).toThrow(
+      [
+        'Invalid configuration in .github/dependants-sync.yml:',
+        ' - options.dry-run must be true or false, got string "yes".',
+        ' - projects[0].url is required.',
+        ' - projects[0].fields must not be empty.',
+        ' - projects[1].fields[0].policy must be one of overwrite, fill-empty, never, got string "sometimes".',
+        ' - projects[1].fields[1] must be a non-empty string or a mapping, got number 7.',
+        ' - projects[1].labels is not a known setting. Expected one of url, source-project, top-parent-issue-type, traversal, filters, inheritance-max-depth, add-missing-descendants, fields, pull-requests, status-rollup, number-rollups.',
+      ].join('\n')
+    );
+  });
+
+  test('should read status rollup rules', () => {
+    const config = parseConfig(
+      {
+        projects: [
+          {
+            url: 'https://github.com/orgs/my-org/projects/1',
+            'status-rollup': {
+              field: 'Stage',
+              rules: [{ status: 'Shipped', when: 'all', of: 'Shipped' }],
+            },
+          },
+          { url: 'https://github.com/orgs/my-org/projects/2', 'status-rollup': true },
+        ],
+      },
+      'dependants-sync.yml'
+    );
+
+    expect(config.projects[0].fields).toEqual([]);
+    expect(config.projects[0].statusRollup).toEqual({
+      field: 'Stage',
+      rules: [{ status: 'Shipped', when: 'all', of: ['Shipped'] }],
+    });
+    expect(config.projects[1].statusRollup).toEqual({
+      field: 'Status',
+      rules: [
+        { status: 'Done', when: 'all', of: ['Done'] },
+        { status: 'In Progress', when: 'any', of: ['In Progress', 'Done'] },
+      ],
+    });
+  });
+
+  test('should read number rollups', () => {
+    const config = parseConfig(
+      {
+        projects: [
+          {
+            url: 'https://github.com/orgs/my-org/projects/1',
+            'number-rollups': [
+              { field: 'Total estimate', aggregate: 'sum', source: 'Estimate' },
+              { field: 'Open tasks', aggregate: 'count-by-status', statuses: ['Todo', 'In Progress'], 'status-field': 'Stage' },
+            ],
+          },
+        ],
+      },
+      'dependants-sync.yml'
+    );
+
+    expect(config.projects[0].numberRollups).toEqual([
+      { field: 'Total estimate', aggregate: 'sum', source: 'Estimate', statuses: null, statusField: 'Status' },
+      { field: 'Open tasks', aggregate: 'count-by-status', source: null, statuses: ['Todo', 'In Progress'], statusField: 'Stage' },
+    ]);
+    expect(() =>
+      parseConfig(
+        {
+          projects: [
+            {
+              url: 'https://github.com/orgs/my-org/projects/1',
+              'number-rollups': [{ field: 'Total estimate', aggregate: 'sum' }, { field: 'Done', aggregate: 'count-by-status' }],
+            },
+          ],
+        },
+        'sync.yml'
+      )
+    ).toThrow(
+      'Invalid configuration in sync.yml:\n' +
+        ' - projects[0].number-rollups[0].source is required for sum.\n' +
+        ' - projects[0].number-rollups[1].statuses is required for count-by-status.'
+    );
+  });
+
+  test('should read the pull request settings', () => {
+    const config = parseConfig(
+      {
+        projects: [
+          { url: 'https://github.com/orgs/my-org/projects/1', fields: ['Initiative'], 'pull-requests': true },
+          { url: 'https://github.com/orgs/my-org/projects/2', fields: ['Initiative'], 'pull-requests': { conflicts: 'first' } },
+        ],
+      },
+      'dependants-sync.yml'
+    );
+
+    expect(config.projects.map((project) => project.pullRequests)).toEqual([
+      { conflicts: 'skip' },
+      { conflicts: 'first' },
+    ]);
+    expect(() =>
+      parseConfig(
+        {
+          projects: [
+            { url: 'https://github.com/orgs/my-org/projects/1', fields: ['Initiative'], 'pull-requests': { conflicts: 'last' } },
+          ],
+        },
+        'sync.yml'
+      )
+    ).toThrow(' - projects[0].pull-requests.conflicts must be one of skip, first, got string "last".');
+  });
+
+  test('should turn the item filters into filter terms', () => {
+    const config = parseConfig(
+      {
+        projects: [
+          {
+            url: 'https://github.com/orgs/my-org/projects/1',
+            fields: ['Initiative'],
+            filters: {
+              repositories: ['my-org/api', 'my-org/web'],
+              'exclude-labels': 'wontfix',
+              state: 'open',
+              archived: false,
+              query: 'status:"In Progress"',
+            },
+          },
+        ],
+      },
+      'dependants-sync.yml'
+    );
+
+    expect(config.projects[0].itemFilter).toEqual([
+      { key: 'repo', values: ['my-org/api', 'my-org/web'], negated: false },
+      { key: 'is', values: ['open'], negated: false },
+      { key: 'label', values: ['wontfix'], negated: true },
+      { key: 'is', values: ['archived'], negated: true },
+      { key: 'status', values: ['In Progress'], negated: false },
+    ]);
+    expect(() =>
+      parseConfig(
+        {
+          projects: [
+            {
+              url: 'https://github.com/orgs/my-org/projects/1',
+              fields: ['Initiative'],
+              filters: { state: 'merged', query: 'in progress' },
+            },
+          ],
+        },
+        'sync.yml'
+      )
+    ).toThrow(
+      'Invalid configuration in sync.yml:\n' +
+        ' - projects[0].filters.state must be one of open, closed, got string "merged".'
+    );
+    expect(() =>
+      parseConfig(
+        {
+          projects: [
+            { url: 'https://github.com/orgs/my-org/projects/1', fields: ['Initiative'], filters: { query: 'in progress' } },
+          ],
+        },
+        'sync.yml'
+      )
+    ).toThrow(
+      ' - projects[0].filters.query is invalid: Invalid item filter "in progress" at "in progress". Expected <key>:<value> terms.'
+    );
+  });
+
+  test('should require fields or a rollup', () => {
+    expect(() =>
+      parseConfig({ projects: [{ url: 'https://github.com/orgs/my-org/projects/1' }] }, 'sync.yml')
+    ).toThrow('Invalid configuration in sync.yml:\n - projects[0] must define fields, status-rollup or number-rollups.');
+    expect(() =>
+      parseConfig(
+        {
+          projects: [
+            {
+              url: 'https://github.com/orgs/my-org/projects/1',
+              'status-rollup': { rules: [{ status: 'Done', when: 'most', of: ['Done'] }] },
+            },
+          ],
+        },
+        'sync.yml'
+      )
+    ).toThrow(' - projects[0].status-rollup.rules[0].when must be one of all, any, got string "most".');
+  });
+
+  test('should reject malformed project URLs and repeated fields', () => {
+    expect(() =>
+      parseConfig(
+        {
+          projects: [
+            {
+              url: 'https://github.com/orgs/my-org/boards/1',
+              'source-project': 'https://github.com/orgs/my-org/projects/x',
+              fields: ['Initiative', { name: 'Team' }, { name: 'Initiative ', policy: 'fill-empty' }],
+            },
+          ],
+        },
+        'sync.yml'
+      )
+    ).toThrow(
+      [
+        'Invalid configuration in sync.yml:',
+        ' - Cannot parse projects[0].url: https://github.com/orgs/my-org/boards/1',
+        ' - Invalid project number in projects[0].source-project: https://github.com/orgs/my-org/projects/x',
+        ' - projects[0].fields[2] repeats the field Initiative.',
+      ].join('\n')
+    );
+  });
+
+  test('should reject empty source issue type lists', () => {
+    expect(() =>
+      parseConfig(
+        {
+          projects: [
+            {
+              url: 'https://github.com/orgs/my-org/projects/1',
+              fields: [{ name: 'Team', source: [], clear: true }],
+            },
+          ],
+        },
+        'sync.yml'
+      )
+    ).toThrow('Invalid configuration in sync.yml:\n - projects[0].fields[0].source must not be empty.');
+  });
+
+  test('should require at least one status in status rollup rules', () => {
+    expect(() =>
+      parseConfig(
+        {
+          projects: [
+            {
+              url: 'https://github.com/orgs/my-org/projects/1',
+              'status-rollup': { rules: [{ status: 'Done', when: 'all', of: [] }] },
+            },
+          ],
+        },
+        'sync.yml'
+      )
+    ).toThrow('Invalid configuration in sync.yml:\n - projects[0].status-rollup.rules[0].of must not be empty.');
+  });
+
+  test('should reject an empty configuration file', () => {
+    expect(() => parseConfig(undefined, 'sync.yml')).toThrow(
+      'Invalid configuration in sync.yml:\n - The configuration must be a mapping, got nothing.'
+    );
+  });
+
+  describe('loadConfig', () => {
+    let workspace;
+
+    beforeEach(() => {
+      workspace = fs.mkdtempSync(path.join(os.tmpdir(), 'dependants-sync-config-'));
+      process.env.GITHUB_WORKSPACE = workspace;
+    });
+
+    function writeConfig(relativePath, content) {
+      const filePath = path.join(workspace, relativePath);
+      fs.mkdirSync(path.dirname(filePath), { recursive: true });
+      fs.writeFileSync(filePath, content);
+    }
+
+    test('should read the default configuration file of the workspace', () => {
+      writeConfig(
+        '.github/dependants-sync.yml',
+        [
+          'options:',
+          '  dry-run: true',
+          '  dry-run-output: plan.json',
+          'projects:',
+          '  - url: https://github.com/orgs/my-org/projects/1',
+          '    fields: [Initiative]',
+          '  - url: https://github.com/orgs/my-org/projects/2',
+          '    fields:',
+          '      - name: Team',
+          '        policy: never',
+        ].join('\n')
+      );
+      process.env.PROJECT_URL = 'https://github.com/orgs/my-org/projects/9';
+
+      const config = loadConfig();
+
+      expect(config.options.dryRun).toBe(true);
+      expect(config.projects.map((project) => project.url)).toEqual([
+        'https://github.com/orgs/my-org/projects/1',
+        'https://github.com/orgs/my-org/projects/2',
+      ]);
+      expect(config.projects.map((project) => project.dryRunOutput)).toEqual(['plan.json', 'plan-2.json']);
+      expect(config.projects[1].fields[0].writePolicy).toBe('never');
+      expect(core.info).toHaveBeenCalledWith(
+        'Loaded 2 project(s) from configuration file .github/dependants-sync.yml.'
+      );
+      expect(core.warning).toHaveBeenCalledWith(
+        'PROJECT_URL and SYNC_FIELDS are ignored because .github/dependants-sync.yml defines the projects.'
+      );
+    });
+
+    test('should let run options from the environment override the file', () => {
+      writeConfig(
+        'config/sync.yml',
+        [
+          'options:',
+          '  dry-run: true',
+          '  max-errors: 5',
+          'projects:',
+          '  - url: https://github.com/orgs/my-org/projects/1',
+          '    fields: [Initiative]',
+        ].join('\n')
+      );
+      process.env.CONFIG_FILE = 'config/sync.yml';
+      process.env.DRY_RUN = 'false';
+      process.env.MAX_ERRORS = '2';
+      process.env.AUDIT_COMMENTS = 'true';
+
+      const { options } = loadConfig();
+
+      expect(options.dryRun).toBe(false);
+      expect(options.maxErrors).toBe(2);
+      expect(options.auditComments).toBe(true);
+    });
+
+    test('should read action inputs when there is no configuration file', () => {
+      const inputs = {
+        PROJECT_URL: 'https://github.com/orgs/my-org/projects/1',
+        SYNC_FIELDS: 'Initiative, Team',
+        FIELD_WRITE_POLICIES: 'Team:fill-empty',
+      };
+      core.getInput.mockImplementation((name) => inputs[name] || '');
+
+      try {
+        const config = loadConfig();
+
+        expect(config.projects).toHaveLength(1);
+        expect(config.projects[0].url).toBe('https://github.com/orgs/my-org/projects/1');
+        expect(config.projects[0].fields.map((field) => [field.name, field.writePolicy])).toEqual([
+          ['Initiative', null],
+          ['Team', 'fill-empty'],
+        ]);
+        expect(config.projects[0].dryRunOutput).toBe('dependants-sync-dry-run.json');
+      } finally {
+        core.getInput.mockReset();
+      }
+    });
+
+    test('should read status rollup rules from the environment', () => {
+      process.env.PROJECT_URL = 'https://github.com/orgs/my-org/projects/1';
+      process.env.STATUS_ROLLUP_RULES = 'Done:all=Done, In Progress:any=In Progress|In Review';
+
+      const { projects } = loadConfig();
+
+      expect(projects[0].statusRollup).toEqual({
+        field: 'Status',
+        rules: [
+          { status: 'Done', when: 'all', of: ['Done'] },
+          { status: 'In Progress', when: 'any', of: ['In Progress', 'In Review'] },
+        ],
+      });
+
+      process.env.STATUS_ROLLUP_RULES = 'Done:every=Done';
+      expect(() => loadConfig()).toThrow(
+        'Invalid status rollup rule for Done: every=Done. Expected all=<statuses> or any=<statuses>, with statuses separated by "|".'
+      );
+    });
+
+    test('should read number rollups from the environment', () => {
+      process.env.PROJECT_URL = 'https://github.com/orgs/my-org/projects/1';
+      process.env.NUMBER_ROLLUPS = 'Total estimate:sum(Estimate), Tasks:count, Open tasks:count-by-status(Todo|In Progress)';
+
+      const { projects } = loadConfig();
+
+      expect(projects[0].numberRollups).toEqual([
+        { field: 'Total estimate', aggregate: 'sum', source: 'Estimate', statuses: null, statusField: 'Status' },
+        { field: 'Tasks', aggregate: 'count', source: null, statuses: null, statusField: 'Status' },
+        { field: 'Open tasks', aggregate: 'count-by-status', source: null, statuses: ['Todo', 'In Progress'], statusField: 'Status' },
+      ]);
+
+      process.env.NUMBER_ROLLUPS = 'Total estimate:sum';
+      expect(() => loadConfig()).toThrow(
+        'Invalid number rollup for Total estimate: sum. Expected sum(<field>), min(<field>), max(<field>), count or count-by-status(<statuses>).'
+      );
+    });
+
+    test('should read the pull request settings from the environment', () => {
+      process.env.PROJECT_URL = 'https://github.com/orgs/my-org/projects/1';
+      process.env.PULL_REQUEST_CONFLICTS = 'first';
+
+      expect(loadConfig().projects[0].pullRequests).toBeNull();
+
+      process.env.SYNC_PULL_REQUESTS = 'true';
+      expect(loadConfig().projects[0].pullRequests).toEqual({ conflicts: 'first' });
+
+      process.env.PULL_REQUEST_CONFLICTS = 'last';
+      expect(() => loadConfig()).toThrow('Invalid PULL_REQUEST_CONFLICTS: last. Expected skip or first.');
+    });
+
+    test('should read the item filter from the environment', () => {
+      process.env.PROJECT_URL = 'https://github.com/orgs/my-org/projects/1';
+      process.env.ITEM_FILTER = 'repo:my-org/api -is:archived';
+
+      expect(loadConfig().projects[0].itemFilter).toEqual([
+        { key: 'repo', values: ['my-org/api'], negated: false },
+        { key: 'is', values: ['archived'], negated: true },
+      ]);
+    });
+
+    test('should fail when the configured file does not exist', () => {
+      process.env.CONFIG_FILE = 'missing.yml';
+
+      expect(() => loadConfig()).toThrow('Configuration file missing.yml (CONFIG_FILE) does not exist.');
+    });
+
+    test('should report YAML syntax errors', () => {
+      writeConfig('.github/dependants-sync.yml', 'projects: [\n');
+
+      expect(() => loadConfig()).toThrow(/^Invalid YAML in \.github\/dependants-sync\.yml: /);
+    });
+  });
+});
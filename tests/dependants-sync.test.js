@@ -65,6 +65,31 @@ describe('dependants-sync', () => {
     expect(core.info).toHaveBeenCalledWith('Found project id: project-id');
   });
 
+  test('should query user-owned projects', async () => {
+    process.env.GITHUB_TOKEN = 'test-token';
+    process.env.PROJECT_URL = 'https://github.com/users/octocat/projects/2';
+
+    const graphql = jest.fn().mockResolvedValue({
+      user: {
+        projectV2: {
+          id: 'user-project-id',
+          fields: {
+            nodes: []
+          }
+        }
+      }
+    });
+    github.getOctokit.mockReturnValue({ graphql });
+
+    await run();
+
+    expect(graphql).toHaveBeenCalledWith(
+      expect.stringContaining('user(login: $login)'),
+      { login: 'octocat', number: 2, after: null }
+    );
+    expect(core.info).toHaveBeenCalledWith('Found project id: user-project-id');
+  });
+
   test('should use TOP_PARENT_ISSUE_TYPE environment variable', async () => {
     process.env.GITHUB_TOKEN = 'test-token';
     process.env.PROJECT_URL = 'https://github.com/orgs/my-org/projects/1';
@@ -100,4 +125,68 @@ describe('dependants-sync', () => {
     expect(core.info).toHaveBeenCalledWith('Querying project details...');
     expect(core.info).toHaveBeenCalledWith('Found project id: project-id');
   });
+
+  test('should reject unknown write policies', async () => {
+    process.env.GITHUB_TOKEN = 'test-token';
+    process.env.PROJECT_URL = 'https://github.com/orgs/my-org/projects/1';
+    process.env.SYNC_FIELDS = 'Initiative';
+    process.env.FIELD_WRITE_POLICIES = 'Initiative:sometimes';
+
+    github.getOctokit.mockReturnValue({
+      graphql: jest.fn().mockResolvedValue({
+        organization: {
+          projectV2: {
+            id: 'project-id',
+            fields: {
+              nodes: [
+                {
+                  id: 'field-id',
+                  name: 'Initiative',
+                  options: [
+                    { id: 'option-id', name: 'Option' }
+                  ],
+                  __typename: 'ProjectV2SingleSelectField'
+                }
+              ]
+            }
+          }
+        }
+      })
+    });
+
+    try {
+      await run();
+    } finally {
+      delete process.env.FIELD_WRITE_POLICIES;
+    }
+
+    expect(core.setFailed).toHaveBeenCalledWith(
+      'Invalid write policy for field Initiative: sometimes. Expected overwrite, fill-empty, never.'
+    );
+  });
+
+  test('should report GraphQL usage at the end of the run', async () => {
+    process.env.GITHUB_TOKEN = 'test-token';
+    process.env.PROJECT_URL = 'https://github.com/orgs/my-org/projects/1';
+
+    github.getOctokit.mockReturnValue({
+      graphql: jest.fn().mockResolvedValue({
+        rateLimit: { cost: 1, remaining: 4999, resetAt: '2025-01-01T01:00:00Z' },
+        organization: {
+          projectV2: {
+            id: 'project-id',
+            fields: {
+              nodes: []
+            }
+          }
+        }
+      })
+    });
+
+    await run();
+
+    expect(core.info).toHaveBeenCalledWith(
+      'GraphQL usage: 1 request(s), 0 retry(ies), 1 rate limit point(s) used, 4999 remaining (resets at 2025-01-01T01:00:00Z).'
+    );
+  });
 });
@@ -0,0 +1,106 @@
+const { resolveEventScope } = require('../src/event-scope');
+
+describe('event-scope', () => {
+  test('should synchronize the whole project for scheduled and manual runs', () => {
+    expect(resolveEventScope({ eventName: 'schedule', payload: {} })).toBeNull();
+    expect(resolveEventScope({ eventName: 'workflow_dispatch', payload: {} })).toBeNull();
+    expect(resolveEventScope({ eventName: undefined, payload: {} })).toBeNull();
+  });
+
+  test('should scope issues events to the issue', () => {
+    const scope = resolveEventScope({
+      eventName: 'issues',
+      payload: { action: 'edited', issue: { node_id: 'issue-id', number: 7 } },
+    });
+    expect(scope).toEqual({ issueId: 'issue-id', description: 'issues.edited on #7' });
+  });
+
+  test('should fall back to a full scan for deleted issues', () => {
+    expect(
+      resolveEventScope({
+        eventName: 'issues',
+        payload: { action: 'deleted', issue: { node_id: 'issue-id', number: 7 } },
+      })
+    ).toBeNull();
+  });
+
+  test('should scope sub_issues events to the sub-issue', () => {
+    const scope = resolveEventScope({
+      eventName: 'sub_issues',
+      payload: {
+        action: 'sub_issue_added',
+        parent_issue: { node_id: 'parent-id', number: 1 },
+        sub_issue: { node_id: 'sub-issue-id', number: 2 },
+      },
+    });
+    expect(scope).toEqual({ issueId: 'sub-issue-id', description: 'sub_issues.sub_issue_added on #2' });
+  });
+
+  test('should scope removed sub-issues to the sub-issue and its former parent', () => {
+    const scope = resolveEventScope({
+      eventName: 'sub_issues',
+      payload: {
+        action: 'sub_issue_removed',
+        parent_issue: { node_id: 'parent-id', number: 1 },
+        sub_issue: { node_id: 'sub-issue-id', number: 2 },
+      },
+    });
+    expect(scope).toEqual({
+      issueId: 'sub-issue-id',
+      detached: true,
+      formerParentId: 'parent-id',
+      description: 'sub_issues.sub_issue_removed on #2',
+    });
+  });
+
+  test('should scope projects_v2_item events to the linked issue', () => {
+    const scope = resolveEventScope({
+      eventName: 'projects_v2_item',
+      payload: {
+        action: 'edited',
+        projects_v2_item: {
+          node_id: 'item-id',
+          project_node_id: 'project-id',
+          content_node_id: 'issue-id',
+          content_type: 'Issue',
+        },
+      },
+    });
+    expect(scope).toEqual({
+      issueId: 'issue-id',
+      projectId: 'project-id',
+      description: 'projects_v2_item.edited on item-id',
+    });
+  });
+
+  test('should scope projects_v2_item events of pull requests to the pull request', () => {
+    const scope = resolveEventScope({
+      eventName: 'projects_v2_item',
+      payload: {
+        action: 'created',
+        projects_v2_item: {
+          node_id: 'item-id',
+          project_node_id: 'project-id',
+          content_node_id: 'pull-request-id',
+          content_type: 'PullRequest',
+        },
+      },
+    });
+    expect(scope).toEqual({
+      pullRequestId: 'pull-request-id',
+      projectId: 'project-id',
+      description: 'projects_v2_item.created on item-id',
+    });
+  });
+
+  test('should ignore project items that are not issues', () => {
+    const scope = resolveEventScope({
+      eventName: 'projects_v2_item',
+      payload: {
+        action: 'created',
+        projects_v2_item: { node_id: 'item-id', content_node_id: 'draft-id', content_type: 'DraftIssue' },
+      },
+    });
+    expect(scope.ignore).toBe('project item item-id is not linked to an issue');
+  });
+});
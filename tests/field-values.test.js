@@ -0,0 +1,62 @@
+const {
+  normalizeField,
+  getFieldValueFromItem,
+  toFieldValueInput,
+  mapFieldValue,
+} = require('../src/field-values');
+
+describe('field-values', () => {
+  test('should normalize supported field types', () => {
+    expect(normalizeField({ name: 'Initiative', __typename: 'ProjectV2SingleSelectField' }).dataType).toBe('SINGLE_SELECT');
+    expect(normalizeField({ name: 'Quarter', __typename: 'ProjectV2IterationField' }).dataType).toBe('ITERATION');
+    expect(normalizeField({ name: 'Target date', dataType: 'DATE', __typename: 'ProjectV2Field' }).dataType).toBe('DATE');
+    expect(normalizeField({ name: 'Budget', dataType: 'NUMBER', __typename: 'ProjectV2Field' }).dataType).toBe('NUMBER');
+    expect(normalizeField({ name: 'Budget code', dataType: 'TEXT', __typename: 'ProjectV2Field' }).dataType).toBe('TEXT');
+  });
+
+  test('should reject unsupported field types', () => {
+    expect(normalizeField({ name: 'Assignees', dataType: 'ASSIGNEES', __typename: 'ProjectV2Field' })).toBeNull();
+    expect(normalizeField({ name: 'Notes', __typename: 'ProjectV2TextField' })).toBeNull();
+  });
+
+  test('should read values in the shape of the field type', () => {
+    const item = {
+      fieldValues: {
+        nodes: [
+          {},
+          { field: { name: 'Initiative' }, optionId: 'option-id' },
+          { field: { name: 'Budget' }, number: 0 },
+          { field: { name: 'Target date' }, date: '2025-03-31' },
+        ],
+      },
+    };
+    expect(getFieldValueFromItem(item, { name: 'Initiative', dataType: 'SINGLE_SELECT' })).toBe('option-id');
+    expect(getFieldValueFromItem(item, { name: 'Budget', dataType: 'NUMBER' })).toBe(0);
+    expect(getFieldValueFromItem(item, { name: 'Target date', dataType: 'DATE' })).toBe('2025-03-31');
+    expect(getFieldValueFromItem(item, { name: 'Quarter', dataType: 'ITERATION' })).toBeNull();
+    expect(getFieldValueFromItem({}, { name: 'Initiative', dataType: 'SINGLE_SELECT' })).toBeNull();
+  });
+
+  test('should build field value inputs', () => {
+    expect(toFieldValueInput({ dataType: 'SINGLE_SELECT' }, 'option-id')).toEqual({ singleSelectOptionId: 'option-id' });
+    expect(toFieldValueInput({ dataType: 'ITERATION' }, 'iteration-id')).toEqual({ iterationId: 'iteration-id' });
+    expect(toFieldValueInput({ dataType: 'DATE' }, '2025-03-31')).toEqual({ date: '2025-03-31' });
+    expect(toFieldValueInput({ dataType: 'NUMBER' }, 3)).toEqual({ number: 3 });
+    expect(toFieldValueInput({ dataType: 'TEXT' }, 'BC-42')).toEqual({ text: 'BC-42' });
+  });
+
+  test('should map values across projects by option and iteration name', () => {
+    const sourceSelect = { dataType: 'SINGLE_SELECT', options: [{ id: 'src-a', name: 'Payments' }, { id: 'src-b', name: 'Search' }] };
+    const targetSelect = { dataType: 'SINGLE_SELECT', options: [{ id: 'dst-a', name: 'Payments' }] };
+    expect(mapFieldValue(sourceSelect, targetSelect, 'src-a')).toBe('dst-a');
+    expect(mapFieldValue(sourceSelect, targetSelect, 'src-b')).toBeUndefined();
+    expect(mapFieldValue(sourceSelect, targetSelect, null)).toBeNull();
+
+    const sourceIteration = { dataType: 'ITERATION', configuration: { iterations: [], completedIterations: [{ id: 'src-it', title: 'Sprint 1' }] } };
+    const targetIteration = { dataType: 'ITERATION', configuration: { iterations: [{ id: 'dst-it', title: 'Sprint 1' }] } };
+    expect(mapFieldValue(sourceIteration, targetIteration, 'src-it')).toBe('dst-it');
+
+    expect(mapFieldValue({ dataType: 'DATE' }, { dataType: 'DATE' }, '2025-03-31')).toBe('2025-03-31');
+    expect(mapFieldValue({ dataType: 'TEXT' }, { dataType: 'DATE' }, 'soon')).toBeUndefined();
+  });
+});
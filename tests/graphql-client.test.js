@@ -0,0 +1,125 @@
+const { createGraphqlClient } = require('../src/graphql-client');
+
+jest.mock('@actions/core');
+
+function httpError(status, message, headers = {}) {
+  const error = new Error(message);
+  error.status = status;
+  error.response = { headers };
+  return error;
+}
+
+describe('graphql-client', () => {
+  test('should pass queries through and sum the rate limit cost', async () => {
+    const octokit = {
+      graphql: jest
+        .fn()
+        .mockResolvedValueOnce({ rateLimit: { cost: 1, remaining: 4999, resetAt: '2025-01-01T01:00:00Z' }, node: { id: 'a' } })
+        .mockResolvedValueOnce({ rateLimit: { cost: 3, remaining: 4996, resetAt: '2025-01-01T01:00:00Z' }, node: { id: 'b' } })
+        .mockResolvedValueOnce({ updateProjectV2ItemFieldValue: {} }),
+    };
+    const client = createGraphqlClient(octokit);
+
+    await expect(client.graphql('query a', { id: 'a' })).resolves.toMatchObject({ node: { id: 'a' } });
+    await client.graphql('query b', { id: 'b' });
+    await client.graphql('mutation c', {});
+
+    expect(octokit.graphql).toHaveBeenCalledWith('query a', { id: 'a' });
+    expect(client.stats()).toEqual({
+      requests: 3,
+      retries: 0,
+      cost: 4,
+      remaining: 4996,
+      resetAt: '2025-01-01T01:00:00Z',
+    });
+  });
+
+  test('should retry transient errors with exponential backoff', async () => {
+    const sleep = jest.fn().mockResolvedValue();
+    const octokit = {
+      graphql: jest
+        .fn()
+        .mockRejectedValueOnce(httpError(502, 'Bad Gateway'))
+        .mockRejectedValueOnce(httpError(503, 'Service Unavailable'))
+        .mockResolvedValueOnce({ node: null }),
+    };
+    const client = createGraphqlClient(octokit, { sleep, baseDelayMs: 100 });
+
+    await expect(client.graphql('query', {})).resolves.toEqual({ node: null });
+    expect(sleep.mock.calls).toEqual([[100], [200]]);
+    expect(client.stats().retries).toBe(2);
+  });
+
+  test('should honour retry-after on secondary rate limits', async () => {
+    const sleep = jest.fn().mockResolvedValue();
+    const octokit = {
+      graphql: jest
+        .fn()
+        .mockRejectedValueOnce(httpError(403, 'You have exceeded a secondary rate limit', { 'retry-after': '60' }))
+        .mockResolvedValueOnce({}),
+    };
+    const client = createGraphqlClient(octokit, { sleep });
+
+    await client.graphql('query', {});
+    expect(sleep).toHaveBeenCalledWith(60000);
+  });
+
+  test('should retry RATE_LIMITED GraphQL errors', async () => {
+    const sleep = jest.fn().mockResolvedValue();
+    const error = new Error('API rate limit exceeded');
+    error.errors = [{ type: 'RATE_LIMITED', message: 'API rate limit exceeded' }];
+    const octokit = { graphql: jest.fn().mockRejectedValueOnce(error).mockResolvedValueOnce({}) };
+    const client = createGraphqlClient(octokit, { sleep });
+
+    await client.graphql('query', {});
+    expect(octokit.graphql).toHaveBeenCalledTimes(2);
+  });
+
+  test('should not retry other errors', async () => {
+    const sleep = jest.fn();
+    const error = new Error('Could not resolve to a node');
+    error.errors = [{ type: 'NOT_FOUND', message: 'Could not resolve to a node', path: ['update0'] }];
+    const octokit = { graphql: jest.fn().mockRejectedValue(error) };
+    const client = createGraphqlClient(octokit, { sleep });
+
+    await expect(client.graphql('mutation', {})).rejects.toBe(error);
+    expect(octokit.graphql).toHaveBeenCalledTimes(1);
+    expect(sleep).not.toHaveBeenCalled();
+  });
+
+  test('should give up after the maximum number of retries', async () => {
+    const sleep = jest.fn().mockResolvedValue();
+    const octokit = { graphql: jest.fn().mockRejectedValue(httpError(502, 'Bad Gateway')) };
+    const client = createGraphqlClient(octokit, { sleep, maxRetries: 2 });
+
+    await expect(client.graphql('query', {})).rejects.toThrow('Bad Gateway');
+    expect(octokit.graphql).toHaveBeenCalledTimes(3);
+  });
+
+  test('should not retry requests sent with retry: false', async () => {
+    const sleep = jest.fn().mockResolvedValue();
+    const octokit = { graphql: jest.fn().mockRejectedValue(httpError(502, 'Bad Gateway')) };
+    const client = createGraphqlClient(octokit, { sleep });
+
+    await expect(client.graphql('mutation', {}, { retry: false })).rejects.toThrow('Bad Gateway');
+    expect(octokit.graphql).toHaveBeenCalledTimes(1);
+    expect(sleep).not.toHaveBeenCalled();
+  });
+
+  test('should pause until the reset time when the quota is low', async () => {
+    const sleep = jest.fn().mockResolvedValue();
+    const now = () => new Date('2025-01-01T00:59:00Z').getTime();
+    const octokit = {
+      graphql: jest
+        .fn()
+        .mockResolvedValueOnce({ rateLimit: { cost: 1, remaining: 10, resetAt: '2025-01-01T01:00:00Z' } })
+        .mockResolvedValueOnce({}),
+    };
+    const client = createGraphqlClient(octokit, { sleep, now, minRemaining: 50 });
+
+    await client.graphql('query 1', {});
+    expect(sleep).not.toHaveBeenCalled();
+    await client.graphql('query 2', {});
+    expect(sleep).toHaveBeenCalledWith(61000);
+  });
+});
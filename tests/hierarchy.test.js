@@ -0,0 +1,230 @@
+const {
+  createAncestorCache,
+  findParentInitiativeIssue,
+  findParentIssue,
+  loadAncestors,
+  loadSubIssueTree,
+  buildTopParentMap,
+} = require('../src/hierarchy');
+
+jest.mock('@actions/core');
+
+describe('hierarchy', () => {
+  test('should return the issue itself when it has the top parent type and includeSelf is set', async () => {
+    const octokit = {
+      graphql: jest.fn().mockResolvedValueOnce({
+        node: { id: 'initiative-id', issueType: { name: 'Initiative' }, parent: null },
+      }),
+    };
+    await expect(
+      findParentInitiativeIssue(octokit, 'initiative-id', 'Initiative', { includeSelf: true })
+    ).resolves.toBe('initiative-id');
+  });
+
+  test('should walk sub-issues downward with pagination', async () => {
+    const octokit = {
+      graphql: jest
+        .fn()
+        .mockResolvedValueOnce({
+          node: {
+            subIssues: {
+              nodes: [{ id: 'epic-1', subIssuesSummary: { total: 1 } }],
+              pageInfo: { hasNextPage: true, endCursor: 'cursor-1' },
+            },
+          },
+        })
+        .mockResolvedValueOnce({
+          node: {
+            subIssues: {
+              nodes: [{ id: 'task-1', subIssuesSummary: { total: 0 } }],
+              pageInfo: { hasNextPage: false, endCursor: null },
+            },
+          },
+        })
+        .mockResolvedValueOnce({
+          node: {
+            subIssues: {
+              nodes: [{ id: 'task-2', subIssuesSummary: { total: 0 } }],
+              pageInfo: { hasNextPage: false, endCursor: null },
+            },
+          },
+        }),
+    };
+
+    await expect(loadSubIssueTree(octokit, 'initiative-id')).resolves.toEqual({
+      descendants: ['epic-1', 'task-1', 'task-2'],
+      nestedTopParents: [],
+    });
+    expect(octokit.graphql).toHaveBeenCalledTimes(3);
+    expect(octokit.graphql.mock.calls[1][1]).toMatchObject({ id: 'initiative-id', after: 'cursor-1' });
+    expect(octokit.graphql.mock.calls[2][1]).toMatchObject({ id: 'epic-1', after: null });
+  });
+
+  test('should assign descendants to their nearest top parent', async () => {
+    const subIssuesById = {
+      'initiative-a': [
+        { id: 'epic-1', issueType: { name: 'Epic' }, subIssuesSummary: { total: 1 } },
+        { id: 'initiative-b', issueType: { name: 'Initiative' }, subIssuesSummary: { total: 1 } },
+      ],
+      'epic-1': [{ id: 'task-1', issueType: { name: 'Task' }, subIssuesSummary: { total: 0 } }],
+      'initiative-b': [{ id: 'task-2', issueType: { name: 'Task' }, subIssuesSummary: { total: 0 } }],
+    };
+    const octokit = {
+      graphql: jest.fn(async (query, { id }) => ({
+        node: {
+          subIssues: {
+            nodes: subIssuesById[id] || [],
+            pageInfo: { hasNextPage: false, endCursor: null },
+          },
+        },
+      })),
+    };
+
+    const topParentByIssueId = await buildTopParentMap(octokit, ['initiative-a'], 'Initiative');
+
+    expect(Object.fromEntries(topParentByIssueId)).toEqual({
+      'epic-1': 'initiative-a',
+      'task-1': 'initiative-a',
+      'initiative-b': 'initiative-a',
+      'task-2': 'initiative-b',
+    });
+    expect(octokit.graphql).toHaveBeenCalledTimes(3);
+  });
+
+  test('should leave out the hierarchies whose sub-issues cannot be loaded', async () => {
+    const octokit = {
+      graphql: jest.fn(async (query, { id }) => {
+        if (id === 'initiative-a') throw new Error('Could not resolve to a Repository');
+        return {
+          node: {
+            subIssues: {
+              nodes: [{ id: 'task-2', subIssuesSummary: { total: 0 } }],
+              pageInfo: { hasNextPage: false, endCursor: null },
+            },
+          },
+        };
+      }),
+    };
+    const onError = jest.fn();
+
+    const topParentByIssueId = await buildTopParentMap(octokit, ['initiative-a', 'initiative-b'], 'Initiative', {
+      onError,
+    });
+
+    expect(Object.fromEntries(topParentByIssueId)).toEqual({ 'task-2': 'initiative-b' });
+    expect(onError).toHaveBeenCalledWith('initiative-a', new Error('Could not resolve to a Repository'));
+    await expect(buildTopParentMap(octokit, ['initiative-a'], 'Initiative')).rejects.toThrow(
+      'Could not resolve to a Repository'
+    );
+  });
+
+  test('should record the direct parent of every visited issue', async () => {
+    const parents = {
+      'task-1': { id: 'epic-1', issueType: { name: 'Epic' } },
+      'epic-1': { id: 'initiative-1', issueType: { name: 'Initiative' } },
+    };
+    const octokit = {
+      graphql: jest.fn(async (query, { id }) => ({ node: { id, parent: parents[id] || null } })),
+    };
+    const parentByIssueId = new Map();
+
+    await findParentInitiativeIssue(octokit, 'task-1', 'Initiative', { parents: parentByIssueId });
+    await buildTopParentMap(
+      {
+        graphql: jest.fn(async (query, { id }) => ({
+          node: {
+            subIssues: {
+              nodes: id === 'initiative-2' ? [{ id: 'task-2', subIssuesSummary: { total: 0 } }] : [],
+              pageInfo: { hasNextPage: false, endCursor: null },
+            },
+          },
+        })),
+      },
+      ['initiative-2'],
+      'Initiative',
+      { parents: parentByIssueId }
+    );
+
+    expect(Object.fromEntries(parentByIssueId)).toEqual({
+      'task-1': 'epic-1',
+      'epic-1': 'initiative-1',
+      'task-2': 'initiative-2',
+    });
+  });
+
+  test('should look up the direct parent through the ancestor cache', async () => {
+    const octokit = {
+      graphql: jest.fn().mockResolvedValueOnce({
+        node: { id: 'task-1', parent: { id: 'epic-1', issueType: { name: 'Epic' } } },
+      }),
+    };
+    const cache = createAncestorCache();
+
+    await expect(findParentIssue(octokit, 'task-1', { cache })).resolves.toEqual({ id: 'epic-1', issueType: 'Epic' });
+    await expect(findParentIssue(octokit, 'task-1', { cache })).resolves.toEqual({ id: 'epic-1', issueType: 'Epic' });
+    expect(octokit.graphql).toHaveBeenCalledTimes(1);
+  });
+
+  test('should fetch each parent at most once when an ancestor cache is used', async () => {
+    const parents = {
+      'task-1': { id: 'epic-1', issueType: { name: 'Epic' } },
+      'task-2': { id: 'epic-1', issueType: { name: 'Epic' } },
+      'epic-1': { id: 'initiative-1', issueType: { name: 'Initiative' } },
+      'orphan-1': null,
+    };
+    const octokit = {
+      graphql: jest.fn(async (query, { id }) => ({ node: { id, parent: parents[id] } })),
+    };
+    const cache = createAncestorCache();
+
+    await expect(findParentInitiativeIssue(octokit, 'task-1', 'Initiative', { cache })).resolves.toBe('initiative-1');
+    await expect(findParentInitiativeIssue(octokit, 'task-2', 'Initiative', { cache })).resolves.toBe('initiative-1');
+    await expect(findParentInitiativeIssue(octokit, 'epic-1', 'Initiative', { cache })).resolves.toBe('initiative-1');
+    await expect(findParentInitiativeIssue(octokit, 'orphan-1', 'Initiative', { cache })).resolves.toBeNull();
+    await expect(findParentInitiativeIssue(octokit, 'orphan-1', 'Initiative', { cache })).resolves.toBeNull();
+
+    expect(octokit.graphql.mock.calls.map(([, { id }]) => id)).toEqual(['task-1', 'epic-1', 'task-2', 'orphan-1']);
+    expect(cache.stats()).toEqual({ hits: 3, misses: 4, size: 4, hitRate: 3 / 7 });
+  });
+
+  test('should collect the nearest ancestor of every issue type in a single walk', async () => {
+    const parents = {
+      'task-1': { id: 'epic-1', issueType: { name: 'Epic' } },
+      'task-2': { id: 'epic-1', issueType: { name: 'Epic' } },
+      'epic-1': { id: 'initiative-1', issueType: { name: 'Initiative' } },
+      'initiative-1': null,
+    };
+    const octokit = {
+      graphql: jest.fn(async (query, { id }) => ({ node: { id, parent: parents[id] } })),
+    };
+    const cache = createAncestorCache();
+
+    const task1 = await loadAncestors(octokit, 'task-1', { issueTypes: ['Initiative', 'Epic', 'Feature'], cache });
+    const task2 = await loadAncestors(octokit, 'task-2', { issueTypes: ['Initiative', 'Epic'], cache });
+
+    expect(task1.byType).toEqual(new Map([['Initiative', 'initiative-1'], ['Epic', 'epic-1'], ['Feature', null]]));
+    expect(task2.byType).toEqual(new Map([['Initiative', 'initiative-1'], ['Epic', 'epic-1']]));
+
+    // task-2 reuses the cached links of epic-1; the walk of task-1 ends at the top of the chain.
+    expect(octokit.graphql.mock.calls.map(([, { id }]) => id)).toEqual(['task-1', 'epic-1', 'initiative-1', 'task-2']);
+  });
+
+  test('should stop collecting the ancestor chain once it is complete', async () => {
+    const parents = {
+      'task-1': { id: 'epic-1', issueType: { name: 'Epic' } },
+      'epic-1': { id: 'initiative-1', issueType: { name: 'Initiative' } },
+      'initiative-1': null,
+    };
+    const octokit = {
+      graphql: jest.fn(async (query, { id }) => ({ node: { id, parent: parents[id] } })),
+    };
+
+    const { chain } = await loadAncestors(octokit, 'task-1', {
+      depth: 5,
+      isChainComplete: (ancestors) => ancestors.some((ancestor) => ancestor.id === 'epic-1'),
+    });
+
+    expect(chain).toEqual([{ id: 'epic-1', issueType: 'Epic' }]);
+    expect(octokit.graphql).toHaveBeenCalledTimes(1);
+  });
+});
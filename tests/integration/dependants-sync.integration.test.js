@@ -1,10 +1,30 @@
 const { run } = require("../../src/dependants-sync");
 const core = require("@actions/core");
 const github = require("@actions/github");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
 
 jest.mock("@actions/core");
 jest.mock("@actions/github");
 
+// Flattens the aliased field update mutations sent to the mock into [itemId, fieldId, value] entries.
+// Cleared fields are reported with a null value.
+function collectFieldUpdates(mockGraphql) {
+  const updates = [];
+  for (const [query, variables] of mockGraphql.mock.calls) {
+    if (!query.trim().startsWith("mutation")) continue;
+    for (let i = 0; `itemId${i}` in variables; i++) {
+      updates.push([
+        variables[`itemId${i}`],
+        variables[`fieldId${i}`],
+        `value${i}` in variables ? variables[`value${i}`] : null,
+      ]);
+    }
+  }
+  return updates;
+}
+
 describe("dependants-sync integration tests", () => {
   beforeEach(() => {
     jest.clearAllMocks();
@@ -166,7 +186,7 @@ describe("dependants-sync integration tests", () => {
     await run();
 
     expect(core.setFailed).toHaveBeenCalledWith(
-      "Could not find any valid single select fields to sync in the project."
+      "Could not find any supported fields to sync in the project."
     );
   });
 
@@ -433,7 +453,7 @@ describe("dependants-sync integration tests", () => {
     expect(mockGraphql).toHaveBeenCalledTimes(4);
   });
 
-  test("should report error for non-single select fields", async () => {
+  test("should report error for unsupported field types", async () => {
     process.env.GITHUB_TOKEN = "test-token";
     process.env.PROJECT_URL = "https://github.com/orgs/my-org/projects/1";
     process.env.SYNC_FIELDS = "Team,Notes";
@@ -472,7 +492,7 @@ describe("dependants-sync integration tests", () => {
     await run();
     
     expect(core.setFailed).toHaveBeenCalledWith(
-      'Could not find any valid single select fields to sync in the project.'
+      'Could not find any supported fields to sync in the project.'
     );
   });
 
@@ -607,4 +627,2587 @@ describe("dependants-sync integration tests", () => {
 
     expect(mockGraphql).toHaveBeenCalledTimes(4);
   });
+
+  test("should synchronize iteration, date, number and text fields", async () => {
+    process.env.GITHUB_TOKEN = "test-token";
+    process.env.PROJECT_URL = "https://github.com/orgs/my-org/projects/1";
+    process.env.SYNC_FIELDS = "Quarter,Target date,Budget,Budget code";
+    process.env.TOP_PARENT_ISSUE_TYPE = "Initiative";
+
+    const mockGraphql = jest
+      .fn()
+      .mockResolvedValueOnce({
+        organization: {
+          projectV2: {
+            id: "project-id",
+            fields: {
+              nodes: [
+                {
+                  id: "field-id-quarter",
+                  name: "Quarter",
+                  configuration: { iterations: [{ id: "iteration-id", title: "Q1" }] },
+                  __typename: "ProjectV2IterationField",
+                },
+                {
+                  id: "field-id-date",
+                  name: "Target date",
+                  dataType: "DATE",
+                  __typename: "ProjectV2Field",
+                },
+                {
+                  id: "field-id-budget",
+                  name: "Budget",
+                  dataType: "NUMBER",
+                  __typename: "ProjectV2Field",
+                },
+                {
+                  id: "field-id-budget-code",
+                  name: "Budget code",
+                  dataType: "TEXT",
+                  __typename: "ProjectV2Field",
+                },
+              ],
+            },
+          },
+        },
+      })
+      .mockResolvedValueOnce({
+        organization: {
+          projectV2: {
+            items: {
+              nodes: [
+                {
+                  id: "item-id-child",
+                  fieldValues: { nodes: [] },
+                  content: { id: "issue-id-child" },
+                },
+                {
+                  id: "item-id-initiative",
+                  fieldValues: {
+                    nodes: [
+                      { field: { name: "Quarter" }, iterationId: "iteration-id" },
+                      { field: { name: "Target date" }, date: "2025-03-31" },
+                      { field: { name: "Budget" }, number: 0 },
+                      { field: { name: "Budget code" }, text: "BC-42" },
+                    ],
+                  },
+                  content: { id: "issue-id-initiative" },
+                },
+              ],
+              pageInfo: { hasNextPage: false, endCursor: null },
+            },
+          },
+        },
+      })
+      .mockResolvedValueOnce({
+        node: {
+          id: "issue-id-child",
+          parent: { id: "issue-id-initiative", issueType: { name: "Initiative" } },
+        },
+      })
+      .mockResolvedValueOnce({
+        node: { id: "issue-id-initiative", parent: null },
+      })
+      .mockResolvedValue({
+        updateProjectV2ItemFieldValue: { projectV2Item: { id: "item-id-child" } },
+      });
+
+    github.getOctokit.mockReturnValue({
+      graphql: mockGraphql,
+    });
+
+    await run();
+
+    expect(core.setFailed).not.toHaveBeenCalled();
+    expect(collectFieldUpdates(mockGraphql)).toEqual([
+      ["item-id-child", "field-id-quarter", { iterationId: "iteration-id" }],
+      ["item-id-child", "field-id-date", { date: "2025-03-31" }],
+      ["item-id-child", "field-id-budget", { number: 0 }],
+      ["item-id-child", "field-id-budget-code", { text: "BC-42" }],
+    ]);
+  });
+
+  test("should only report planned changes in dry run mode", async () => {
+    process.env.GITHUB_TOKEN = "test-token";
+    process.env.PROJECT_URL = "https://github.com/orgs/my-org/projects/1";
+    process.env.SYNC_FIELDS = "Initiative";
+    process.env.TOP_PARENT_ISSUE_TYPE = "Initiative";
+    process.env.DRY_RUN = "true";
+    const outputDir = fs.mkdtempSync(path.join(os.tmpdir(), "dependants-sync-"));
+    process.env.DRY_RUN_OUTPUT = path.join(outputDir, "plan.json");
+
+    const mockGraphql = jest
+      .fn()
+      .mockResolvedValueOnce({
+        organization: {
+          projectV2: {
+            id: "project-id",
+            fields: {
+              nodes: [
+                {
+                  id: "field-id",
+                  name: "Initiative",
+                  options: [
+                    { id: "option-id-old", name: "Old initiative" },
+                    { id: "option-id-new", name: "New initiative" },
+                  ],
+                  __typename: "ProjectV2SingleSelectField",
+                },
+              ],
+            },
+          },
+        },
+      })
+      .mockResolvedValueOnce({
+        organization: {
+          projectV2: {
+            items: {
+              nodes: [
+                {
+                  id: "item-id-child",
+                  fieldValues: {
+                    nodes: [{ field: { name: "Initiative" }, optionId: "option-id-old" }],
+                  },
+                  content: { id: "issue-id-child", url: "https://github.com/my-org/repo/issues/2" },
+                },
+                {
+                  id: "item-id-initiative",
+                  fieldValues: {
+                    nodes: [{ field: { name: "Initiative" }, optionId: "option-id-new" }],
+                  },
+                  content: { id: "issue-id-initiative", url: "https://github.com/my-org/repo/issues/1" },
+                },
+              ],
+              pageInfo: { hasNextPage: false, endCursor: null },
+            },
+          },
+        },
+      })
+      .mockResolvedValueOnce({
+        node: {
+          id: "issue-id-child",
+          parent: { id: "issue-id-initiative", issueType: { name: "Initiative" } },
+        },
+      })
+      .mockResolvedValueOnce({
+        node: { id: "issue-id-initiative", parent: null },
+      });
+
+    github.getOctokit.mockReturnValue({
+      graphql: mockGraphql,
+    });
+
+    try {
+      await run();
+    } finally {
+      delete process.env.DRY_RUN;
+      delete process.env.DRY_RUN_OUTPUT;
+    }
+
+    expect(core.setFailed).not.toHaveBeenCalled();
+    expect(mockGraphql).toHaveBeenCalledTimes(4);
+    expect(core.info).toHaveBeenCalledWith(
+      "Dry run: 1 planned change(s) on 1 item(s), 0 item(s) unchanged."
+    );
+    expect(core.info).toHaveBeenCalledWith(
+      expect.stringMatching(/^item-id-child +\| https:\/\/github.com\/my-org\/repo\/issues\/2 \| Initiative \| Old initiative \| New initiative$/)
+    );
+
+    const report = JSON.parse(fs.readFileSync(path.join(outputDir, "plan.json"), "utf8"));
+    expect(report.dryRun).toBe(true);
+    expect(report.changes).toEqual([
+      {
+        itemId: "item-id-child",
+        issueId: "issue-id-child",
+        issueUrl: "https://github.com/my-org/repo/issues/2",
+        topParentId: "issue-id-initiative",
+        topParentUrl: "https://github.com/my-org/repo/issues/1",
+        field: "Initiative",
+        fieldId: "field-id",
+        oldValue: "option-id-old",
+        newValue: "option-id-new",
+        oldDisplay: "Old initiative",
+        newDisplay: "New initiative",
+      },
+    ]);
+  });
+
+  test("should skip children that already have the parent value", async () => {
+    process.env.GITHUB_TOKEN = "test-token";
+    process.env.PROJECT_URL = "https://github.com/orgs/my-org/projects/1";
+    process.env.SYNC_FIELDS = "Initiative";
+    process.env.TOP_PARENT_ISSUE_TYPE = "Initiative";
+
+    const mockGraphql = jest
+      .fn()
+      .mockResolvedValueOnce({
+        organization: {
+          projectV2: {
+            id: "project-id",
+            fields: {
+              nodes: [
+                {
+                  id: "field-id",
+                  name: "Initiative",
+                  options: [{ id: "option-id", name: "Option" }],
+                  __typename: "ProjectV2SingleSelectField",
+                },
+              ],
+            },
+          },
+        },
+      })
+      .mockResolvedValueOnce({
+        organization: {
+          projectV2: {
+            items: {
+              nodes: [
+                {
+                  id: "item-id-synced",
+                  fieldValues: {
+                    nodes: [{ field: { name: "Initiative" }, optionId: "option-id" }],
+                  },
+                  content: { id: "issue-id-synced" },
+                },
+                {
+                  id: "item-id-stale",
+                  fieldValues: { nodes: [] },
+                  content: { id: "issue-id-stale" },
+                },
+                {
+                  id: "item-id-initiative",
+                  fieldValues: {
+                    nodes: [{ field: { name: "Initiative" }, optionId: "option-id" }],
+                  },
+                  content: { id: "issue-id-initiative" },
+                },
+              ],
+              pageInfo: { hasNextPage: false, endCursor: null },
+            },
+          },
+        },
+      })
+      .mockResolvedValueOnce({
+        node: {
+          id: "issue-id-synced",
+          parent: { id: "issue-id-initiative", issueType: { name: "Initiative" } },
+        },
+      })
+      .mockResolvedValueOnce({
+        node: {
+          id: "issue-id-stale",
+          parent: { id: "issue-id-initiative", issueType: { name: "Initiative" } },
+        },
+      })
+      .mockResolvedValueOnce({
+        node: { id: "issue-id-initiative", parent: null },
+      })
+      .mockResolvedValue({
+        updateProjectV2ItemFieldValue: { projectV2Item: { id: "item-id-stale" } },
+      });
+
+    github.getOctokit.mockReturnValue({
+      graphql: mockGraphql,
+    });
+
+    await run();
+
+    expect(core.setFailed).not.toHaveBeenCalled();
+    const updatedItemIds = collectFieldUpdates(mockGraphql).map(([itemId]) => itemId);
+    expect(updatedItemIds).toEqual(["item-id-stale"]);
+    expect(core.info).toHaveBeenCalledWith(
+      "Project item item-id-synced already has the parent's Initiative value. Skipping update."
+    );
+    expect(core.info).toHaveBeenCalledWith(
+      "Updated 1 item(s) (1 field value(s)), 1 item(s) unchanged."
+    );
+    expect(core.setOutput).toHaveBeenCalledWith("updated-count", 1);
+    expect(core.setOutput).toHaveBeenCalledWith("skipped-count", 1);
+    expect(core.setOutput).toHaveBeenCalledWith("failed-count", 0);
+    expect(JSON.parse(core.setOutput.mock.calls.find(([name]) => name === "changes-json")[1])).toEqual([
+      expect.objectContaining({ itemId: "item-id-stale", field: "Initiative", newValue: "option-id" }),
+    ]);
+  });
+
+  test("should only synchronize the hierarchy of the issue from a sub_issues event", async () => {
+    process.env.GITHUB_TOKEN = "test-token";
+    process.env.PROJECT_URL = "https://github.com/orgs/my-org/projects/1";
+    process.env.SYNC_FIELDS = "Initiative";
+    process.env.TOP_PARENT_ISSUE_TYPE = "Initiative";
+    github.context.eventName = "sub_issues";
+    github.context.payload = {
+      action: "sub_issue_added",
+      parent_issue: { node_id: "issue-id-epic", number: 2 },
+      sub_issue: { node_id: "issue-id-task", number: 3 },
+    };
+
+    const mockGraphql = jest
+      .fn()
+      .mockResolvedValueOnce({
+        organization: {
+          projectV2: {
+            id: "project-id",
+            fields: {
+              nodes: [
+                {
+                  id: "field-id",
+                  name: "Initiative",
+                  options: [{ id: "option-id", name: "Option" }],
+                  __typename: "ProjectV2SingleSelectField",
+                },
+              ],
+            },
+          },
+        },
+      })
+      // Parent chain of the sub-issue from the payload.
+      .mockResolvedValueOnce({
+        node: {
+          id: "issue-id-task",
+          issueType: { name: "Task" },
+          parent: { id: "issue-id-epic", issueType: { name: "Epic" } },
+        },
+      })
+      .mockResolvedValueOnce({
+        node: {
+          id: "issue-id-epic",
+          issueType: { name: "Epic" },
+          parent: { id: "issue-id-initiative", issueType: { name: "Initiative" } },
+        },
+      })
+      // Sub-issues of the top parent.
+      .mockResolvedValueOnce({
+        node: {
+          subIssues: {
+            nodes: [{ id: "issue-id-epic", subIssuesSummary: { total: 1 } }],
+            pageInfo: { hasNextPage: false, endCursor: null },
+          },
+        },
+      })
+      .mockResolvedValueOnce({
+        node: {
+          subIssues: {
+            nodes: [{ id: "issue-id-task", subIssuesSummary: { total: 0 } }],
+            pageInfo: { hasNextPage: false, endCursor: null },
+          },
+        },
+      })
+      .mockResolvedValueOnce({
+        organization: {
+          projectV2: {
+            items: {
+              nodes: [
+                {
+                  id: "item-id-task",
+                  fieldValues: { nodes: [] },
+                  content: { id: "issue-id-task" },
+                },
+                {
+                  id: "item-id-unrelated",
+                  fieldValues: { nodes: [] },
+                  content: { id: "issue-id-unrelated" },
+                },
+                {
+                  id: "item-id-initiative",
+                  fieldValues: {
+                    nodes: [{ field: { name: "Initiative" }, optionId: "option-id" }],
+                  },
+                  content: { id: "issue-id-initiative" },
+                },
+              ],
+              pageInfo: { hasNextPage: false, endCursor: null },
+            },
+          },
+        },
+      })
+      .mockResolvedValue({
+        updateProjectV2ItemFieldValue: { projectV2Item: { id: "item-id-task" } },
+      });
+
+    github.getOctokit.mockReturnValue({
+      graphql: mockGraphql,
+    });
+
+    try {
+      await run();
+    } finally {
+      github.context.eventName = undefined;
+      github.context.payload = {};
+    }
+
+    expect(core.setFailed).not.toHaveBeenCalled();
+    expect(core.info).toHaveBeenCalledWith(
+      "Triggered by sub_issues.sub_issue_added on #3."
+    );
+    expect(core.info).toHaveBeenCalledWith(
+      "Synchronizing 2 descendant(s) of top parent issue-id-initiative."
+    );
+    expect(core.info).not.toHaveBeenCalledWith(
+      "Processing project item item-id-unrelated linked to issue issue-id-unrelated"
+    );
+    const updatedItemIds = collectFieldUpdates(mockGraphql).map(([itemId]) => itemId);
+    expect(updatedItemIds).toEqual(["item-id-task"]);
+    expect(mockGraphql).toHaveBeenCalledTimes(7);
+  });
+
+  test("should clear a removed sub-issue and its descendants from a sub_issues event", async () => {
+    process.env.GITHUB_TOKEN = "test-token";
+    process.env.PROJECT_URL = "https://github.com/orgs/my-org/projects/1";
+    process.env.SYNC_FIELDS = "Initiative";
+    process.env.TOP_PARENT_ISSUE_TYPE = "Initiative";
+    process.env.CLEAR_FIELDS = "Initiative";
+    github.context.eventName = "sub_issues";
+    github.context.payload = {
+      action: "sub_issue_removed",
+      parent_issue: { node_id: "issue-id-epic", number: 2 },
+      sub_issue: { node_id: "issue-id-task", number: 3 },
+    };
+
+    const withValue = (itemId, issueId) => ({
+      id: itemId,
+      fieldValues: { nodes: [{ field: { name: "Initiative" }, optionId: "option-id" }] },
+      content: { id: issueId },
+    });
+    const mockGraphql = jest
+      .fn()
+      .mockResolvedValueOnce({
+        organization: {
+          projectV2: {
+            id: "project-id",
+            fields: {
+              nodes: [
+                {
+                  id: "field-id",
+                  name: "Initiative",
+                  options: [{ id: "option-id", name: "Option" }],
+                  __typename: "ProjectV2SingleSelectField",
+                },
+              ],
+            },
+          },
+        },
+      })
+      // The removed sub-issue no longer has a parent.
+      .mockResolvedValueOnce({
+        node: { id: "issue-id-task", issueType: { name: "Task" }, parent: null },
+      })
+      .mockResolvedValueOnce({
+        node: {
+          subIssues: {
+            nodes: [{ id: "issue-id-subtask", subIssuesSummary: { total: 0 } }],
+            pageInfo: { hasNextPage: false, endCursor: null },
+          },
+        },
+      })
+      // Parent chain and sub-issues of the former parent.
+      .mockResolvedValueOnce({
+        node: {
+          id: "issue-id-epic",
+          issueType: { name: "Epic" },
+          parent: { id: "issue-id-initiative", issueType: { name: "Initiative" } },
+        },
+      })
+      .mockResolvedValueOnce({
+        node: {
+          subIssues: {
+            nodes: [{ id: "issue-id-epic", subIssuesSummary: { total: 0 } }],
+            pageInfo: { hasNextPage: false, endCursor: null },
+          },
+        },
+      })
+      .mockResolvedValueOnce({
+        organization: {
+          projectV2: {
+            items: {
+              nodes: [
+                withValue("item-id-initiative", "issue-id-initiative"),
+                withValue("item-id-epic", "issue-id-epic"),
+                withValue("item-id-task", "issue-id-task"),
+                withValue("item-id-subtask", "issue-id-subtask"),
+                withValue("item-id-unrelated", "issue-id-unrelated"),
+              ],
+              pageInfo: { hasNextPage: false, endCursor: null },
+            },
+          },
+        },
+      })
+      .mockResolvedValue({});
+
+    github.getOctokit.mockReturnValue({
+      graphql: mockGraphql,
+    });
+
+    try {
+      await run();
+    } finally {
+      delete process.env.CLEAR_FIELDS;
+      github.context.eventName = undefined;
+      github.context.payload = {};
+    }
+
+    expect(core.setFailed).not.toHaveBeenCalled();
+    expect(core.info).toHaveBeenCalledWith(
+      "Issue issue-id-task was removed from its parent and has no Initiative parent. Synchronizing it and its 1 descendant(s)."
+    );
+    expect(collectFieldUpdates(mockGraphql)).toEqual([
+      ["item-id-task", "field-id", null],
+      ["item-id-subtask", "field-id", null],
+    ]);
+    expect(core.info).not.toHaveBeenCalledWith(
+      "Processing project item item-id-unrelated linked to issue issue-id-unrelated"
+    );
+    expect(mockGraphql).toHaveBeenCalledTimes(7);
+  });
+
+  test("should only synchronize pull request item events when pull requests are synchronized", async () => {
+    process.env.GITHUB_TOKEN = "test-token";
+    process.env.PROJECT_URL = "https://github.com/orgs/my-org/projects/1";
+    process.env.SYNC_FIELDS = "Initiative";
+    process.env.TOP_PARENT_ISSUE_TYPE = "Initiative";
+    github.context.eventName = "projects_v2_item";
+    github.context.payload = {
+      action: "created",
+      projects_v2_item: {
+        node_id: "item-id-pr",
+        project_node_id: "project-id",
+        content_node_id: "pr-id",
+        content_type: "PullRequest",
+      },
+    };
+
+    const mockGraphql = jest.fn().mockResolvedValueOnce({
+      organization: {
+        projectV2: {
+          id: "project-id",
+          fields: {
+            nodes: [
+              {
+                id: "field-id",
+                name: "Initiative",
+                options: [{ id: "option-id", name: "Option" }],
+                __typename: "ProjectV2SingleSelectField",
+              },
+            ],
+          },
+        },
+      },
+    });
+
+    github.getOctokit.mockReturnValue({
+      graphql: mockGraphql,
+    });
+
+    try {
+      await run();
+    } finally {
+      github.context.eventName = undefined;
+      github.context.payload = {};
+    }
+
+    expect(core.setFailed).not.toHaveBeenCalled();
+    expect(core.info).toHaveBeenCalledWith(
+      "Nothing to synchronize: pull requests are not synchronized."
+    );
+    expect(mockGraphql).toHaveBeenCalledTimes(1);
+  });
+
+  test("should narrow event-driven runs to the root issue when fields have their own source types", async () => {
+    process.env.GITHUB_TOKEN = "test-token";
+    process.env.PROJECT_URL = "https://github.com/orgs/my-org/projects/1";
+    process.env.SYNC_FIELDS = "Team";
+    process.env.TOP_PARENT_ISSUE_TYPE = "Initiative";
+    process.env.FIELD_SOURCE_TYPES = "Team:Epic";
+    github.context.eventName = "issues";
+    github.context.payload = {
+      action: "edited",
+      issue: { node_id: "issue-id-task", number: 3 },
+    };
+
+    const mockGraphql = jest
+      .fn()
+      .mockResolvedValueOnce({
+        organization: {
+          projectV2: {
+            id: "project-id",
+            fields: {
+              nodes: [
+                {
+                  id: "field-id-team",
+                  name: "Team",
+                  options: [{ id: "option-id-team", name: "Team" }],
+                  __typename: "ProjectV2SingleSelectField",
+                },
+              ],
+            },
+          },
+        },
+      })
+      // Parent chain of the issue, up to its root: an Epic without an Initiative.
+      .mockResolvedValueOnce({
+        node: { id: "issue-id-task", parent: { id: "issue-id-epic", issueType: { name: "Epic" } } },
+      })
+      .mockResolvedValueOnce({
+        node: { id: "issue-id-epic", parent: null },
+      })
+      .mockResolvedValueOnce({
+        node: {
+          subIssues: {
+            nodes: [{ id: "issue-id-task", subIssuesSummary: { total: 0 } }],
+            pageInfo: { hasNextPage: false, endCursor: null },
+          },
+        },
+      })
+      .mockResolvedValueOnce({
+        organization: {
+          projectV2: {
+            items: {
+              nodes: [
+                {
+                  id: "item-id-epic",
+                  fieldValues: {
+                    nodes: [{ field: { name: "Team" }, optionId: "option-id-team" }],
+                  },
+                  content: { id: "issue-id-epic", issueType: { name: "Epic" } },
+                },
+                {
+                  id: "item-id-task",
+                  fieldValues: { nodes: [] },
+                  content: { id: "issue-id-task", issueType: { name: "Task" } },
+                },
+                {
+                  id: "item-id-unrelated",
+                  fieldValues: { nodes: [] },
+                  content: { id: "issue-id-unrelated", issueType: { name: "Task" } },
+                },
+              ],
+              pageInfo: { hasNextPage: false, endCursor: null },
+            },
+          },
+        },
+      })
+      .mockResolvedValue({});
+
+    github.getOctokit.mockReturnValue({
+      graphql: mockGraphql,
+    });
+
+    try {
+      await run();
+    } finally {
+      delete process.env.FIELD_SOURCE_TYPES;
+      github.context.eventName = undefined;
+      github.context.payload = {};
+    }
+
+    expect(core.setFailed).not.toHaveBeenCalled();
+    expect(core.info).toHaveBeenCalledWith(
+      "Synchronizing 1 descendant(s) of root issue issue-id-epic."
+    );
+    expect(collectFieldUpdates(mockGraphql)).toEqual([
+      ["item-id-task", "field-id-team", { singleSelectOptionId: "option-id-team" }],
+    ]);
+    expect(core.info).not.toHaveBeenCalledWith(
+      "Processing project item item-id-unrelated linked to issue issue-id-unrelated"
+    );
+    expect(mockGraphql).toHaveBeenCalledTimes(6);
+  });
+
+  test("should walk sub-issues top-down from top parent items", async () => {
+    process.env.GITHUB_TOKEN = "test-token";
+    process.env.PROJECT_URL = "https://github.com/orgs/my-org/projects/1";
+    process.env.SYNC_FIELDS = "Initiative";
+    process.env.TOP_PARENT_ISSUE_TYPE = "Initiative";
+
+    const mockGraphql = jest
+      .fn()
+      .mockResolvedValueOnce({
+        organization: {
+          projectV2: {
+            id: "project-id",
+            fields: {
+              nodes: [
+                {
+                  id: "field-id",
+                  name: "Initiative",
+                  options: [{ id: "option-id", name: "Option" }],
+                  __typename: "ProjectV2SingleSelectField",
+                },
+              ],
+            },
+          },
+        },
+      })
+      .mockResolvedValueOnce({
+        organization: {
+          projectV2: {
+            items: {
+              nodes: [
+                {
+                  id: "item-id-initiative",
+                  fieldValues: {
+                    nodes: [{ field: { name: "Initiative" }, optionId: "option-id" }],
+                  },
+                  content: { id: "issue-id-initiative", issueType: { name: "Initiative" } },
+                },
+                {
+                  id: "item-id-epic",
+                  fieldValues: { nodes: [] },
+                  content: { id: "issue-id-epic", issueType: { name: "Epic" } },
+                },
+                {
+                  id: "item-id-task",
+                  fieldValues: { nodes: [] },
+                  content: { id: "issue-id-task", issueType: { name: "Task" } },
+                },
+              ],
+              pageInfo: { hasNextPage: false, endCursor: null },
+            },
+          },
+        },
+      })
+      .mockResolvedValueOnce({
+        node: {
+          subIssues: {
+            nodes: [
+              { id: "issue-id-epic", issueType: { name: "Epic" }, subIssuesSummary: { total: 1 } },
+            ],
+            pageInfo: { hasNextPage: false, endCursor: null },
+          },
+        },
+      })
+      .mockResolvedValueOnce({
+        node: {
+          subIssues: {
+            nodes: [
+              { id: "issue-id-task", issueType: { name: "Task" }, subIssuesSummary: { total: 0 } },
+            ],
+            pageInfo: { hasNextPage: false, endCursor: null },
+          },
+        },
+      })
+      .mockResolvedValue({
+        updateProjectV2ItemFieldValue: { projectV2Item: { id: "item-id" } },
+      });
+
+    github.getOctokit.mockReturnValue({
+      graphql: mockGraphql,
+    });
+
+    await run();
+
+    expect(core.setFailed).not.toHaveBeenCalled();
+    expect(core.info).toHaveBeenCalledWith(
+      "Using top-down traversal (1 top parent item(s), 3 issue item(s))."
+    );
+    expect(core.info).toHaveBeenCalledWith(
+      "No Initiative parent found for issue issue-id-initiative. Skipping update."
+    );
+    const queries = mockGraphql.mock.calls.map(([query]) => query);
+    expect(queries.filter((query) => query.includes("parent {"))).toHaveLength(0);
+    const updatedItemIds = collectFieldUpdates(mockGraphql).map(([itemId]) => itemId);
+    expect(updatedItemIds).toEqual(["item-id-epic", "item-id-task"]);
+    // Both updates are sent in a single batched mutation.
+    expect(mockGraphql).toHaveBeenCalledTimes(5);
+  });
+
+  describe("per-item error isolation", () => {
+    function mockProjectWithFailingParentLookup() {
+      return jest
+        .fn()
+        .mockResolvedValueOnce({
+          organization: {
+            projectV2: {
+              id: "project-id",
+              fields: {
+                nodes: [
+                  {
+                    id: "field-id",
+                    name: "Initiative",
+                    options: [{ id: "option-id", name: "Option" }],
+                    __typename: "ProjectV2SingleSelectField",
+                  },
+                ],
+              },
+            },
+          },
+        })
+        .mockResolvedValueOnce({
+          organization: {
+            projectV2: {
+              items: {
+                nodes: [
+                  {
+                    id: "item-id-broken",
+                    fieldValues: { nodes: [] },
+                    content: { id: "issue-id-broken", url: "https://github.com/my-org/repo/issues/9" },
+                  },
+                  {
+                    id: "item-id-child",
+                    fieldValues: { nodes: [] },
+                    content: { id: "issue-id-child" },
+                  },
+                  {
+                    id: "item-id-initiative",
+                    fieldValues: {
+                      nodes: [{ field: { name: "Initiative" }, optionId: "option-id" }],
+                    },
+                    content: { id: "issue-id-initiative" },
+                  },
+                ],
+                pageInfo: { hasNextPage: false, endCursor: null },
+              },
+            },
+          },
+        })
+        .mockRejectedValueOnce(new Error("Could not resolve to an Issue"))
+        .mockResolvedValueOnce({
+          node: {
+            id: "issue-id-child",
+            parent: { id: "issue-id-initiative", issueType: { name: "Initiative" } },
+          },
+        })
+        .mockResolvedValueOnce({
+          node: { id: "issue-id-initiative", parent: null },
+        })
+        .mockResolvedValue({});
+    }
+
+    beforeEach(() => {
+      process.env.GITHUB_TOKEN = "test-token";
+      process.env.PROJECT_URL = "https://github.com/orgs/my-org/projects/1";
+      process.env.SYNC_FIELDS = "Initiative";
+      process.env.TOP_PARENT_ISSUE_TYPE = "Initiative";
+    });
+
+    afterEach(() => {
+      delete process.env.MAX_ERRORS;
+    });
+
+    test("should keep processing items after a failure and report it at the end", async () => {
+      const mockGraphql = mockProjectWithFailingParentLookup();
+      github.getOctokit.mockReturnValue({ graphql: mockGraphql });
+
+      await run();
+
+      expect(collectFieldUpdates(mockGraphql)).toEqual([
+        ["item-id-child", "field-id", { singleSelectOptionId: "option-id" }],
+      ]);
+      expect(core.error).toHaveBeenCalledWith(
+        "project item item-id-broken (https://github.com/my-org/repo/issues/9): Could not resolve to an Issue"
+      );
+      expect(core.setFailed).toHaveBeenCalledWith(
+        "Failed to sync 1 item(s):\n - project item item-id-broken (https://github.com/my-org/repo/issues/9): Could not resolve to an Issue"
+      );
+      expect(core.setOutput).toHaveBeenCalledWith("failed-count", 1);
+    });
+
+    test("should record failed field updates with their field", async () => {
+      const mockGraphql = mockProjectWithFailingParentLookup();
+      const mutationError = new Error("Request failed due to following response errors");
+      mutationError.errors = [{ message: "Item was deleted", path: ["update0"] }];
+      mockGraphql.mockRejectedValue(mutationError);
+      github.getOctokit.mockReturnValue({ graphql: mockGraphql });
+
+      await run();
+
+      expect(core.setFailed).toHaveBeenCalledWith(
+        "Failed to sync 2 item(s):\n" +
+          " - project item item-id-broken (https://github.com/my-org/repo/issues/9): Could not resolve to an Issue\n" +
+          " - project item item-id-child (issue-id-child) field Initiative: Item was deleted"
+      );
+    });
+
+    test("should abort once MAX_ERRORS is reached", async () => {
+      process.env.MAX_ERRORS = "1";
+      const mockGraphql = mockProjectWithFailingParentLookup();
+      github.getOctokit.mockReturnValue({ graphql: mockGraphql });
+
+      await run();
+
+      expect(core.info).not.toHaveBeenCalledWith(
+        "Processing project item item-id-child linked to issue issue-id-child"
+      );
+      expect(collectFieldUpdates(mockGraphql)).toEqual([]);
+      expect(core.setFailed).toHaveBeenCalledWith(
+        "Aborting after 1 error(s) (MAX_ERRORS=1):\n - project item item-id-broken (https://github.com/my-org/repo/issues/9): Could not resolve to an Issue"
+      );
+    });
+  });
+
+  test("should clear child values when the top parent has none or the child has no top parent", async () => {
+    process.env.GITHUB_TOKEN = "test-token";
+    process.env.PROJECT_URL = "https://github.com/orgs/my-org/projects/1";
+    process.env.SYNC_FIELDS = "Initiative,Team";
+    process.env.TOP_PARENT_ISSUE_TYPE = "Initiative";
+    process.env.TRAVERSAL_STRATEGY = "bottom-up";
+    process.env.CLEAR_FIELDS = "Initiative";
+
+    const mockGraphql = jest
+      .fn()
+      .mockResolvedValueOnce({
+        organization: {
+          projectV2: {
+            id: "project-id",
+            fields: {
+              nodes: [
+                {
+                  id: "field-id-initiative",
+                  name: "Initiative",
+                  options: [{ id: "option-id", name: "Option" }],
+                  __typename: "ProjectV2SingleSelectField",
+                },
+                {
+                  id: "field-id-team",
+                  name: "Team",
+                  options: [{ id: "option-id-team", name: "Team" }],
+                  __typename: "ProjectV2SingleSelectField",
+                },
+              ],
+            },
+          },
+        },
+      })
+      .mockResolvedValueOnce({
+        organization: {
+          projectV2: {
+            items: {
+              nodes: [
+                {
+                  id: "item-id-initiative",
+                  fieldValues: { nodes: [] },
+                  content: { id: "issue-id-initiative", issueType: { name: "Initiative" } },
+                },
+                {
+                  id: "item-id-child",
+                  fieldValues: {
+                    nodes: [
+                      { field: { name: "Initiative" }, optionId: "option-id" },
+                      { field: { name: "Team" }, optionId: "option-id-team" },
+                    ],
+                  },
+                  content: { id: "issue-id-child", issueType: { name: "Task" } },
+                },
+                {
+                  id: "item-id-reparented",
+                  fieldValues: {
+                    nodes: [
+                      { field: { name: "Initiative" }, optionId: "option-id" },
+                      { field: { name: "Team" }, optionId: "option-id-team" },
+                    ],
+                  },
+                  content: { id: "issue-id-reparented", issueType: { name: "Task" } },
+                },
+              ],
+              pageInfo: { hasNextPage: false, endCursor: null },
+            },
+          },
+        },
+      })
+      .mockResolvedValueOnce({
+        node: { id: "issue-id-initiative", parent: null },
+      })
+      .mockResolvedValueOnce({
+        node: {
+          id: "issue-id-child",
+          parent: { id: "issue-id-initiative", issueType: { name: "Initiative" } },
+        },
+      })
+      .mockResolvedValueOnce({
+        node: { id: "issue-id-reparented", parent: null },
+      })
+      .mockResolvedValue({});
+
+    github.getOctokit.mockReturnValue({
+      graphql: mockGraphql,
+    });
+
+    try {
+      await run();
+    } finally {
+      delete process.env.TRAVERSAL_STRATEGY;
+      delete process.env.CLEAR_FIELDS;
+    }
+
+    expect(core.setFailed).not.toHaveBeenCalled();
+    // Team is not listed in CLEAR_FIELDS and keeps its value.
+    expect(collectFieldUpdates(mockGraphql)).toEqual([
+      ["item-id-child", "field-id-initiative", null],
+      ["item-id-reparented", "field-id-initiative", null],
+    ]);
+    expect(core.info).toHaveBeenCalledWith(
+      "No Initiative parent found for issue issue-id-initiative. Skipping update."
+    );
+    expect(core.info).toHaveBeenCalledWith(
+      "No Initiative parent found for issue issue-id-reparented. Clearing Initiative."
+    );
+    expect(core.info).toHaveBeenCalledWith(
+      "Cleared project item item-id-child field Initiative."
+    );
+  });
+
+  test.each(["top-down", "bottom-up"])(
+    "should only clear children without a top parent, not those whose top parent is outside the project (%s)",
+    async (strategy) => {
+      process.env.GITHUB_TOKEN = "test-token";
+      process.env.PROJECT_URL = "https://github.com/orgs/my-org/projects/1";
+      process.env.SYNC_FIELDS = "Initiative";
+      process.env.TOP_PARENT_ISSUE_TYPE = "Initiative";
+      process.env.TRAVERSAL_STRATEGY = strategy;
+      process.env.CLEAR_FIELDS = "Initiative";
+
+      const withParent = (id, parent) => ({ node: { id, parent } });
+      const initiativeParent = (id) => ({ id, issueType: { name: "Initiative" } });
+      const hierarchy =
+        strategy === "top-down"
+          ? [
+              {
+                node: {
+                  subIssues: {
+                    nodes: [
+                      {
+                        id: "issue-id-child",
+                        issueType: { name: "Task" },
+                        subIssuesSummary: { total: 0 },
+                      },
+                    ],
+                    pageInfo: { hasNextPage: false, endCursor: null },
+                  },
+                },
+              },
+            ]
+          : [
+              withParent("issue-id-initiative", null),
+              withParent("issue-id-child", initiativeParent("issue-id-initiative")),
+            ];
+      const mockGraphql = jest
+        .fn()
+        .mockResolvedValueOnce({
+          organization: {
+            projectV2: {
+              id: "project-id",
+              fields: {
+                nodes: [
+                  {
+                    id: "field-id",
+                    name: "Initiative",
+                    options: [{ id: "option-id", name: "Option" }],
+                    __typename: "ProjectV2SingleSelectField",
+                  },
+                ],
+              },
+            },
+          },
+        })
+        .mockResolvedValueOnce({
+          organization: {
+            projectV2: {
+              items: {
+                nodes: [
+                  {
+                    id: "item-id-initiative",
+                    fieldValues: {
+                      nodes: [{ field: { name: "Initiative" }, optionId: "option-id" }],
+                    },
+                    content: { id: "issue-id-initiative", issueType: { name: "Initiative" } },
+                  },
+                  {
+                    id: "item-id-child",
+                    fieldValues: { nodes: [] },
+                    content: { id: "issue-id-child", issueType: { name: "Task" } },
+                  },
+                  {
+                    id: "item-id-outside",
+                    fieldValues: {
+                      nodes: [{ field: { name: "Initiative" }, optionId: "option-id" }],
+                    },
+                    content: { id: "issue-id-outside-child", issueType: { name: "Task" } },
+                  },
+                  {
+                    id: "item-id-orphan",
+                    fieldValues: {
+                      nodes: [{ field: { name: "Initiative" }, optionId: "option-id" }],
+                    },
+                    content: { id: "issue-id-orphan", issueType: { name: "Task" } },
+                  },
+                ],
+                pageInfo: { hasNextPage: false, endCursor: null },
+              },
+            },
+          },
+        });
+      for (const response of hierarchy) {
+        mockGraphql.mockResolvedValueOnce(response);
+      }
+      mockGraphql
+        .mockResolvedValueOnce(
+          withParent("issue-id-outside-child", initiativeParent("issue-id-other-initiative"))
+        )
+        .mockResolvedValueOnce(withParent("issue-id-orphan", null))
+        .mockResolvedValue({});
+
+      github.getOctokit.mockReturnValue({
+        graphql: mockGraphql,
+      });
+
+      try {
+        await run();
+      } finally {
+        delete process.env.TRAVERSAL_STRATEGY;
+        delete process.env.CLEAR_FIELDS;
+      }
+
+      expect(core.setFailed).not.toHaveBeenCalled();
+      expect(collectFieldUpdates(mockGraphql)).toEqual([
+        ["item-id-child", "field-id", { singleSelectOptionId: "option-id" }],
+        ["item-id-orphan", "field-id", null],
+      ]);
+      expect(core.info).toHaveBeenCalledWith(
+        "No project item found for parent initiative issue issue-id-other-initiative. Skipping update."
+      );
+      expect(core.info).toHaveBeenCalledWith(
+        "No Initiative parent found for issue issue-id-orphan. Clearing Initiative."
+      );
+    }
+  );
+
+  test("should walk up from the items of a top parent whose sub-issues cannot be loaded", async () => {
+    process.env.GITHUB_TOKEN = "test-token";
+    process.env.PROJECT_URL = "https://github.com/orgs/my-org/projects/1";
+    process.env.SYNC_FIELDS = "Initiative";
+    process.env.TOP_PARENT_ISSUE_TYPE = "Initiative";
+    process.env.TRAVERSAL_STRATEGY = "top-down";
+
+    const item = (id, issueType, fieldValues = []) => ({
+      id: `item-id-${id}`,
+      fieldValues: { nodes: fieldValues },
+      content: { id: `issue-id-${id}`, issueType: { name: issueType } },
+    });
+    const initiativeValue = [{ field: { name: "Initiative" }, optionId: "option-id" }];
+    const mockGraphql = jest
+      .fn()
+      .mockResolvedValueOnce({
+        organization: {
+          projectV2: {
+            id: "project-id",
+            fields: {
+              nodes: [
+                {
+                  id: "field-id",
+                  name: "Initiative",
+                  options: [{ id: "option-id", name: "Option" }],
+                  __typename: "ProjectV2SingleSelectField",
+                },
+              ],
+            },
+          },
+        },
+      })
+      .mockResolvedValueOnce({
+        organization: {
+          projectV2: {
+            items: {
+              nodes: [
+                item("initiative-a", "Initiative", initiativeValue),
+                item("initiative-b", "Initiative", initiativeValue),
+                item("task-a", "Task"),
+                item("task-b", "Task"),
+              ],
+              pageInfo: { hasNextPage: false, endCursor: null },
+            },
+          },
+        },
+      })
+      .mockResolvedValueOnce({
+        node: {
+          subIssues: {
+            nodes: [{ id: "issue-id-task-a", subIssuesSummary: { total: 0 } }],
+            pageInfo: { hasNextPage: false, endCursor: null },
+          },
+        },
+      })
+      .mockRejectedValueOnce(new Error("Could not resolve to a Repository"))
+      // Parent chain of the task of the hierarchy that could not be walked down.
+      .mockResolvedValueOnce({
+        node: {
+          id: "issue-id-task-b",
+          parent: { id: "issue-id-initiative-b", issueType: { name: "Initiative" } },
+        },
+      })
+      .mockResolvedValue({});
+
+    github.getOctokit.mockReturnValue({
+      graphql: mockGraphql,
+    });
+
+    try {
+      await run();
+    } finally {
+      delete process.env.TRAVERSAL_STRATEGY;
+    }
+
+    expect(core.setFailed).not.toHaveBeenCalled();
+    expect(core.warning).toHaveBeenCalledWith(
+      "Could not load the sub-issues of top parent issue-id-initiative-b: Could not resolve to a Repository"
+    );
+    expect(collectFieldUpdates(mockGraphql)).toEqual([
+      ["item-id-task-a", "field-id", { singleSelectOptionId: "option-id" }],
+      ["item-id-task-b", "field-id", { singleSelectOptionId: "option-id" }],
+    ]);
+    expect(mockGraphql).toHaveBeenCalledTimes(6);
+  });
+
+  test("should only write where the field write policy allows it", async () => {
+    process.env.GITHUB_TOKEN = "test-token";
+    process.env.PROJECT_URL = "https://github.com/orgs/my-org/projects/1";
+    process.env.SYNC_FIELDS = "Initiative,Team";
+    process.env.TOP_PARENT_ISSUE_TYPE = "Initiative";
+    process.env.TRAVERSAL_STRATEGY = "bottom-up";
+    process.env.FIELD_WRITE_POLICIES = "Initiative:fill-empty,Team:never";
+
+    const mockGraphql = jest
+      .fn()
+      .mockResolvedValueOnce({
+        organization: {
+          projectV2: {
+            id: "project-id",
+            fields: {
+              nodes: [
+                {
+                  id: "field-id-initiative",
+                  name: "Initiative",
+                  options: [
+                    { id: "option-id", name: "Option" },
+                    { id: "option-id-other", name: "Other" },
+                  ],
+                  __typename: "ProjectV2SingleSelectField",
+                },
+                {
+                  id: "field-id-team",
+                  name: "Team",
+                  options: [{ id: "option-id-team", name: "Team" }],
+                  __typename: "ProjectV2SingleSelectField",
+                },
+              ],
+            },
+          },
+        },
+      })
+      .mockResolvedValueOnce({
+        organization: {
+          projectV2: {
+            items: {
+              nodes: [
+                {
+                  id: "item-id-initiative",
+                  fieldValues: {
+                    nodes: [
+                      { field: { name: "Initiative" }, optionId: "option-id" },
+                      { field: { name: "Team" }, optionId: "option-id-team" },
+                    ],
+                  },
+                  content: { id: "issue-id-initiative", issueType: { name: "Initiative" } },
+                },
+                {
+                  id: "item-id-filled",
+                  fieldValues: {
+                    nodes: [{ field: { name: "Initiative" }, optionId: "option-id-other" }],
+                  },
+                  content: { id: "issue-id-filled", issueType: { name: "Task" } },
+                },
+                {
+                  id: "item-id-empty",
+                  fieldValues: { nodes: [] },
+                  content: { id: "issue-id-empty", issueType: { name: "Task" } },
+                },
+              ],
+              pageInfo: { hasNextPage: false, endCursor: null },
+            },
+          },
+        },
+      })
+      .mockResolvedValueOnce({
+        node: { id: "issue-id-initiative", parent: null },
+      })
+      .mockResolvedValueOnce({
+        node: {
+          id: "issue-id-filled",
+          parent: { id: "issue-id-initiative", issueType: { name: "Initiative" } },
+        },
+      })
+      .mockResolvedValueOnce({
+        node: {
+          id: "issue-id-empty",
+          parent: { id: "issue-id-initiative", issueType: { name: "Initiative" } },
+        },
+      })
+      .mockResolvedValue({});
+
+    github.getOctokit.mockReturnValue({
+      graphql: mockGraphql,
+    });
+
+    try {
+      await run();
+    } finally {
+      delete process.env.TRAVERSAL_STRATEGY;
+      delete process.env.FIELD_WRITE_POLICIES;
+    }
+
+    expect(core.setFailed).not.toHaveBeenCalled();
+    expect(collectFieldUpdates(mockGraphql)).toEqual([
+      ["item-id-empty", "field-id-initiative", { singleSelectOptionId: "option-id" }],
+    ]);
+    expect(core.info).toHaveBeenCalledWith(
+      "Project item item-id-filled keeps its Initiative value (write policy fill-empty). Skipping update."
+    );
+    expect(core.info).toHaveBeenCalledWith(
+      "Project item item-id-empty keeps its Team value (write policy never). Skipping update."
+    );
+    expect(core.info).toHaveBeenCalledWith(
+      "Write policies kept 3 field value(s) on 2 item(s)."
+    );
+    expect(core.setOutput).toHaveBeenCalledWith("updated-count", 1);
+    expect(core.setOutput).toHaveBeenCalledWith("skipped-count", 0);
+    expect(core.setOutput).toHaveBeenCalledWith("policy-skipped-count", 2);
+  });
+
+  test("should copy each field from the ancestor of its own source issue type", async () => {
+    process.env.GITHUB_TOKEN = "test-token";
+    process.env.PROJECT_URL = "https://github.com/orgs/my-org/projects/1";
+    process.env.SYNC_FIELDS = "Initiative,Team";
+    process.env.TOP_PARENT_ISSUE_TYPE = "Initiative";
+    process.env.FIELD_SOURCE_TYPES = "Team:Epic";
+
+    const mockGraphql = jest
+      .fn()
+      .mockResolvedValueOnce({
+        organization: {
+          projectV2: {
+            id: "project-id",
+            fields: {
+              nodes: [
+                {
+                  id: "field-id-initiative",
+                  name: "Initiative",
+                  options: [{ id: "option-id", name: "Option" }],
+                  __typename: "ProjectV2SingleSelectField",
+                },
+                {
+                  id: "field-id-team",
+                  name: "Team",
+                  options: [{ id: "option-id-team", name: "Team" }],
+                  __typename: "ProjectV2SingleSelectField",
+                },
+              ],
+            },
+          },
+        },
+      })
+      .mockResolvedValueOnce({
+        organization: {
+          projectV2: {
+            items: {
+              nodes: [
+                {
+                  id: "item-id-initiative",
+                  fieldValues: {
+                    nodes: [{ field: { name: "Initiative" }, optionId: "option-id" }],
+                  },
+                  content: { id: "issue-id-initiative", issueType: { name: "Initiative" } },
+                },
+                {
+                  id: "item-id-epic",
+                  fieldValues: {
+                    nodes: [{ field: { name: "Team" }, optionId: "option-id-team" }],
+                  },
+                  content: { id: "issue-id-epic", issueType: { name: "Epic" } },
+                },
+                {
+                  id: "item-id-task",
+                  fieldValues: { nodes: [] },
+                  content: { id: "issue-id-task", issueType: { name: "Task" } },
+                },
+              ],
+              pageInfo: { hasNextPage: false, endCursor: null },
+            },
+          },
+        },
+      })
+      .mockResolvedValueOnce({
+        node: { id: "issue-id-initiative", parent: null },
+      })
+      .mockResolvedValueOnce({
+        node: {
+          id: "issue-id-epic",
+          parent: { id: "issue-id-initiative", issueType: { name: "Initiative" } },
+        },
+      })
+      .mockResolvedValueOnce({
+        node: {
+          id: "issue-id-task",
+          parent: { id: "issue-id-epic", issueType: { name: "Epic" } },
+        },
+      })
+      .mockResolvedValue({});
+
+    github.getOctokit.mockReturnValue({
+      graphql: mockGraphql,
+    });
+
+    try {
+      await run();
+    } finally {
+      delete process.env.FIELD_SOURCE_TYPES;
+    }
+
+    expect(core.setFailed).not.toHaveBeenCalled();
+    // The parent chain of every issue is fetched once: the task reuses the epic's cached parent.
+    expect(mockGraphql).toHaveBeenCalledTimes(6);
+    expect(collectFieldUpdates(mockGraphql)).toEqual([
+      ["item-id-epic", "field-id-initiative", { singleSelectOptionId: "option-id" }],
+      ["item-id-task", "field-id-initiative", { singleSelectOptionId: "option-id" }],
+      ["item-id-task", "field-id-team", { singleSelectOptionId: "option-id-team" }],
+    ]);
+    expect(core.info).toHaveBeenCalledWith(
+      "Source issue types: Initiative from Initiative, Team from Epic."
+    );
+    expect(core.info).toHaveBeenCalledWith(
+      "No Epic parent found for issue issue-id-epic. Skipping Team."
+    );
+  });
+
+  test("should inherit from the nearest ancestor that has a value", async () => {
+    process.env.GITHUB_TOKEN = "test-token";
+    process.env.PROJECT_URL = "https://github.com/orgs/my-org/projects/1";
+    process.env.SYNC_FIELDS = "Quarter";
+    process.env.TOP_PARENT_ISSUE_TYPE = "Initiative";
+    process.env.FIELD_INHERITANCE = "Quarter:nearest-value";
+    process.env.INHERITANCE_MAX_DEPTH = "2";
+
+    const quarter = (optionId) => ({
+      nodes: [{ field: { name: "Quarter" }, optionId }],
+    });
+    const mockGraphql = jest
+      .fn()
+      .mockResolvedValueOnce({
+        organization: {
+          projectV2: {
+            id: "project-id",
+            fields: {
+              nodes: [
+                {
+                  id: "field-id-quarter",
+                  name: "Quarter",
+                  options: [
+                    { id: "option-id-q1", name: "Q1" },
+                    { id: "option-id-q2", name: "Q2" },
+                  ],
+                  __typename: "ProjectV2SingleSelectField",
+                },
+              ],
+            },
+          },
+        },
+      })
+      .mockResolvedValueOnce({
+        organization: {
+          projectV2: {
+            items: {
+              nodes: [
+                { id: "item-id-initiative", fieldValues: quarter("option-id-q1"), content: { id: "issue-id-initiative" } },
+                { id: "item-id-epic", fieldValues: quarter("option-id-q2"), content: { id: "issue-id-epic" } },
+                { id: "item-id-story", fieldValues: { nodes: [] }, content: { id: "issue-id-story" } },
+                { id: "item-id-task", fieldValues: { nodes: [] }, content: { id: "issue-id-task" } },
+                { id: "item-id-deep", fieldValues: { nodes: [] }, content: { id: "issue-id-deep" } },
+              ],
+              pageInfo: { hasNextPage: false, endCursor: null },
+            },
+          },
+        },
+      })
+      .mockResolvedValueOnce({ node: { id: "issue-id-initiative", parent: null } })
+      .mockResolvedValueOnce({
+        node: { id: "issue-id-epic", parent: { id: "issue-id-initiative", issueType: { name: "Initiative" } } },
+      })
+      .mockResolvedValueOnce({
+        node: { id: "issue-id-story", parent: { id: "issue-id-epic", issueType: { name: "Epic" } } },
+      })
+      .mockResolvedValueOnce({
+        node: { id: "issue-id-task", parent: { id: "issue-id-story", issueType: { name: "Story" } } },
+      })
+      .mockResolvedValueOnce({
+        node: { id: "issue-id-deep", parent: { id: "issue-id-task", issueType: { name: "Task" } } },
+      })
+      .mockResolvedValue({});
+
+    github.getOctokit.mockReturnValue({
+      graphql: mockGraphql,
+    });
+
+    try {
+      await run();
+    } finally {
+      delete process.env.FIELD_INHERITANCE;
+      delete process.env.INHERITANCE_MAX_DEPTH;
+    }
+
+    expect(core.setFailed).not.toHaveBeenCalled();
+    expect(mockGraphql).toHaveBeenCalledTimes(8);
+    expect(collectFieldUpdates(mockGraphql)).toEqual([
+      ["item-id-story", "field-id-quarter", { singleSelectOptionId: "option-id-q2" }],
+      ["item-id-task", "field-id-quarter", { singleSelectOptionId: "option-id-q2" }],
+    ]);
+    // The epic's own value is a source and is kept (nearest-value fields default to fill-empty).
+    expect(core.info).toHaveBeenCalledWith(
+      "Project item item-id-epic keeps its Quarter value (write policy fill-empty). Skipping update."
+    );
+    // The nearest value of the deep task is more than INHERITANCE_MAX_DEPTH levels up.
+    expect(core.info).toHaveBeenCalledWith(
+      "No ancestor with a Quarter value found for issue issue-id-deep. Skipping update."
+    );
+  });
+
+  // Bottom-up runs reuse the top parent map built to find the missing descendants.
+  test.each(["top-down", "bottom-up"])(
+    "should add missing descendants from allowed repositories and sync them (%s)",
+    async (strategy) => {
+      process.env.GITHUB_TOKEN = "test-token";
+      process.env.PROJECT_URL = "https://github.com/orgs/my-org/projects/1";
+      process.env.SYNC_FIELDS = "Initiative";
+      process.env.TOP_PARENT_ISSUE_TYPE = "Initiative";
+      process.env.TRAVERSAL_STRATEGY = strategy;
+      process.env.ADD_MISSING_DESCENDANTS = "true";
+      process.env.ADD_MISSING_REPOSITORIES = "my-org/app";
+
+      const subIssue = (id, repository) => ({
+        id,
+        url: `https://github.com/${repository}/issues/${id.length}`,
+        repository: { nameWithOwner: repository },
+        issueType: { name: "Task" },
+        subIssuesSummary: { total: 0 },
+      });
+      const mockGraphql = jest
+        .fn()
+        .mockResolvedValueOnce({
+          organization: {
+            projectV2: {
+              id: "project-id",
+              fields: {
+                nodes: [
+                  {
+                    id: "field-id",
+                    name: "Initiative",
+                    options: [{ id: "option-id", name: "Option" }],
+                    __typename: "ProjectV2SingleSelectField",
+                  },
+                ],
+              },
+            },
+          },
+        })
+        .mockResolvedValueOnce({
+          organization: {
+            projectV2: {
+              items: {
+                nodes: [
+                  {
+                    id: "item-id-initiative",
+                    fieldValues: {
+                      nodes: [{ field: { name: "Initiative" }, optionId: "option-id" }],
+                    },
+                    content: { id: "issue-id-initiative", issueType: { name: "Initiative" } },
+                  },
+                  {
+                    id: "item-id-task",
+                    fieldValues: { nodes: [] },
+                    content: { id: "issue-id-task", issueType: { name: "Task" } },
+                  },
+                ],
+                pageInfo: { hasNextPage: false, endCursor: null },
+              },
+            },
+          },
+        })
+        .mockResolvedValueOnce({
+          node: {
+            subIssues: {
+              nodes: [
+                subIssue("issue-id-task", "my-org/app"),
+                subIssue("issue-id-missing", "My-Org/App"),
+                subIssue("issue-id-other-repo", "other-org/tools"),
+              ],
+              pageInfo: { hasNextPage: false, endCursor: null },
+            },
+          },
+        })
+        .mockResolvedValueOnce({
+          addProjectV2ItemById: { item: { id: "item-id-added" } },
+        })
+        .mockResolvedValue({});
+
+      github.getOctokit.mockReturnValue({
+        graphql: mockGraphql,
+      });
+
+      try {
+        await run();
+      } finally {
+        delete process.env.TRAVERSAL_STRATEGY;
+        delete process.env.ADD_MISSING_DESCENDANTS;
+        delete process.env.ADD_MISSING_REPOSITORIES;
+      }
+
+      expect(core.setFailed).not.toHaveBeenCalled();
+      expect(mockGraphql).toHaveBeenCalledWith(expect.stringContaining("addProjectV2ItemById"), {
+        projectId: "project-id",
+        contentId: "issue-id-missing",
+      });
+      expect(mockGraphql).toHaveBeenCalledTimes(5);
+      expect(collectFieldUpdates(mockGraphql)).toEqual([
+        ["item-id-task", "field-id", { singleSelectOptionId: "option-id" }],
+        ["item-id-added", "field-id", { singleSelectOptionId: "option-id" }],
+      ]);
+      expect(core.info).toHaveBeenCalledWith(
+        "Issue https://github.com/other-org/tools/issues/19 is missing from the project but other-org/tools is not in ADD_MISSING_REPOSITORIES. Skipping."
+      );
+      expect(core.setOutput).toHaveBeenCalledWith("added-count", 1);
+    }
+  );
+
+  test("should only add missing descendants that match the item filter", async () => {
+    process.env.GITHUB_TOKEN = "test-token";
+    process.env.PROJECT_URL = "https://github.com/orgs/my-org/projects/1";
+    process.env.SYNC_FIELDS = "Initiative";
+    process.env.TOP_PARENT_ISSUE_TYPE = "Initiative";
+    process.env.TRAVERSAL_STRATEGY = "top-down";
+    process.env.ADD_MISSING_DESCENDANTS = "true";
+    process.env.ITEM_FILTER = "is:open -label:wontfix";
+
+    const subIssue = (id, state, labels) => ({
+      id,
+      url: `https://github.com/my-org/app/issues/${id.length}`,
+      state,
+      repository: { nameWithOwner: "my-org/app" },
+      labels: { nodes: labels.map((name) => ({ name })) },
+      issueType: { name: "Task" },
+      subIssuesSummary: { total: 0 },
+    });
+    const mockGraphql = jest
+      .fn()
+      .mockResolvedValueOnce({
+        organization: {
+          projectV2: {
+            id: "project-id",
+            fields: {
+              nodes: [
+                {
+                  id: "field-id",
+                  name: "Initiative",
+                  options: [{ id: "option-id", name: "Option" }],
+                  __typename: "ProjectV2SingleSelectField",
+                },
+              ],
+            },
+          },
+        },
+      })
+      .mockResolvedValueOnce({
+        organization: {
+          projectV2: {
+            items: {
+              nodes: [
+                {
+                  id: "item-id-initiative",
+                  fieldValues: {
+                    nodes: [{ field: { name: "Initiative" }, optionId: "option-id" }],
+                  },
+                  content: {
+                    id: "issue-id-initiative",
+                    state: "OPEN",
+                    issueType: { name: "Initiative" },
+                  },
+                },
+              ],
+              pageInfo: { hasNextPage: false, endCursor: null },
+            },
+          },
+        },
+      })
+      .mockResolvedValueOnce({
+        node: {
+          subIssues: {
+            nodes: [
+              subIssue("issue-id-open", "OPEN", ["backend"]),
+              subIssue("issue-id-closed", "CLOSED", []),
+              subIssue("issue-id-wontfix", "OPEN", ["wontfix"]),
+            ],
+            pageInfo: { hasNextPage: false, endCursor: null },
+          },
+        },
+      })
+      .mockResolvedValueOnce({
+        addProjectV2ItemById: { item: { id: "item-id-added" } },
+      })
+      .mockResolvedValue({});
+
+    github.getOctokit.mockReturnValue({
+      graphql: mockGraphql,
+    });
+
+    try {
+      await run();
+    } finally {
+      delete process.env.TRAVERSAL_STRATEGY;
+      delete process.env.ADD_MISSING_DESCENDANTS;
+      delete process.env.ITEM_FILTER;
+    }
+
+    expect(core.setFailed).not.toHaveBeenCalled();
+    const addedIssueIds = mockGraphql.mock.calls
+      .filter(([query]) => query.includes("addProjectV2ItemById"))
+      .map(([, variables]) => variables.contentId);
+    expect(addedIssueIds).toEqual(["issue-id-open"]);
+    expect(core.info).toHaveBeenCalledWith(
+      "Issue https://github.com/my-org/app/issues/15 is missing from the project but does not match the item filter. Skipping."
+    );
+    expect(collectFieldUpdates(mockGraphql)).toEqual([
+      ["item-id-added", "field-id", { singleSelectOptionId: "option-id" }],
+    ]);
+    expect(core.setOutput).toHaveBeenCalledWith("added-count", 1);
+  });
+
+  test("should read parent values from the source project and map options by name", async () => {
+    process.env.GITHUB_TOKEN = "test-token";
+    process.env.PROJECT_URL = "https://github.com/orgs/my-org/projects/1";
+    process.env.SOURCE_PROJECT_URL = "https://github.com/orgs/my-org/projects/9";
+    process.env.SYNC_FIELDS = "Initiative";
+    process.env.TOP_PARENT_ISSUE_TYPE = "Initiative";
+    process.env.TRAVERSAL_STRATEGY = "bottom-up";
+
+    const initiativeField = (options) => ({
+      id: `field-id-${options[0].id}`,
+      name: "Initiative",
+      options,
+      __typename: "ProjectV2SingleSelectField",
+    });
+    const mockGraphql = jest
+      .fn()
+      .mockResolvedValueOnce({
+        organization: {
+          projectV2: {
+            id: "project-id",
+            fields: { nodes: [initiativeField([{ id: "option-id-payments", name: "Payments" }])] },
+          },
+        },
+      })
+      .mockResolvedValueOnce({
+        organization: {
+          projectV2: {
+            items: {
+              nodes: [
+                { id: "item-id-task-1", fieldValues: { nodes: [] }, content: { id: "issue-id-task-1" } },
+                { id: "item-id-task-2", fieldValues: { nodes: [] }, content: { id: "issue-id-task-2" } },
+              ],
+              pageInfo: { hasNextPage: false, endCursor: null },
+            },
+          },
+        },
+      })
+      .mockResolvedValueOnce({
+        organization: {
+          projectV2: {
+            id: "portfolio-project-id",
+            fields: {
+              nodes: [
+                initiativeField([
+                  { id: "portfolio-option-payments", name: "Payments" },
+                  { id: "portfolio-option-search", name: "Search" },
+                ]),
+              ],
+            },
+          },
+        },
+      })
+      .mockResolvedValueOnce({
+        organization: {
+          projectV2: {
+            items: {
+              nodes: [
+                {
+                  id: "portfolio-item-1",
+                  fieldValues: { nodes: [{ field: { name: "Initiative" }, optionId: "portfolio-option-payments" }] },
+                  content: { id: "issue-id-initiative-1", issueType: { name: "Initiative" } },
+                },
+                {
+                  id: "portfolio-item-2",
+                  fieldValues: { nodes: [{ field: { name: "Initiative" }, optionId: "portfolio-option-search" }] },
+                  content: { id: "issue-id-initiative-2", issueType: { name: "Initiative" } },
+                },
+              ],
+              pageInfo: { hasNextPage: false, endCursor: null },
+            },
+          },
+        },
+      })
+      .mockResolvedValueOnce({
+        node: {
+          id: "issue-id-task-1",
+          parent: { id: "issue-id-initiative-1", issueType: { name: "Initiative" } },
+        },
+      })
+      .mockResolvedValueOnce({
+        node: {
+          id: "issue-id-task-2",
+          parent: { id: "issue-id-initiative-2", issueType: { name: "Initiative" } },
+        },
+      })
+      .mockResolvedValue({});
+
+    github.getOctokit.mockReturnValue({
+      graphql: mockGraphql,
+    });
+
+    try {
+      await run();
+    } finally {
+      delete process.env.SOURCE_PROJECT_URL;
+      delete process.env.TRAVERSAL_STRATEGY;
+    }
+
+    expect(core.setFailed).not.toHaveBeenCalled();
+    expect(mockGraphql.mock.calls[2][1]).toEqual({ login: "my-org", number: 9, after: null });
+    expect(collectFieldUpdates(mockGraphql)).toEqual([
+      ["item-id-task-1", "field-id-option-id-payments", { singleSelectOptionId: "option-id-payments" }],
+    ]);
+    expect(core.warning).toHaveBeenCalledWith(
+      'Value "Search" of field Initiative in the source project has no counterpart in this project. Skipping it.'
+    );
+  });
+
+  test("should synchronize every project of the configuration file", async () => {
+    process.env.GITHUB_TOKEN = "test-token";
+    const workspace = fs.mkdtempSync(path.join(os.tmpdir(), "dependants-sync-"));
+    fs.mkdirSync(path.join(workspace, ".github"));
+    fs.writeFileSync(
+      path.join(workspace, ".github", "dependants-sync.yml"),
+      [
+        "projects:",
+        "  - url: https://github.com/orgs/my-org/projects/1",
+        "    fields: [Initiative]",
+        "  - url: https://github.com/orgs/my-org/projects/2",
+        "    fields:",
+        "      - name: Team",
+        "        policy: fill-empty",
+      ].join("\n")
+    );
+    process.env.GITHUB_WORKSPACE = workspace;
+
+    const mockProject = (projectId, fieldName) => [
+      {
+        organization: {
+          projectV2: {
+            id: projectId,
+            fields: {
+              nodes: [
+                {
+                  id: `${projectId}-field`,
+                  name: fieldName,
+                  options: [{ id: `${projectId}-option`, name: "Option" }],
+                  __typename: "ProjectV2SingleSelectField",
+                },
+              ],
+            },
+          },
+        },
+      },
+      {
+        organization: {
+          projectV2: {
+            items: {
+              nodes: [
+                { id: `${projectId}-child`, fieldValues: { nodes: [] }, content: { id: "issue-id-child" } },
+                {
+                  id: `${projectId}-initiative`,
+                  fieldValues: { nodes: [{ field: { name: fieldName }, optionId: `${projectId}-option` }] },
+                  content: { id: "issue-id-initiative" },
+                },
+              ],
+              pageInfo: { hasNextPage: false, endCursor: null },
+            },
+          },
+        },
+      },
+      {
+        node: {
+          id: "issue-id-child",
+          parent: { id: "issue-id-initiative", issueType: { name: "Initiative" } },
+        },
+      },
+      { node: { id: "issue-id-initiative", parent: null } },
+      {},
+    ];
+    const mockGraphql = jest.fn();
+    for (const result of [...mockProject("project-1", "Initiative"), ...mockProject("project-2", "Team")]) {
+      mockGraphql.mockResolvedValueOnce(result);
+    }
+
+    github.getOctokit.mockReturnValue({
+      graphql: mockGraphql,
+    });
+
+    try {
+      await run();
+    } finally {
+      delete process.env.GITHUB_WORKSPACE;
+    }
+
+    expect(core.setFailed).not.toHaveBeenCalled();
+    expect(core.info).toHaveBeenCalledWith(
+      "Loaded 2 project(s) from configuration file .github/dependants-sync.yml."
+    );
+    expect(core.info).toHaveBeenCalledWith(
+      "Synchronizing project https://github.com/orgs/my-org/projects/2 (2 of 2)."
+    );
+    expect(collectFieldUpdates(mockGraphql)).toEqual([
+      ["project-1-child", "project-1-field", { singleSelectOptionId: "project-1-option" }],
+      ["project-2-child", "project-2-field", { singleSelectOptionId: "project-2-option" }],
+    ]);
+    expect(core.setOutput).toHaveBeenCalledWith("updated-count", 2);
+  });
+
+  test("should roll the status of child items up into their parents", async () => {
+    process.env.GITHUB_TOKEN = "test-token";
+    process.env.PROJECT_URL = "https://github.com/orgs/my-org/projects/1";
+    process.env.SYNC_FIELDS = "Initiative";
+    process.env.TOP_PARENT_ISSUE_TYPE = "Initiative";
+    process.env.STATUS_ROLLUP_FIELD = "Status";
+
+    const values = (status) => ({
+      nodes: [
+        { field: { name: "Initiative" }, optionId: "option-id" },
+        { field: { name: "Status" }, optionId: status },
+      ],
+    });
+    const mockGraphql = jest
+      .fn()
+      .mockResolvedValueOnce({
+        organization: {
+          projectV2: {
+            id: "project-id",
+            fields: {
+              nodes: [
+                {
+                  id: "field-id",
+                  name: "Initiative",
+                  options: [{ id: "option-id", name: "Option" }],
+                  __typename: "ProjectV2SingleSelectField",
+                },
+                {
+                  id: "status-field-id",
+                  name: "Status",
+                  options: [
+                    { id: "status-todo", name: "Todo" },
+                    { id: "status-in-progress", name: "In Progress" },
+                    { id: "status-done", name: "Done" },
+                  ],
+                  __typename: "ProjectV2SingleSelectField",
+                },
+              ],
+            },
+          },
+        },
+      })
+      .mockResolvedValueOnce({
+        organization: {
+          projectV2: {
+            items: {
+              nodes: [
+                { id: "item-id-task-1", fieldValues: values("status-done"), content: { id: "issue-id-task-1" } },
+                { id: "item-id-task-2", fieldValues: values("status-done"), content: { id: "issue-id-task-2" } },
+                { id: "item-id-epic", fieldValues: values("status-in-progress"), content: { id: "issue-id-epic" } },
+                { id: "item-id-initiative", fieldValues: values("status-todo"), content: { id: "issue-id-initiative" } },
+              ],
+              pageInfo: { hasNextPage: false, endCursor: null },
+            },
+          },
+        },
+      })
+      .mockResolvedValueOnce({
+        node: { id: "issue-id-task-1", parent: { id: "issue-id-epic", issueType: { name: "Epic" } } },
+      })
+      .mockResolvedValueOnce({
+        node: { id: "issue-id-epic", parent: { id: "issue-id-initiative", issueType: { name: "Initiative" } } },
+      })
+      .mockResolvedValueOnce({
+        node: { id: "issue-id-task-2", parent: { id: "issue-id-epic", issueType: { name: "Epic" } } },
+      })
+      .mockResolvedValueOnce({
+        node: { id: "issue-id-initiative", parent: null },
+      })
+      .mockResolvedValue({});
+
+    github.getOctokit.mockReturnValue({
+      graphql: mockGraphql,
+    });
+
+    try {
+      await run();
+    } finally {
+      delete process.env.STATUS_ROLLUP_FIELD;
+    }
+
+    expect(core.setFailed).not.toHaveBeenCalled();
+    expect(mockGraphql).toHaveBeenCalledTimes(7);
+    expect(collectFieldUpdates(mockGraphql)).toEqual([
+      ["item-id-epic", "status-field-id", { singleSelectOptionId: "status-done" }],
+      ["item-id-initiative", "status-field-id", { singleSelectOptionId: "status-done" }],
+    ]);
+    expect(core.info).toHaveBeenCalledWith(
+      "Rolled up Status Done from 2 child item(s) of project item item-id-epic."
+    );
+    expect(core.info).toHaveBeenCalledWith(
+      "Updated 2 item(s) (2 field value(s)), 2 item(s) unchanged."
+    );
+    expect(JSON.parse(core.setOutput.mock.calls.find(([name]) => name === "changes-json")[1])).toEqual([
+      expect.objectContaining({ itemId: "item-id-epic", field: "Status", rollup: true, oldDisplay: "In Progress" }),
+      expect.objectContaining({ itemId: "item-id-initiative", field: "Status", rollup: true, oldDisplay: "Todo" }),
+    ]);
+  });
+
+  test("should sum a number field over the descendants of every item", async () => {
+    process.env.GITHUB_TOKEN = "test-token";
+    process.env.PROJECT_URL = "https://github.com/orgs/my-org/projects/1";
+    process.env.SYNC_FIELDS = "";
+    process.env.NUMBER_ROLLUPS = "Estimate:sum(Estimate)";
+
+    const estimate = (number) => ({ nodes: [{ field: { name: "Estimate" }, number }] });
+    const mockGraphql = jest
+      .fn()
+      .mockResolvedValueOnce({
+        organization: {
+          projectV2: {
+            id: "project-id",
+            fields: {
+              nodes: [
+                { id: "estimate-field-id", name: "Estimate", dataType: "NUMBER", __typename: "ProjectV2Field" },
+              ],
+            },
+          },
+        },
+      })
+      .mockResolvedValueOnce({
+        organization: {
+          projectV2: {
+            items: {
+              nodes: [
+                { id: "item-id-epic", fieldValues: estimate(4), content: { id: "issue-id-epic" } },
+                { id: "item-id-task-1", fieldValues: estimate(2), content: { id: "issue-id-task-1" } },
+                { id: "item-id-task-2", fieldValues: estimate(3), content: { id: "issue-id-task-2" } },
+              ],
+              pageInfo: { hasNextPage: false, endCursor: null },
+            },
+          },
+        },
+      })
+      .mockResolvedValueOnce({ node: { id: "issue-id-epic", parent: null } })
+      .mockResolvedValueOnce({
+        node: { id: "issue-id-task-1", parent: { id: "issue-id-epic", issueType: { name: "Epic" } } },
+      })
+      // The parent of task-2 is a story that is not in the project.
+      .mockResolvedValueOnce({
+        node: { id: "issue-id-task-2", parent: { id: "issue-id-story", issueType: { name: "Story" } } },
+      })
+      .mockResolvedValueOnce({
+        node: { id: "issue-id-story", parent: { id: "issue-id-epic", issueType: { name: "Epic" } } },
+      })
+      .mockResolvedValue({});
+
+    github.getOctokit.mockReturnValue({
+      graphql: mockGraphql,
+    });
+
+    try {
+      await run();
+    } finally {
+      delete process.env.SYNC_FIELDS;
+      delete process.env.NUMBER_ROLLUPS;
+    }
+
+    expect(core.setFailed).not.toHaveBeenCalled();
+    expect(mockGraphql).toHaveBeenCalledTimes(7);
+    expect(collectFieldUpdates(mockGraphql)).toEqual([
+      ["item-id-epic", "estimate-field-id", { number: 5 }],
+    ]);
+    expect(core.info).toHaveBeenCalledWith(
+      "Rolled up Estimate 5 from 2 descendant item(s) of project item item-id-epic."
+    );
+    expect(core.info).toHaveBeenCalledWith(
+      "Updated 1 item(s) (1 field value(s)), 0 item(s) unchanged."
+    );
+  });
+
+  test("should load every page of project fields and item field values", async () => {
+    process.env.GITHUB_TOKEN = "test-token";
+    process.env.PROJECT_URL = "https://github.com/orgs/my-org/projects/1";
+    process.env.SYNC_FIELDS = "Initiative";
+    process.env.TOP_PARENT_ISSUE_TYPE = "Initiative";
+
+    const initiativeValue = { field: { name: "Initiative" }, optionId: "option-id" };
+    const mockGraphql = jest
+      .fn()
+      .mockResolvedValueOnce({
+        organization: {
+          projectV2: {
+            id: "project-id",
+            fields: {
+              nodes: [{ id: "title-field-id", name: "Title", dataType: "TITLE", __typename: "ProjectV2Field" }],
+              pageInfo: { hasNextPage: true, endCursor: "fields-cursor" },
+            },
+          },
+        },
+      })
+      .mockResolvedValueOnce({
+        organization: {
+          projectV2: {
+            id: "project-id",
+            fields: {
+              nodes: [
+                {
+                  id: "field-id",
+                  name: "Initiative",
+                  options: [{ id: "option-id", name: "Option" }],
+                  __typename: "ProjectV2SingleSelectField",
+                },
+              ],
+              pageInfo: { hasNextPage: false, endCursor: null },
+            },
+          },
+        },
+      })
+      .mockResolvedValueOnce({
+        organization: {
+          projectV2: {
+            items: {
+              nodes: [
+                {
+                  id: "item-id-child",
+                  fieldValues: { nodes: [], pageInfo: { hasNextPage: true, endCursor: "values-cursor" } },
+                  content: { id: "issue-id-child" },
+                },
+                {
+                  id: "item-id-initiative",
+                  fieldValues: { nodes: [initiativeValue], pageInfo: { hasNextPage: false, endCursor: null } },
+                  content: { id: "issue-id-initiative" },
+                },
+              ],
+              pageInfo: { hasNextPage: false, endCursor: null },
+            },
+          },
+        },
+      })
+      .mockResolvedValueOnce({
+        node: {
+          fieldValues: { nodes: [initiativeValue], pageInfo: { hasNextPage: false, endCursor: null } },
+        },
+      })
+      .mockResolvedValueOnce({
+        node: { id: "issue-id-child", parent: { id: "issue-id-initiative", issueType: { name: "Initiative" } } },
+      })
+      .mockResolvedValueOnce({
+        node: { id: "issue-id-initiative", parent: null },
+      });
+
+    github.getOctokit.mockReturnValue({
+      graphql: mockGraphql,
+    });
+
+    await run();
+
+    expect(core.setFailed).not.toHaveBeenCalled();
+    expect(mockGraphql).toHaveBeenCalledTimes(6);
+    expect(mockGraphql.mock.calls[1][1]).toEqual({ login: "my-org", number: 1, after: "fields-cursor" });
+    expect(mockGraphql.mock.calls[3][1]).toEqual({ id: "item-id-child", after: "values-cursor" });
+    expect(core.info).toHaveBeenCalledWith("Found fields to sync: Initiative");
+    expect(core.info).toHaveBeenCalledWith(
+      "Project item item-id-child already has the parent's Initiative value. Skipping update."
+    );
+    expect(collectFieldUpdates(mockGraphql)).toEqual([]);
+  });
+
+  test("should copy the values of the issues closed by pull requests", async () => {
+    process.env.GITHUB_TOKEN = "test-token";
+    process.env.PROJECT_URL = "https://github.com/orgs/my-org/projects/1";
+    process.env.SYNC_FIELDS = "Initiative";
+    process.env.TOP_PARENT_ISSUE_TYPE = "Initiative";
+    process.env.SYNC_PULL_REQUESTS = "true";
+
+    const pullRequest = (id, closedIssues) => ({
+      __typename: "PullRequest",
+      id,
+      url: `https://github.com/my-org/repo/pull/${id}`,
+      closingIssuesReferences: { nodes: closedIssues },
+    });
+    const mockGraphql = jest
+      .fn()
+      .mockResolvedValueOnce({
+        organization: {
+          projectV2: {
+            id: "project-id",
+            fields: {
+              nodes: [
+                {
+                  id: "field-id",
+                  name: "Initiative",
+                  options: [
+                    { id: "option-a", name: "A" },
+                    { id: "option-b", name: "B" },
+                  ],
+                  __typename: "ProjectV2SingleSelectField",
+                },
+              ],
+            },
+          },
+        },
+      })
+      .mockResolvedValueOnce({
+        organization: {
+          projectV2: {
+            items: {
+              nodes: [
+                {
+                  id: "item-id-initiative-a",
+                  fieldValues: { nodes: [{ field: { name: "Initiative" }, optionId: "option-a" }] },
+                  content: { __typename: "Issue", id: "issue-id-initiative-a", issueType: { name: "Initiative" } },
+                },
+                {
+                  id: "item-id-initiative-b",
+                  fieldValues: { nodes: [{ field: { name: "Initiative" }, optionId: "option-b" }] },
+                  content: { __typename: "Issue", id: "issue-id-initiative-b", issueType: { name: "Initiative" } },
+                },
+                {
+                  id: "item-id-pr-1",
+                  fieldValues: { nodes: [] },
+                  content: pullRequest("1", [{ id: "issue-id-task-a", issueType: { name: "Task" } }]),
+                },
+                {
+                  id: "item-id-pr-2",
+                  fieldValues: { nodes: [] },
+                  content: pullRequest("2", [
+                    { id: "issue-id-task-a", issueType: { name: "Task" } },
+                    { id: "issue-id-task-b", issueType: { name: "Task" } },
+                  ]),
+                },
+                {
+                  id: "item-id-pr-3",
+                  fieldValues: { nodes: [] },
+                  content: pullRequest("3", [{ id: "issue-id-initiative-b", issueType: { name: "Initiative" } }]),
+                },
+                {
+                  id: "item-id-pr-4",
+                  fieldValues: { nodes: [] },
+                  content: pullRequest("4", []),
+                },
+              ],
+              pageInfo: { hasNextPage: false, endCursor: null },
+            },
+          },
+        },
+      })
+      .mockResolvedValueOnce({
+        node: { id: "issue-id-initiative-a", parent: null },
+      })
+      .mockResolvedValueOnce({
+        node: { id: "issue-id-initiative-b", parent: null },
+      })
+      .mockResolvedValueOnce({
+        node: { id: "issue-id-task-a", parent: { id: "issue-id-initiative-a", issueType: { name: "Initiative" } } },
+      })
+      .mockResolvedValueOnce({
+        node: { id: "issue-id-task-b", parent: { id: "issue-id-initiative-b", issueType: { name: "Initiative" } } },
+      })
+      .mockResolvedValue({});
+
+    github.getOctokit.mockReturnValue({
+      graphql: mockGraphql,
+    });
+
+    try {
+      await run();
+    } finally {
+      delete process.env.SYNC_PULL_REQUESTS;
+    }
+
+    expect(core.setFailed).not.toHaveBeenCalled();
+    // The parent chain of every closed issue is fetched once, then written in one mutation.
+    expect(mockGraphql).toHaveBeenCalledTimes(7);
+    expect(mockGraphql.mock.calls[1][0]).toContain("closingIssuesReferences(first: 25)");
+    expect(collectFieldUpdates(mockGraphql)).toEqual([
+      ["item-id-pr-1", "field-id", { singleSelectOptionId: "option-a" }],
+      ["item-id-pr-3", "field-id", { singleSelectOptionId: "option-b" }],
+    ]);
+    expect(core.info).toHaveBeenCalledWith(
+      "Processing project item item-id-pr-1 linked to pull request 1"
+    );
+    expect(core.info).toHaveBeenCalledWith(
+      "Pull request https://github.com/my-org/repo/pull/2 closes issues with different Initiative values (from issue-id-initiative-a, issue-id-initiative-b). Skipping Initiative."
+    );
+    expect(core.info).toHaveBeenCalledWith(
+      "Pull request https://github.com/my-org/repo/pull/4 does not close any issue. Skipping update."
+    );
+  });
+
+  test("should neither traverse nor write items outside the item filter", async () => {
+    process.env.GITHUB_TOKEN = "test-token";
+    process.env.PROJECT_URL = "https://github.com/orgs/my-org/projects/1";
+    process.env.SYNC_FIELDS = "Initiative";
+    process.env.TOP_PARENT_ISSUE_TYPE = "Initiative";
+    process.env.ITEM_FILTER = "is:open -is:archived";
+
+    const mockGraphql = jest
+      .fn()
+      .mockResolvedValueOnce({
+        organization: {
+          projectV2: {
+            id: "project-id",
+            fields: {
+              nodes: [
+                {
+                  id: "field-id",
+                  name: "Initiative",
+                  options: [{ id: "option-id", name: "Option" }],
+                  __typename: "ProjectV2SingleSelectField",
+                },
+              ],
+            },
+          },
+        },
+      })
+      .mockResolvedValueOnce({
+        organization: {
+          projectV2: {
+            items: {
+              nodes: [
+                {
+                  id: "item-id-initiative",
+                  isArchived: false,
+                  fieldValues: { nodes: [{ field: { name: "Initiative" }, optionId: "option-id" }] },
+                  content: { __typename: "Issue", id: "issue-id-initiative", state: "OPEN" },
+                },
+                {
+                  id: "item-id-closed",
+                  isArchived: false,
+                  fieldValues: { nodes: [] },
+                  content: { __typename: "Issue", id: "issue-id-closed", state: "CLOSED" },
+                },
+                {
+                  id: "item-id-open",
+                  isArchived: false,
+                  fieldValues: { nodes: [] },
+                  content: { __typename: "Issue", id: "issue-id-open", state: "OPEN" },
+                },
+                {
+                  id: "item-id-archived",
+                  isArchived: true,
+                  fieldValues: { nodes: [] },
+                  content: { __typename: "Issue", id: "issue-id-archived", state: "OPEN" },
+                },
+              ],
+              pageInfo: { hasNextPage: false, endCursor: null },
+            },
+          },
+        },
+      })
+      .mockResolvedValueOnce({
+        node: { id: "issue-id-initiative", parent: null },
+      })
+      .mockResolvedValueOnce({
+        node: { id: "issue-id-open", parent: { id: "issue-id-initiative", issueType: { name: "Initiative" } } },
+      })
+      .mockResolvedValue({});
+
+    github.getOctokit.mockReturnValue({
+      graphql: mockGraphql,
+    });
+
+    try {
+      await run();
+    } finally {
+      delete process.env.ITEM_FILTER;
+    }
+
+    expect(core.setFailed).not.toHaveBeenCalled();
+    // Only the parents of the filtered in items are fetched.
+    expect(mockGraphql).toHaveBeenCalledTimes(5);
+    expect(mockGraphql.mock.calls[1][0]).toContain("isArchived");
+    expect(core.info).toHaveBeenCalledWith("Only synchronizing items matching: is:open -is:archived");
+    expect(core.info).toHaveBeenCalledWith("Filtered out 2 of 4 project item(s).");
+    expect(collectFieldUpdates(mockGraphql)).toEqual([
+      ["item-id-open", "field-id", { singleSelectOptionId: "option-id" }],
+    ]);
+  });
+
+  test("should leave an audit comment on every changed issue", async () => {
+    process.env.GITHUB_TOKEN = "test-token";
+    process.env.PROJECT_URL = "https://github.com/orgs/my-org/projects/1";
+    process.env.SYNC_FIELDS = "Initiative";
+    process.env.TOP_PARENT_ISSUE_TYPE = "Initiative";
+    process.env.AUDIT_COMMENTS = "true";
+
+    const mockGraphql = jest
+      .fn()
+      .mockResolvedValueOnce({
+        organization: {
+          projectV2: {
+            id: "project-id",
+            fields: {
+              nodes: [
+                {
+                  id: "field-id",
+                  name: "Initiative",
+                  options: [{ id: "option-id", name: "Checkout" }],
+                  __typename: "ProjectV2SingleSelectField",
+                },
+              ],
+            },
+          },
+        },
+      })
+      .mockResolvedValueOnce({
+        organization: {
+          projectV2: {
+            items: {
+              nodes: [
+                {
+                  id: "item-id-child",
+                  fieldValues: { nodes: [] },
+                  content: { id: "issue-id-child", url: "https://github.com/my-org/repo/issues/2" },
+                },
+                {
+                  id: "item-id-initiative",
+                  fieldValues: { nodes: [{ field: { name: "Initiative" }, optionId: "option-id" }] },
+                  content: { id: "issue-id-initiative", url: "https://github.com/my-org/repo/issues/1" },
+                },
+              ],
+              pageInfo: { hasNextPage: false, endCursor: null },
+            },
+          },
+        },
+      })
+      .mockResolvedValueOnce({
+        node: { id: "issue-id-child", parent: { id: "issue-id-initiative", issueType: { name: "Initiative" } } },
+      })
+      .mockResolvedValueOnce({
+        node: { id: "issue-id-initiative", parent: null },
+      })
+      .mockResolvedValueOnce({})
+      .mockResolvedValueOnce({ node: { comments: { nodes: [] } } })
+      .mockResolvedValueOnce({ addComment: { commentEdge: { node: { id: "comment-id" } } } });
+
+    github.getOctokit.mockReturnValue({
+      graphql: mockGraphql,
+    });
+
+    try {
+      await run();
+    } finally {
+      delete process.env.AUDIT_COMMENTS;
+    }
+
+    expect(core.setFailed).not.toHaveBeenCalled();
+    expect(mockGraphql).toHaveBeenCalledTimes(7);
+    expect(mockGraphql.mock.calls[6][0]).toContain("addComment");
+    expect(mockGraphql.mock.calls[6][1]).toEqual({
+      subjectId: "issue-id-child",
+      body: [
+        "<!-- dependants-sync:audit project=project-id -->",
+        "**Project fields synchronized** in https://github.com/orgs/my-org/projects/1",
+        "",
+        "| Field | Old value | New value | Source |",
+        "| --- | --- | --- | --- |",
+        "| Initiative | - | Checkout | `my-org/repo#1` |",
+        "",
+        "_This comment is updated by the dependants-sync action whenever it changes these fields._",
+      ].join("\n"),
+    });
+    expect(core.info).toHaveBeenCalledWith("Audit comments: 1 posted, 0 updated, 0 already up to date.");
+  });
+
+  test("should fail with the out-of-sync items in check mode without writing", async () => {
+    process.env.GITHUB_TOKEN = "test-token";
+    process.env.PROJECT_URL = "https://github.com/orgs/my-org/projects/1";
+    process.env.SYNC_FIELDS = "Initiative";
+    process.env.TOP_PARENT_ISSUE_TYPE = "Initiative";
+    process.env.CHECK = "true";
+    const workspace = fs.mkdtempSync(path.join(os.tmpdir(), "dependants-sync-check-"));
+    process.env.GITHUB_WORKSPACE = workspace;
+
+    const mockGraphql = jest
+      .fn()
+      .mockResolvedValueOnce({
+        organization: {
+          projectV2: {
+            id: "project-id",
+            fields: {
+              nodes: [
+                {
+                  id: "field-id",
+                  name: "Initiative",
+                  options: [{ id: "option-id", name: "Checkout" }],
+                  __typename: "ProjectV2SingleSelectField",
+                },
+              ],
+            },
+          },
+        },
+      })
+      .mockResolvedValueOnce({
+        organization: {
+          projectV2: {
+            items: {
+              nodes: [
+                {
+                  id: "item-id-child",
+                  fieldValues: { nodes: [] },
+                  content: { id: "issue-id-child", url: "https://github.com/my-org/repo/issues/2" },
+                },
+                {
+                  id: "item-id-initiative",
+                  fieldValues: { nodes: [{ field: { name: "Initiative" }, optionId: "option-id" }] },
+                  content: { id: "issue-id-initiative", url: "https://github.com/my-org/repo/issues/1" },
+                },
+              ],
+              pageInfo: { hasNextPage: false, endCursor: null },
+            },
+          },
+        },
+      })
+      .mockResolvedValueOnce({
+        node: { id: "issue-id-child", parent: { id: "issue-id-initiative", issueType: { name: "Initiative" } } },
+      })
+      .mockResolvedValueOnce({
+        node: { id: "issue-id-initiative", parent: null },
+      });
+
+    github.getOctokit.mockReturnValue({
+      graphql: mockGraphql,
+    });
+
+    try {
+      await run();
+    } finally {
+      delete process.env.CHECK;
+      delete process.env.GITHUB_WORKSPACE;
+    }
+
+    expect(mockGraphql).toHaveBeenCalledTimes(4);
+    expect(collectFieldUpdates(mockGraphql)).toEqual([]);
+    expect(core.info).toHaveBeenCalledWith("Check mode enabled. No project items will be updated.");
+    expect(core.setFailed).toHaveBeenCalledWith(
+      "Check failed. The project is out of sync:\n" +
+        ' - project item item-id-child (https://github.com/my-org/repo/issues/2) field Initiative: expected "Checkout", found ""'
+    );
+    expect(core.setOutput).toHaveBeenCalledWith("updated-count", 1);
+    // The dry run report is only written when DRY_RUN is set as well.
+    expect(fs.readdirSync(workspace)).toEqual([]);
+  });
 });
@@ -0,0 +1,80 @@
+const { parseItemFilter, formatItemFilter, createItemFilter } = require('../src/item-filters');
+
+const statusField = {
+  name: 'Status',
+  dataType: 'SINGLE_SELECT',
+  options: [
+    { id: 'todo', name: 'Todo' },
+    { id: 'in-progress', name: 'In Progress' },
+  ],
+};
+
+function item(id, content, { status, archived = false } = {}) {
+  return {
+    id,
+    isArchived: archived,
+    fieldValues: { nodes: status ? [{ field: { name: 'Status' }, optionId: status }] : [] },
+    content,
+  };
+}
+
+function issue(repository, state, labels = [], issueType = 'Task') {
+  return {
+    __typename: 'Issue',
+    id: `issue-${repository}-${state}`,
+    state,
+    repository: { nameWithOwner: repository },
+    labels: { nodes: labels.map((name) => ({ name })) },
+    issueType: { name: issueType },
+  };
+}
+
+describe('item-filters', () => {
+  test('should parse project view style terms', () => {
+    const terms = parseItemFilter('repo:my-org/api,my-org/web  -label:wontfix status:"In Progress",Todo');
+
+    expect(terms).toEqual([
+      { key: 'repo', values: ['my-org/api', 'my-org/web'], negated: false },
+      { key: 'label', values: ['wontfix'], negated: true },
+      { key: 'status', values: ['In Progress', 'Todo'], negated: false },
+    ]);
+    expect(formatItemFilter(terms)).toBe('repo:my-org/api,my-org/web -label:wontfix status:"In Progress",Todo');
+  });
+
+  test('should reject free text and unknown is: values', () => {
+    expect(() => parseItemFilter('repo:my-org/api bug')).toThrow(
+      'Invalid item filter "repo:my-org/api bug" at "bug". Expected <key>:<value> terms.'
+    );
+    expect(() => parseItemFilter('is:draft')).toThrow(
+      'Invalid item filter "is:draft": is:draft is not supported. Expected is:open, is:closed, is:archived, is:issue, is:pr.'
+    );
+  });
+
+  test('should match every term', () => {
+    const items = [
+      item('open-api', issue('my-org/api', 'OPEN', ['bug']), { status: 'in-progress' }),
+      item('closed-api', issue('my-org/api', 'CLOSED'), { status: 'in-progress' }),
+      item('open-web', issue('My-Org/Web', 'OPEN', ['wontfix']), { status: 'in-progress' }),
+      item('archived-web', issue('my-org/web', 'OPEN'), { status: 'in-progress', archived: true }),
+      item('todo-web', issue('my-org/web', 'OPEN'), { status: 'todo' }),
+      item('merged-pr', { __typename: 'PullRequest', id: 'pr', state: 'MERGED' }),
+    ];
+    const matching = (query) => {
+      const matches = createItemFilter(parseItemFilter(query), [statusField]);
+      return items.filter(matches).map((candidate) => candidate.id);
+    };
+
+    expect(matching('repo:my-org/api,my-org/web is:open -label:wontfix -is:archived status:"in progress"')).toEqual([
+      'open-api',
+    ]);
+    expect(matching('is:closed')).toEqual(['closed-api', 'merged-pr']);
+    expect(matching('is:pr')).toEqual(['merged-pr']);
+    expect(matching('type:task -repo:my-org/api')).toEqual(['open-web', 'archived-web', 'todo-web']);
+  });
+
+  test('should reject fields that are not in the project', () => {
+    expect(() => createItemFilter(parseItemFilter('priority:high'), [statusField])).toThrow(
+      'Item filter field priority was not found in the project.'
+    );
+  });
+});
@@ -0,0 +1,182 @@
+const { buildUpdateMutation, updateProjectFields, addProjectItems } = require('../src/mutations');
+
+jest.mock('@actions/core');
+
+const initiativeField = { id: 'field-id-initiative', name: 'Initiative', dataType: 'SINGLE_SELECT' };
+const dateField = { id: 'field-id-date', name: 'Target date', dataType: 'DATE' };
+
+function aliasError(alias, message) {
+  const error = new Error(`Request failed due to following response errors:\n - ${message}`);
+  error.errors = [{ message, path: [alias] }];
+  return error;
+}
+
+describe('mutations', () => {
+  test('should build an aliased mutation document', () => {
+    const { mutation, variables } = buildUpdateMutation('project-id', [
+      { itemId: 'item-1', field: initiativeField, value: 'option-id' },
+      { itemId: 'item-2', field: dateField, value: '2025-03-31' },
+    ]);
+    expect(mutation).toContain(
+      'mutation($projectId: ID!, $itemId0: ID!, $fieldId0: ID!, $value0: ProjectV2FieldValue!, $itemId1: ID!, $fieldId1: ID!, $value1: ProjectV2FieldValue!)'
+    );
+    expect(mutation).toContain('update0: updateProjectV2ItemFieldValue');
+    expect(mutation).toContain('update1: updateProjectV2ItemFieldValue');
+    expect(variables).toEqual({
+      projectId: 'project-id',
+      itemId0: 'item-1',
+      fieldId0: 'field-id-initiative',
+      value0: { singleSelectOptionId: 'option-id' },
+      itemId1: 'item-2',
+      fieldId1: 'field-id-date',
+      value1: { date: '2025-03-31' },
+    });
+  });
+
+  test('should split updates into batches', async () => {
+    const octokit = { graphql: jest.fn().mockResolvedValue({}) };
+    const updates = [1, 2, 3, 4, 5].map((n) => ({ itemId: `item-${n}`, field: initiativeField, value: 'option-id' }));
+
+    const result = await updateProjectFields(octokit, 'project-id', updates, { batchSize: 2 });
+
+    expect(octokit.graphql).toHaveBeenCalledTimes(3);
+    expect(octokit.graphql.mock.calls[2][1]).toMatchObject({ itemId0: 'item-5' });
+    expect(result.updated).toHaveLength(5);
+    expect(result.failed).toEqual([]);
+  });
+
+  test('should retry only the entries that failed', async () => {
+    const octokit = {
+      graphql: jest
+        .fn()
+        .mockRejectedValueOnce(aliasError('update1', 'Could not resolve to a node'))
+        .mockResolvedValueOnce({}),
+    };
+    const updates = [
+      { itemId: 'item-1', field: initiativeField, value: 'option-id' },
+      { itemId: 'item-2', field: initiativeField, value: 'option-id' },
+      { itemId: 'item-3', field: initiativeField, value: 'option-id' },
+    ];
+
+    const result = await updateProjectFields(octokit, 'project-id', updates);
+
+    expect(octokit.graphql).toHaveBeenCalledTimes(2);
+    expect(octokit.graphql.mock.calls[1][1]).toEqual({
+      projectId: 'project-id',
+      itemId0: 'item-2',
+      fieldId0: 'field-id-initiative',
+      value0: { singleSelectOptionId: 'option-id' },
+    });
+    expect(result.updated.map((update) => update.itemId)).toEqual(['item-1', 'item-3', 'item-2']);
+    expect(result.failed).toEqual([]);
+  });
+
+  test('should report entries that keep failing', async () => {
+    const octokit = {
+      graphql: jest.fn().mockRejectedValue(aliasError('update0', 'Could not resolve to a node')),
+    };
+    const update = { itemId: 'item-1', field: initiativeField, value: 'option-id' };
+
+    const result = await updateProjectFields(octokit, 'project-id', [update], { maxRetries: 1 });
+
+    expect(octokit.graphql).toHaveBeenCalledTimes(2);
+    expect(result.updated).toEqual([]);
+    expect(result.failed).toEqual([{ update, error: 'Could not resolve to a node' }]);
+  });
+
+  test('should split batches failing with errors without an alias until the failing entries are isolated', async () => {
+    const invalid = new Error('Argument value on ProjectV2FieldValue has an invalid value');
+    const octokit = {
+      graphql: jest
+        .fn()
+        .mockRejectedValueOnce(invalid)
+        .mockResolvedValueOnce({})
+        .mockRejectedValueOnce(invalid)
+        .mockResolvedValueOnce({})
+        .mockRejectedValueOnce(invalid),
+    };
+    const updates = [1, 2, 3, 4].map((n) => ({ itemId: `item-${n}`, field: initiativeField, value: 'option-id' }));
+
+    const result = await updateProjectFields(octokit, 'project-id', updates, { maxRetries: 0 });
+
+    // [1, 2, 3, 4] fails, [1, 2] passes, [3, 4] fails, [3] passes and [4] fails.
+    expect(octokit.graphql).toHaveBeenCalledTimes(5);
+    expect(octokit.graphql.mock.calls[4][1]).toMatchObject({ itemId0: 'item-4' });
+    expect(result.updated.map((update) => update.itemId)).toEqual(['item-1', 'item-2', 'item-3']);
+    expect(result.failed.map(({ update, error }) => [update.itemId, error])).toEqual([
+      ['item-4', 'Argument value on ProjectV2FieldValue has an invalid value'],
+    ]);
+  });
+
+  test('should not split batches on transient errors', async () => {
+    const badGateway = new Error('Bad Gateway');
+    badGateway.status = 502;
+    const octokit = { graphql: jest.fn().mockRejectedValue(badGateway) };
+    const updates = Array.from({ length: 20 }, (_, n) => ({
+      itemId: `item-${n}`,
+      field: initiativeField,
+      value: 'option-id',
+    }));
+
+    const result = await updateProjectFields(octokit, 'project-id', updates, { maxRetries: 2 });
+
+    // One call per attempt, whatever the batch size.
+    expect(octokit.graphql).toHaveBeenCalledTimes(3);
+    expect(result.updated).toEqual([]);
+    expect(result.failed).toHaveLength(20);
+    expect(result.failed[0].error).toBe('Bad Gateway');
+  });
+
+  test('should clear fields for entries without a value', async () => {
+    const { mutation, variables } = buildUpdateMutation('project-id', [
+      { itemId: 'item-1', field: initiativeField, value: null },
+      { itemId: 'item-2', field: initiativeField, value: 'option-id' },
+    ]);
+    expect(mutation).toContain('mutation($projectId: ID!, $itemId0: ID!, $fieldId0: ID!, $itemId1: ID!, $fieldId1: ID!, $value1: ProjectV2FieldValue!)');
+    expect(mutation).toContain('clear0: clearProjectV2ItemFieldValue');
+    expect(mutation).toContain('update1: updateProjectV2ItemFieldValue');
+    expect(variables).toEqual({
+      projectId: 'project-id',
+      itemId0: 'item-1',
+      fieldId0: 'field-id-initiative',
+      itemId1: 'item-2',
+      fieldId1: 'field-id-initiative',
+      value1: { singleSelectOptionId: 'option-id' },
+    });
+  });
+
+  test('should map errors of clear aliases to their entry', async () => {
+    const octokit = {
+      graphql: jest.fn().mockRejectedValue(aliasError('clear1', 'Field was deleted')),
+    };
+    const updates = [
+      { itemId: 'item-1', field: initiativeField, value: 'option-id' },
+      { itemId: 'item-2', field: initiativeField, value: null },
+    ];
+
+    const result = await updateProjectFields(octokit, 'project-id', updates, { maxRetries: 0 });
+
+    expect(result.updated.map((update) => update.itemId)).toEqual(['item-1']);
+    expect(result.failed).toEqual([{ update: updates[1], error: 'Field was deleted' }]);
+  });
+
+  test('should add issues to the project and report the ones that failed', async () => {
+    const octokit = {
+      graphql: jest
+        .fn()
+        .mockResolvedValueOnce({ addProjectV2ItemById: { item: { id: 'item-1' } } })
+        .mockRejectedValueOnce(new Error('Resource not accessible by integration')),
+    };
+
+    const result = await addProjectItems(octokit, 'project-id', ['issue-1', 'issue-2']);
+
+    expect(octokit.graphql).toHaveBeenCalledWith(expect.stringContaining('addProjectV2ItemById'), {
+      projectId: 'project-id',
+      contentId: 'issue-1',
+    });
+    expect(result).toEqual({
+      added: [{ contentId: 'issue-1', itemId: 'item-1' }],
+      failed: [{ contentId: 'issue-2', error: 'Resource not accessible by integration' }],
+    });
+  });
+});
@@ -0,0 +1,53 @@
+const { createProjectOwner } = require('../src/project-owner');
+
+describe('project-owner', () => {
+  test('should resolve organization projects', () => {
+    const owner = createProjectOwner('https://github.com/orgs/my-org/projects/1');
+    expect(owner.type).toBe('organization');
+    expect(owner.variables({ after: null })).toEqual({ login: 'my-org', number: 1, after: null });
+    expect(owner.query('id')).toContain('organization(login: $login)');
+    expect(owner.project({ organization: { projectV2: { id: 'project-id' } } })).toEqual({ id: 'project-id' });
+  });
+
+  test('should resolve user projects', () => {
+    const owner = createProjectOwner('https://github.com/users/octocat/projects/12/views/3');
+    expect(owner.type).toBe('user');
+    expect(owner.variables()).toEqual({ login: 'octocat', number: 12 });
+    expect(owner.query('id', '$after: String')).toContain('query ($login: String!, $number: Int!, $after: String)');
+    expect(owner.query('id')).toContain('user(login: $login)');
+    expect(owner.project({ user: { projectV2: { id: 'project-id' } } })).toEqual({ id: 'project-id' });
+  });
+
+  test('should resolve repository projects', () => {
+    const owner = createProjectOwner('https://github.com/my-org/my-repo/projects/4');
+    expect(owner.type).toBe('repository');
+    expect(owner.variables()).toEqual({ owner: 'my-org', name: 'my-repo', number: 4 });
+    expect(owner.query('id')).toContain('repository(owner: $owner, name: $name)');
+    expect(owner.project({ repository: { projectV2: { id: 'project-id' } } })).toEqual({ id: 'project-id' });
+  });
+
+  test('should return null when the owner is missing from the result', () => {
+    const owner = createProjectOwner('https://github.com/users/octocat/projects/12');
+    expect(owner.project({ user: null })).toBeNull();
+  });
+
+  test('should reject URLs that do not point to a project', () => {
+    expect(() => createProjectOwner('https://github.com/my-org/projects/1')).toThrow(
+      'Cannot parse PROJECT_URL: https://github.com/my-org/projects/1'
+    );
+    expect(() => createProjectOwner('not a url')).toThrow('Cannot parse PROJECT_URL: not a url');
+    expect(() => createProjectOwner('not a url', 'SOURCE_PROJECT_URL')).toThrow('Cannot parse SOURCE_PROJECT_URL: not a url');
+  });
+
+  test('should reject invalid project numbers', () => {
+    expect(() => createProjectOwner('https://github.com/orgs/my-org/projects/abc')).toThrow(
+      'Invalid project number in PROJECT_URL: https://github.com/orgs/my-org/projects/abc'
+    );
+    expect(() => createProjectOwner('https://github.com/users/octocat/projects/0')).toThrow(
+      'Invalid project number in PROJECT_URL: https://github.com/users/octocat/projects/0'
+    );
+    expect(() => createProjectOwner('https://github.com/orgs/my-org/projects')).toThrow(
+      'Invalid project number in PROJECT_URL: https://github.com/orgs/my-org/projects'
+    );
+  });
+});
@@ -0,0 +1,137 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const core = require('@actions/core');
+const {
+  formatChangesTable,
+  writeChangesArtifact,
+  formatDrift,
+  formatIssueReference,
+  writeJobSummary,
+} = require('../src/report');
+
+jest.mock('@actions/core');
+
+describe('report', () => {
+  test('should format changes as an aligned table', () => {
+    const lines = formatChangesTable([
+      { itemId: 'item-1', issueId: 'issue-1', issueUrl: null, field: 'Initiative', oldDisplay: '', newDisplay: 'Payments' },
+      { itemId: 'item-22', issueId: 'issue-2', issueUrl: 'https://github.com/o/r/issues/2', field: 'Team', oldDisplay: 'Core', newDisplay: 'Web' },
+    ]);
+    expect(lines).toEqual([
+      'Item    | Issue                           | Field      | Old value | New value',
+      '--------|---------------------------------|------------|-----------|----------',
+      'item-1  | issue-1                         | Initiative | -         | Payments',
+      'item-22 | https://github.com/o/r/issues/2 | Team       | Core      | Web',
+    ]);
+  });
+
+  test('should write the report relative to GITHUB_WORKSPACE', () => {
+    const workspace = fs.mkdtempSync(path.join(os.tmpdir(), 'dependants-sync-'));
+    process.env.GITHUB_WORKSPACE = workspace;
+    try {
+      const target = writeChangesArtifact('reports/plan.json', { changes: [] });
+      expect(target).toBe(path.join(workspace, 'reports', 'plan.json'));
+      expect(JSON.parse(fs.readFileSync(target, 'utf8'))).toEqual({ changes: [] });
+    } finally {
+      delete process.env.GITHUB_WORKSPACE;
+    }
+  });
+
+  test('should format issue references', () => {
+    expect(formatIssueReference('https://github.com/my-org/repo/issues/12', 'issue-id')).toBe('my-org/repo#12');
+    expect(formatIssueReference(null, 'issue-id')).toBe('issue-id');
+  });
+
+  test('should list out-of-sync values and missing issues', () => {
+    expect(
+      formatDrift({
+        changes: [
+          { itemId: 'item-1', issueId: 'issue-1', issueUrl: 'https://github.com/o/r/issues/1', field: 'Initiative', oldDisplay: '', newDisplay: 'Payments' },
+        ],
+        missingIssues: [{ issueId: 'issue-2', issueUrl: null }],
+      })
+    ).toBe(
+      ' - project item item-1 (https://github.com/o/r/issues/1) field Initiative: expected "Payments", found ""\n' +
+        ' - issue issue-2 is missing from the project'
+    );
+    expect(formatDrift({ changes: [] })).toBe('');
+  });
+
+  describe('writeJobSummary', () => {
+    const outcome = {
+      dryRun: false,
+      updatedItemCount: 2,
+      skippedItemCount: 1,
+      failures: [{ itemId: 'item-9', issueUrl: null, field: null, error: 'Boom' }],
+      changes: [
+        {
+          itemId: 'item-1',
+          issueId: 'issue-1',
+          issueUrl: 'https://github.com/o/r/issues/1',
+          topParentId: 'initiative-1',
+          topParentUrl: 'https://github.com/o/r/issues/100',
+          field: 'Initiative',
+          oldDisplay: '',
+          newDisplay: 'Payments',
+        },
+        {
+          itemId: 'item-2',
+          issueId: 'issue-2',
+          issueUrl: null,
+          topParentId: 'initiative-2',
+          topParentUrl: null,
+          field: 'Team',
+          oldDisplay: 'Core',
+          newDisplay: '<Web>',
+        },
+      ],
+    };
+
+    beforeEach(() => {
+      jest.clearAllMocks();
+    });
+
+    afterEach(() => {
+      delete process.env.GITHUB_STEP_SUMMARY;
+    });
+
+    test('should do nothing outside of GitHub Actions', async () => {
+      await writeJobSummary(outcome);
+      expect(core.summary.write).not.toHaveBeenCalled();
+    });
+
+    test('should group changes by top parent', async () => {
+      process.env.GITHUB_STEP_SUMMARY = '/tmp/summary.md';
+
+      await writeJobSummary(outcome);
+
+      expect(core.summary.addList).toHaveBeenCalledWith(['Updated items: 2', 'Unchanged items: 1', 'Failed items: 1']);
+      expect(core.summary.addHeading).toHaveBeenCalledWith(
+        'Top parent <a href="https://github.com/o/r/issues/100">o/r#100</a>',
+        3
+      );
+      expect(core.summary.addHeading).toHaveBeenCalledWith('Top parent initiative-2', 3);
+      expect(core.summary.addTable).toHaveBeenCalledTimes(2);
+      expect(core.summary.addTable.mock.calls[0][0][1]).toEqual([
+        'item-1',
+        '<a href="https://github.com/o/r/issues/1">o/r#1</a>',
+        'Initiative',
+        '',
+        'Payments',
+      ]);
+      expect(core.summary.addTable.mock.calls[1][0][1]).toEqual(['item-2', 'issue-2', 'Team', 'Core', '&lt;Web&gt;']);
+      expect(core.summary.addList).toHaveBeenCalledWith(['project item item-9: Boom']);
+      expect(core.summary.write).toHaveBeenCalled();
+    });
+
+    test('should title check runs', async () => {
+      process.env.GITHUB_STEP_SUMMARY = '/tmp/summary.md';
+
+      await writeJobSummary({ ...outcome, dryRun: true, check: true });
+
+      expect(core.summary.addHeading).toHaveBeenCalledWith('Dependants sync (check)', 2);
+      expect(core.summary.addList).toHaveBeenCalledWith(['Items out of sync: 2', 'Unchanged items: 1', 'Failed items: 1']);
+    });
+  });
+});
@@ -0,0 +1,150 @@
+const {
+  DEFAULT_STATUS_ROLLUP_RULES,
+  matchRollupRule,
+  rollUpStatuses,
+  rollUpNumbers,
+} = require('../src/rollup');
+
+const statusField = {
+  name: 'Status',
+  dataType: 'SINGLE_SELECT',
+  options: [
+    { id: 'todo', name: 'Todo' },
+    { id: 'in-progress', name: 'In Progress' },
+    { id: 'done', name: 'Done' },
+  ],
+};
+
+const estimateField = { id: 'estimate-id', name: 'Estimate', dataType: 'NUMBER' };
+const totalField = { id: 'total-id', name: 'Total estimate', dataType: 'NUMBER' };
+const countField = { id: 'count-id', name: 'Tasks', dataType: 'NUMBER' };
+
+function item(issueId, status, estimate) {
+  const nodes = [];
+  if (status) nodes.push({ field: { name: 'Status' }, optionId: status });
+  if (estimate !== undefined) nodes.push({ field: { name: 'Estimate' }, number: estimate });
+  return { id: `item-${issueId}`, fieldValues: { nodes }, content: { id: issueId } };
+}
+
+describe('rollup', () => {
+  test('should pick the first rule matched by the child statuses', () => {
+    expect(matchRollupRule(['Done', 'Done'], DEFAULT_STATUS_ROLLUP_RULES).status).toBe('Done');
+    expect(matchRollupRule(['Done', 'Todo'], DEFAULT_STATUS_ROLLUP_RULES).status).toBe('In Progress');
+    expect(matchRollupRule(['In Progress', null], DEFAULT_STATUS_ROLLUP_RULES).status).toBe('In Progress');
+    expect(matchRollupRule(['Todo', null], DEFAULT_STATUS_ROLLUP_RULES)).toBeNull();
+    expect(matchRollupRule([], DEFAULT_STATUS_ROLLUP_RULES)).toBeNull();
+  });
+
+  test('should roll up nested parents children first', () => {
+    const items = [
+      item('initiative', 'todo'),
+      item('epic-1', 'in-progress'),
+      item('epic-2', 'done'),
+      item('task-1', 'done'),
+      item('task-2', 'done'),
+      item('task-3', 'done'),
+    ];
+    const parents = new Map([
+      ['epic-1', 'initiative'],
+      ['epic-2', 'initiative'],
+      ['task-1', 'epic-1'],
+      ['task-2', 'epic-1'],
+      ['task-3', 'epic-2'],
+      ['initiative', null],
+    ]);
+
+    const rollups = rollUpStatuses(items, parents, statusField, DEFAULT_STATUS_ROLLUP_RULES);
+
+    expect(rollups.map(({ item, status, childCount }) => [item.id, status, childCount])).toEqual([
+      ['item-epic-1', 'Done', 2],
+      ['item-epic-2', 'Done', 1],
+      ['item-initiative', 'Done', 2],
+    ]);
+  });
+
+  test('should ignore children outside the project and parents without a matching rule', () => {
+    const items = [item('epic', 'done'), item('task-1', 'todo'), item('task-2', null)];
+    const parents = new Map([
+      ['task-1', 'epic'],
+      ['task-2', 'epic'],
+      ['task-3', 'epic'],
+      ['epic', 'initiative-outside-the-project'],
+    ]);
+
+    expect(rollUpStatuses(items, parents, statusField, DEFAULT_STATUS_ROLLUP_RULES)).toEqual([]);
+  });
+
+  test('should stop at cycles', () => {
+    const items = [item('a', 'done'), item('b', 'done')];
+    const parents = new Map([
+      ['a', 'b'],
+      ['b', 'a'],
+    ]);
+
+    const rollups = rollUpStatuses(items, parents, statusField, DEFAULT_STATUS_ROLLUP_RULES);
+
+    expect(rollups.map(({ item, status }) => [item.id, status])).toEqual([
+      ['item-a', 'Done'],
+      ['item-b', 'Done'],
+    ]);
+  });
+
+  describe('rollUpNumbers', () => {
+    // initiative > epic > story (not in the project) > task-1, task-2; epic > task-3
+    const items = [
+      item('initiative', 'todo'),
+      item('epic', 'in-progress', 10),
+      item('task-1', 'done', 1),
+      item('task-2', 'todo', 2),
+      item('task-3', 'done', 3.5),
+    ];
+    const parents = new Map([
+      ['epic', 'initiative'],
+      ['story', 'epic'],
+      ['task-1', 'story'],
+      ['task-2', 'story'],
+      ['task-3', 'epic'],
+    ]);
+    const summarize = (results) =>
+      results.map(({ item, field, value, descendantCount }) => [item.id, field.name, value, descendantCount]);
+
+    test('should aggregate over all descendants in the project', () => {
+      const results = rollUpNumbers(items, parents, [
+        { field: totalField, aggregate: 'sum', sourceField: estimateField },
+        { field: countField, aggregate: 'count' },
+        { field: countField, aggregate: 'count-by-status', statusField, statuses: ['Done'] },
+        { field: countField, aggregate: 'max', sourceField: estimateField },
+      ]);
+
+      expect(summarize(results)).toEqual([
+        ['item-initiative', 'Total estimate', 16.5, 4],
+        ['item-initiative', 'Tasks', 4, 4],
+        ['item-initiative', 'Tasks', 2, 4],
+        ['item-initiative', 'Tasks', 10, 4],
+        ['item-epic', 'Total estimate', 6.5, 3],
+        ['item-epic', 'Tasks', 3, 3],
+        ['item-epic', 'Tasks', 2, 3],
+        ['item-epic', 'Tasks', 3.5, 3],
+      ]);
+    });
+
+    test('should only count leaves when rolling a field up into itself', () => {
+      const results = rollUpNumbers(items, parents, [
+        { field: estimateField, aggregate: 'sum', sourceField: estimateField },
+      ]);
+
+      expect(summarize(results)).toEqual([
+        ['item-initiative', 'Estimate', 6.5, 3],
+        ['item-epic', 'Estimate', 6.5, 3],
+      ]);
+    });
+
+    test('should skip ancestors without values to aggregate', () => {
+      const results = rollUpNumbers([item('epic'), item('task-3', 'done')], parents, [
+        { field: totalField, aggregate: 'min', sourceField: estimateField },
+      ]);
+
+      expect(results).toEqual([]);
+    });
+  });
+});